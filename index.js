@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+const fs = require("fs");
 const path = require("path");
 const { performInstallation } = require("./lib/installer");
 const {
@@ -7,6 +8,7 @@ const {
   performUpdate,
   listInstalled,
   performUninstall,
+  performRollback,
 } = require("./lib/updater");
 const {
   interactiveSearch,
@@ -20,10 +22,47 @@ const {
   parseFlags,
   confirm,
   colors,
+  fileSize,
 } = require("./lib/utils");
 const { createMultiSelect, createModuleProgress } = require("./lib/progress");
 const { detectOrphanedInstallations } = require("./lib/system");
-const { loadConfig } = require("./lib/config");
+const { loadConfig, setPrefix } = require("./lib/config");
+const {
+  listDownloadCache,
+  getCacheSize,
+  cleanCache,
+  getCacheDir,
+  setOffline,
+} = require("./lib/cache");
+const { setRetries } = require("./lib/retry");
+const {
+  getTrustId,
+  getTrustedKey,
+  trustKey,
+  parseTrustedKey,
+  describeKey,
+} = require("./lib/signatures");
+const { parseSource } = require("./lib/sources");
+const {
+  MANIFEST_FILES,
+  findManifest,
+  loadManifest,
+  findInstalledPackage,
+  performSync,
+  createManifest,
+  formatManifest,
+} = require("./lib/manifest");
+const {
+  LOCKFILE_NAME,
+  findLockfile,
+  loadLockfile,
+  writeLockfile,
+  createLockEntries,
+  resolveLockEntries,
+  performFrozenInstall,
+} = require("./lib/lockfile");
+const { useVersion } = require("./lib/store");
+const { recoverTransactions } = require("./lib/transaction");
 
 const getVersion = () => {
   try {
@@ -36,22 +75,38 @@ const getVersion = () => {
 
 const VERSION = getVersion();
 
-const HELP = `justinstall <github-url|website-url|file-url|local-file> [options]
-\t${VERSION} - Just install anything. Supports .tar.gz, .zip, .dmg, .app, .pkg, and .deb files. 
+const HELP = `justinstall <github-url|gitlab-url|gitea-url|website-url|file-url|local-file> [options]
+\t${VERSION} - Just install anything. Supports .tar.gz, .zip, .dmg, .app, .pkg, .deb, .rpm and .AppImage files. 
 \tZIP files containing DMG or PKG packages are automatically detected and installed.
-\tBinaries will be installed to ~/.local/bin.
+\tBinaries will be installed to ~/.local/bin, or <dir>/bin with --prefix <dir>.
 
 \tGitHub Release Strategy:
 \t  - Prefers stable releases over prereleases
 \t  - Falls back to latest prerelease if no stable releases exist
 \t  - Supports specific release URLs
 
+\tVersion pins and settings.json: https://github.com/Explosion-Scratch/justinstall#usage
+
 \tOptions:
 \t  --search [query]     Interactive search for GitHub repositories, or direct search with query
 \t  --first <query>      Find and install most-starred repo matching query
 \t  --update [package]   Update all packages or specific package
 \t  --uninstall [name]   Uninstall a previously installed package (interactive if no name provided)
 \t  --list               List installed packages
+\t  --rollback <name>    Go back to the version a package had before its last update
+\t  sync [manifest]      Install, update and (with --prune) remove packages to match a manifest
+\t  --prune              With sync, uninstall packages the manifest doesn't list
+\t  --export [file]      Export installed packages as a portable manifest
+\t  --floating           With --export, leave unpinned packages following the latest release
+\t  --import <file>      Install the packages in an exported manifest
+\t  lock [sources...]    Record exact downloads of installed packages (or sources) in justinstall.lock
+\t  use <name>[@version] Switch to (or list) versions installed side by side
+\t  --frozen [names...]  Install packages exactly as locked in justinstall.lock; also works with sync
+\t  --cache <action>     Manage the download cache: clean, list or size
+\t  --offline            Resolve and install only from cached metadata and downloads
+\t  --retries <n>        Retry failed requests and downloads n times (default 3)
+\t  --prefix <dir>       Install binaries to <dir>/bin instead of ~/.local/bin
+\t  --trust-key <repo> <key> Trust a minisign or GPG public key (or key file) for a repository
 \t  --yes                Answer yes to all prompts
 \t  --version            Show version
 \t  -h, --help           Show this help
@@ -59,7 +114,9 @@ const HELP = `justinstall <github-url|website-url|file-url|local-file> [options]
 \tExamples:
 \t  justinstall atuinsh/atuin
 \t  justinstall https://github.com/junegunn/fzf/
+\t  justinstall junegunn/fzf@^0.54
 \t  justinstall https://github.com/Explosion-Scratch/whisper-mac
+\t  justinstall https://gitlab.com/gitlab-org/cli
 \t  justinstall https://example.com/downloads/
 \t  justinstall https://dl.google.com/chrome/mac/universal/stable/GGRO/googlechrome.dmg
 \t  justinstall tailscale.pkg
@@ -71,6 +128,7 @@ const HELP = `justinstall <github-url|website-url|file-url|local-file> [options]
 \t  justinstall --update tailscale ./new-tailscale.pkg
 \t  justinstall --uninstall
 \t  justinstall --uninstall tailscale
+\t  justinstall sync
 
 \tMade by ${createLink(
   "Explosion-Scratch",
@@ -297,6 +355,184 @@ const handleUninstallCommand = async (flags) => {
   await performUninstall(flags.uninstallPackage, flags.yes);
 };
 
+// Trust store IDs look like "github.com/owner/repo"; anything else is parsed
+// like an install argument
+const getTrustTarget = (input) => {
+  const id = input.replace(/^https?:\/\//, "").replace(/\/+$/, "");
+  if (/^[\w-]+(\.[\w-]+)+(:\d+)?\//.test(id)) return id;
+  return getTrustId(parseSource(input));
+};
+
+const handleTrustKeyCommand = async (flags) => {
+  const log = createLogger();
+  const trustId = getTrustTarget(flags.trustKey.target);
+  const keyInput = flags.trustKey.key;
+  const entry = parseTrustedKey(
+    fs.existsSync(keyInput) ? fs.readFileSync(keyInput, "utf8") : keyInput
+  );
+
+  const previous = getTrustedKey(trustId, entry.type);
+  if (previous && describeKey(previous) === describeKey(entry)) {
+    log.log(`${describeKey(entry)} is already trusted for ${trustId}`);
+    return;
+  }
+  if (
+    previous &&
+    !(await confirm(`Replace the trusted ${describeKey(previous)} for ${trustId} with ${describeKey(entry)}?`, "y", flags.yes))
+  ) {
+    return;
+  }
+
+  trustKey(trustId, { ...entry, source: "manual" });
+  log.log(`${colors.fg.green}✓${colors.reset} Trusted ${describeKey(entry)} for ${trustId}`);
+};
+
+const handleSyncCommand = async (flags, args) => {
+  const manifestPath = args[0] || findManifest();
+  if (!manifestPath) {
+    throw new Error(
+      `No manifest found. Create ${MANIFEST_FILES.join(" or ")}, or pass one: justinstall sync <file>`
+    );
+  }
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Manifest ${manifestPath} doesn't exist`);
+  }
+
+  await performSync(manifestPath, { prune: flags.prune, yesFlag: flags.yes, frozen: flags.frozen });
+};
+
+const handleExportCommand = (flags) => {
+  const log = createLogger();
+  const manifest = createManifest(loadConfig(), log, { floating: flags.floating });
+  const output = formatManifest(manifest, flags.exportFile);
+
+  if (!flags.exportFile) {
+    process.stdout.write(output);
+    return;
+  }
+  fs.writeFileSync(flags.exportFile, output);
+  log.log(
+    `${colors.fg.green}✓${colors.reset} Exported ${Object.keys(manifest.packages).length} package(s) to ${flags.exportFile}`
+  );
+  log.log(`Install them on another machine with: ${colors.fg.cyan}justinstall --import ${path.basename(flags.exportFile)}${colors.reset}`);
+};
+
+const handleImportCommand = async (flags) => {
+  if (!fs.existsSync(flags.import)) {
+    throw new Error(`Export file ${flags.import} doesn't exist`);
+  }
+  await performSync(flags.import, { prune: flags.prune, yesFlag: flags.yes });
+};
+
+const handleLockCommand = async (flags, sources) => {
+  const log = createLogger();
+  const manifestPath = findManifest();
+  const lockPath = path.join(manifestPath ? path.dirname(manifestPath) : process.cwd(), LOCKFILE_NAME);
+
+  let packages;
+  if (sources.length > 0) {
+    // Sources are added to an existing lockfile rather than replacing it
+    const existing = fs.existsSync(lockPath) ? loadLockfile(lockPath).packages : {};
+    packages = { ...existing, ...(await resolveLockEntries(sources, log)) };
+  } else if (manifestPath) {
+    const config = loadConfig();
+    const entries = loadManifest(manifestPath).packages;
+    const missing = entries.filter((entry) => !findInstalledPackage(entry, config));
+    if (missing.length > 0) {
+      throw new Error(
+        `${missing.map((entry) => entry.name || entry.spec).join(", ")} from ${path.basename(manifestPath)} ` +
+        `isn't installed yet. Run 'justinstall sync' first.`
+      );
+    }
+    packages = createLockEntries(
+      entries.map((entry) => {
+        const record = findInstalledPackage(entry, config);
+        return { ...record, name: entry.name || record.name };
+      }),
+      log
+    );
+  } else {
+    packages = createLockEntries(loadConfig(), log);
+  }
+
+  writeLockfile(lockPath, packages);
+  log.log(`${colors.fg.green}✓${colors.reset} Locked ${Object.keys(packages).length} package(s) in ${lockPath}`);
+};
+
+const handleFrozenInstall = async (flags, names) => {
+  const lockPath = findLockfile();
+  if (!lockPath) {
+    throw new Error(`--frozen needs a ${LOCKFILE_NAME}; create one with 'justinstall lock'`);
+  }
+  await performFrozenInstall(lockPath, names, flags.yes);
+};
+
+const handleUseCommand = async (args) => {
+  const log = createLogger();
+  const [spec] = args;
+  if (!spec) {
+    throw new Error("use requires a package and version, such as 'justinstall use terraform@1.5.7'");
+  }
+
+  const at = spec.lastIndexOf("@");
+  const name = at > 0 ? spec.slice(0, at) : spec;
+  const version = at > 0 ? spec.slice(at + 1) : null;
+
+  if (!version) {
+    const record = loadConfig().find((item) => item.name === name);
+    const versions = record?.installation?.versions || [];
+    if (versions.length === 0) {
+      log.log(`${name} has no versions installed side by side`);
+      return;
+    }
+    log.log(`${colors.fg.cyan}Installed versions of ${name}:${colors.reset}`);
+    for (const entry of versions) {
+      const active = entry.version === record.installation.activeVersion;
+      log.log(`  ${active ? `${colors.fg.green}*${colors.reset}` : " "} ${entry.version}`);
+    }
+    return;
+  }
+
+  const entry = useVersion(name, version);
+  log.log(`${colors.fg.green}✓${colors.reset} Now using ${name} ${entry.version}`);
+};
+
+const handleCacheCommand = async (flags) => {
+  const log = createLogger();
+
+  if (flags.cache === "list") {
+    const entries = listDownloadCache();
+    if (entries.length === 0) {
+      log.log(`${colors.fg.yellow}Download cache is empty${colors.reset}`);
+      return;
+    }
+
+    log.log(`${colors.fg.cyan}Cached downloads (${entries.length}):${colors.reset}\n`);
+    for (const entry of entries) {
+      log.log(`  ${colors.fg.white}${entry.name}${colors.reset} ${colors.dim}(${fileSize(entry.size)})${colors.reset}`);
+      log.log(`    URL: ${colors.dim}${entry.url}${colors.reset}`);
+      log.log(`    SHA-256: ${colors.dim}${entry.sha256}${colors.reset}`);
+      log.log(`    Last used: ${colors.dim}${new Date(entry.lastUsed).toLocaleDateString()}${colors.reset}`);
+    }
+    return;
+  }
+
+  if (flags.cache === "size") {
+    const { downloads, metadata, limit } = getCacheSize();
+    log.log(`Cache: ${colors.dim}${getCacheDir()}${colors.reset}`);
+    log.log(`  Downloads: ${fileSize(downloads)} of ${fileSize(limit)}`);
+    log.log(`  Metadata: ${fileSize(metadata)}`);
+    return;
+  }
+
+  const { downloads, metadata } = getCacheSize();
+  if (!(await confirm(`Remove ${fileSize(downloads + metadata)} of cached data?`, "y", flags.yes))) {
+    return;
+  }
+  const freed = cleanCache();
+  log.log(`${colors.fg.green}✓${colors.reset} Freed ${fileSize(freed)}`);
+};
+
 const main = async () => {
   const log = createLogger();
   const args = process.argv.slice(2);
@@ -312,6 +548,21 @@ const main = async () => {
     return;
   }
 
+  // Undo (or finish) installs that a crash or Ctrl-C interrupted
+  recoverTransactions(log);
+
+  if (flags.offline) {
+    setOffline(true);
+  }
+
+  if (flags.retries !== undefined) {
+    setRetries(flags.retries);
+  }
+
+  if (flags.prefix) {
+    setPrefix(flags.prefix);
+  }
+
   if (flags.update !== undefined) {
     await handleUpdateCommand(flags, remainingArgs);
     return;
@@ -322,11 +573,36 @@ const main = async () => {
     return;
   }
 
+  if (flags.rollback) {
+    await performRollback(flags.rollback, flags.yes);
+    return;
+  }
+
   if (flags.list) {
     listInstalled();
     return;
   }
 
+  if (flags.cache) {
+    await handleCacheCommand(flags);
+    return;
+  }
+
+  if (flags.export) {
+    handleExportCommand(flags);
+    return;
+  }
+
+  if (flags.import) {
+    await handleImportCommand(flags);
+    return;
+  }
+
+  if (flags.trustKey) {
+    await handleTrustKeyCommand(flags);
+    return;
+  }
+
   if (flags.search) {
     if (flags.searchQuery) {
       const repos = await displaySearchResults(flags.searchQuery);
@@ -364,6 +640,26 @@ const main = async () => {
     return;
   }
 
+  if (remainingArgs[0] === "sync") {
+    await handleSyncCommand(flags, remainingArgs.slice(1));
+    return;
+  }
+
+  if (remainingArgs[0] === "lock") {
+    await handleLockCommand(flags, remainingArgs.slice(1));
+    return;
+  }
+
+  if (remainingArgs[0] === "use") {
+    await handleUseCommand(remainingArgs.slice(1));
+    return;
+  }
+
+  if (flags.frozen) {
+    await handleFrozenInstall(flags, remainingArgs);
+    return;
+  }
+
   if (remainingArgs.length === 0) {
     log.log(HELP);
     return;
@@ -388,6 +684,7 @@ const main = async () => {
       log.log(`  • Check that the package name or URL is correct`);
       log.log(`  • Try searching: ${colors.fg.cyan}justinstall --search <query>${colors.reset}`);
       log.log(`  • Check GitHub releases page directly`);
+      log.log(`  • For private repositories, set GITHUB_TOKEN or run ${colors.fg.cyan}gh auth login${colors.reset}`);
     } else if (error.message.includes("No suitable package") || error.message.includes("No compatible")) {
       log.error(`${colors.fg.red}Error:${colors.reset} ${error.message}`);
       log.log(`\n${colors.fg.yellow}This package may not have compatible releases for your system${colors.reset}`);
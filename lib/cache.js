@@ -0,0 +1,399 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+const { hashFile, loadSettings } = require("./config");
+const { createLogger } = require("./utils");
+const { fetchWithRetry, isNetworkError, isOfflineError } = require("./retry");
+
+// Default download cache limit, overridable with the "cacheLimitMB" setting
+// or JUSTINSTALL_CACHE_LIMIT_MB
+const DEFAULT_CACHE_LIMIT_MB = 1024;
+
+let offline = ["1", "true"].includes(process.env.JUSTINSTALL_OFFLINE);
+
+/**
+ * Switch offline mode on or off. While offline, metadata and downloads are
+ * served only from the cache.
+ */
+const setOffline = (enabled = true) => {
+  offline = enabled;
+};
+
+const isOffline = () => offline;
+
+/**
+ * Fall back to offline mode after a failure that means there's no network
+ * (DNS or an unreachable network), for the rest of the run, so later
+ * requests don't each wait for their own timeout. A refused or reset
+ * connection only affects the request that hit it.
+ */
+const goOffline = (error) => {
+  if (offline || !isOfflineError(error)) return;
+  offline = true;
+  createLogger().warn(
+    `Network unreachable (${error?.cause?.code || error?.code || error?.message}), continuing offline with cached data`
+  );
+};
+
+const createOfflineError = (url) => {
+  return new Error(`${url} is not available offline (nothing cached yet)`);
+};
+
+const getCacheDir = () => {
+  const xdgCacheHome = process.env.XDG_CACHE_HOME;
+  const cacheHome = xdgCacheHome || path.join(os.homedir(), ".cache");
+  return path.join(cacheHome, "justinstall");
+};
+
+const getMetadataCacheDir = () => {
+  return path.join(getCacheDir(), "http");
+};
+
+const getCacheKey = (url) => {
+  return crypto.createHash("sha256").update(url).digest("hex");
+};
+
+const getMetadataEntryPath = (url) => {
+  return path.join(getMetadataCacheDir(), `${getCacheKey(url)}.json`);
+};
+
+/**
+ * Read the cached response for a URL, or null if there is none
+ */
+const readMetadataEntry = (url) => {
+  try {
+    const entry = JSON.parse(fs.readFileSync(getMetadataEntryPath(url), "utf8"));
+    return entry.url === url ? entry : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const writeMetadataEntry = (url, entry) => {
+  try {
+    fs.mkdirSync(getMetadataCacheDir(), { recursive: true });
+    const entryPath = getMetadataEntryPath(url);
+    const tmpPath = `${entryPath}.${process.pid}.tmp`;
+    // Entries can hold private-repository metadata; keep them to the user
+    fs.writeFileSync(tmpPath, JSON.stringify({ url, ...entry }), { mode: 0o600 });
+    fs.renameSync(tmpPath, entryPath);
+  } catch (e) {
+    // The cache is best-effort; a read-only home shouldn't break installs
+  }
+};
+
+// Only metadata is cached here; binaries go through the download path
+const isTextContent = (contentType) => {
+  return /^(text\/|application\/(?:[\w.+-]*\+)?(?:json|xml))/i.test(contentType);
+};
+
+const toResponse = (entry, cacheStatus) => {
+  return new Response(entry.body, {
+    status: entry.status,
+    headers: {
+      ...entry.headers,
+      "x-justinstall-cache": cacheStatus,
+    },
+  });
+};
+
+const getAuthorization = (headers = {}) => {
+  const name = Object.keys(headers).find((key) => key.toLowerCase() === "authorization");
+  return name ? headers[name] : null;
+};
+
+/**
+ * Cache key for a request: the URL, plus a hash of the host and credentials
+ * for authenticated requests, so a response fetched with a token is never
+ * served to a request made without it (or with another token)
+ */
+const getMetadataKey = (url, headers) => {
+  const authorization = getAuthorization(headers);
+  if (!authorization) return url;
+  const identity = crypto
+    .createHash("sha256")
+    .update(`${new URL(url).host}\n${authorization}`)
+    .digest("hex")
+    .slice(0, 16);
+  return `${url}#auth-${identity}`;
+};
+
+/**
+ * fetch() for small text responses (release JSON, READMEs, HTML pages).
+ * Successful text responses are cached on disk, keyed by URL and, for
+ * authenticated requests, the credentials used. Entries with
+ * an ETag or Last-Modified header are revalidated with If-None-Match /
+ * If-Modified-Since so unchanged resources come back as cheap 304s, and
+ * every entry is served as-is while offline. Requests go through
+ * fetchWithRetry unless another fetchImpl is given.
+ */
+const cachedFetch = async (url, options = {}, fetchImpl = fetchWithRetry) => {
+  if (options.method && options.method !== "GET") {
+    return fetchImpl(url, options);
+  }
+
+  const key = getMetadataKey(url, options.headers);
+  const entry = readMetadataEntry(key);
+  if (offline) {
+    if (entry) return toResponse(entry, "offline");
+    throw createOfflineError(url);
+  }
+
+  const headers = { ...options.headers };
+  if (entry?.etag) headers["If-None-Match"] = entry.etag;
+  if (entry?.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+
+  let response;
+  try {
+    response = await fetchImpl(url, { ...options, headers });
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    goOffline(error);
+    if (entry) return toResponse(entry, "offline");
+    throw createOfflineError(url);
+  }
+
+  if (response.status === 304 && entry) {
+    return toResponse(entry, "revalidated");
+  }
+
+  const contentType = response.headers.get("content-type") || "";
+  if (response.status !== 200 || !isTextContent(contentType)) {
+    return response;
+  }
+
+  const body = await response.text();
+  const stored = {
+    status: response.status,
+    etag: response.headers.get("etag"),
+    lastModified: response.headers.get("last-modified"),
+    headers: {
+      "content-type": contentType,
+    },
+    body,
+    date: new Date().toISOString(),
+  };
+  writeMetadataEntry(key, stored);
+
+  // Keep the original headers so callers can still read rate-limit info
+  return new Response(body, {
+    status: response.status,
+    headers: response.headers,
+  });
+};
+
+const getDownloadCacheDir = () => {
+  return path.join(getCacheDir(), "downloads");
+};
+
+const getDownloadIndexPath = () => {
+  return path.join(getDownloadCacheDir(), "index.json");
+};
+
+/**
+ * Where an in-progress download of cacheKey is kept, so an interrupted
+ * transfer can be resumed by a later run
+ */
+const getPartialDownloadPath = (cacheKey) => {
+  return path.join(getDownloadCacheDir(), "partial", `${getCacheKey(cacheKey)}.part`);
+};
+
+const getBlobPath = (sha256) => {
+  return path.join(getDownloadCacheDir(), "blobs", sha256);
+};
+
+const loadDownloadIndex = () => {
+  try {
+    return JSON.parse(fs.readFileSync(getDownloadIndexPath(), "utf8"));
+  } catch (e) {
+    return {};
+  }
+};
+
+const saveDownloadIndex = (index) => {
+  fs.mkdirSync(getDownloadCacheDir(), { recursive: true });
+  const indexPath = getDownloadIndexPath();
+  const tmpPath = `${indexPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(index, null, 2));
+  fs.renameSync(tmpPath, indexPath);
+};
+
+const getDownloadCacheLimit = () => {
+  const limitMB = Number(
+    process.env.JUSTINSTALL_CACHE_LIMIT_MB ||
+    loadSettings().cacheLimitMB ||
+    DEFAULT_CACHE_LIMIT_MB
+  );
+  return limitMB * 1024 * 1024;
+};
+
+/**
+ * Look up a previously downloaded artifact by URL. When a sha256 is given
+ * the cached file must also match it. Returns { path, sha256, size, name }
+ * or null.
+ */
+const getCachedDownload = (url, sha256 = null) => {
+  const index = loadDownloadIndex();
+  const entry = index[url];
+  if (!entry || (sha256 && entry.sha256 !== sha256)) return null;
+
+  const blobPath = getBlobPath(entry.sha256);
+  if (!fs.existsSync(blobPath)) return null;
+
+  try {
+    entry.lastUsed = new Date().toISOString();
+    saveDownloadIndex(index);
+  } catch (e) {}
+
+  return { path: blobPath, ...entry };
+};
+
+/**
+ * Copy a downloaded artifact into the cache, keyed by URL and stored by
+ * its sha256 so identical files are only kept once. Returns the sha256.
+ */
+const storeDownload = (url, filePath, name = path.basename(filePath)) => {
+  const sha256 = hashFile(filePath);
+  if (!sha256) return null;
+
+  try {
+    const blobPath = getBlobPath(sha256);
+    if (!fs.existsSync(blobPath)) {
+      fs.mkdirSync(path.dirname(blobPath), { recursive: true });
+      const tmpPath = `${blobPath}.${process.pid}.tmp`;
+      fs.copyFileSync(filePath, tmpPath);
+      fs.renameSync(tmpPath, blobPath);
+    }
+
+    const index = loadDownloadIndex();
+    const now = new Date().toISOString();
+    index[url] = {
+      sha256,
+      size: fs.statSync(blobPath).size,
+      name,
+      added: index[url]?.sha256 === sha256 ? index[url].added : now,
+      lastUsed: now,
+    };
+    saveDownloadIndex(index);
+    pruneDownloadCache();
+  } catch (e) {
+    // A full disk or read-only cache shouldn't fail the install itself
+  }
+
+  return sha256;
+};
+
+/**
+ * Forget the cached artifact for a URL, e.g. after it failed verification.
+ * The blob is kept while other URLs still point at it.
+ */
+const removeCachedDownload = (url) => {
+  const index = loadDownloadIndex();
+  const entry = index[url];
+  if (!entry) return false;
+
+  delete index[url];
+  saveDownloadIndex(index);
+  if (!Object.values(index).some((other) => other.sha256 === entry.sha256)) {
+    fs.rmSync(getBlobPath(entry.sha256), { force: true });
+  }
+  return true;
+};
+
+/**
+ * List cached downloads, most recently used first
+ */
+const listDownloadCache = () => {
+  return Object.entries(loadDownloadIndex())
+    .map(([url, entry]) => ({ url, ...entry }))
+    .filter((entry) => fs.existsSync(getBlobPath(entry.sha256)))
+    .sort((a, b) => b.lastUsed.localeCompare(a.lastUsed));
+};
+
+const getBlobsSize = (entries) => {
+  const seen = new Set();
+  let total = 0;
+  for (const entry of entries) {
+    if (seen.has(entry.sha256)) continue;
+    seen.add(entry.sha256);
+    total += entry.size || 0;
+  }
+  return total;
+};
+
+/**
+ * Total size of the cache on disk: downloads plus HTTP metadata
+ */
+const getCacheSize = () => {
+  const dirSize = (dir) => {
+    if (!fs.existsSync(dir)) return 0;
+    let total = 0;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      total += entry.isDirectory() ? dirSize(entryPath) : fs.statSync(entryPath).size;
+    }
+    return total;
+  };
+
+  return {
+    downloads: dirSize(getDownloadCacheDir()),
+    metadata: dirSize(getMetadataCacheDir()),
+    limit: getDownloadCacheLimit(),
+  };
+};
+
+/**
+ * Evict least recently used downloads until the cache fits its limit
+ */
+const pruneDownloadCache = (limit = getDownloadCacheLimit()) => {
+  const index = loadDownloadIndex();
+  const entries = Object.entries(index)
+    .map(([url, entry]) => ({ url, ...entry }))
+    .sort((a, b) => a.lastUsed.localeCompare(b.lastUsed));
+
+  const removed = [];
+  while (entries.length > 0 && getBlobsSize(entries) > limit) {
+    const { url, sha256 } = entries.shift();
+    delete index[url];
+    removed.push(url);
+    if (!entries.some((entry) => entry.sha256 === sha256)) {
+      fs.rmSync(getBlobPath(sha256), { force: true });
+    }
+  }
+
+  if (removed.length > 0) saveDownloadIndex(index);
+  return removed;
+};
+
+/**
+ * Remove everything under the cache dir. Returns the number of bytes freed.
+ */
+const cleanCache = () => {
+  const { downloads, metadata } = getCacheSize();
+  fs.rmSync(getCacheDir(), { recursive: true, force: true });
+  return downloads + metadata;
+};
+
+module.exports = {
+  setOffline,
+  isOffline,
+  isNetworkError,
+  goOffline,
+  createOfflineError,
+  getCacheDir,
+  getMetadataCacheDir,
+  getCacheKey,
+  readMetadataEntry,
+  writeMetadataEntry,
+  cachedFetch,
+  getDownloadCacheDir,
+  getPartialDownloadPath,
+  getCachedDownload,
+  storeDownload,
+  removeCachedDownload,
+  listDownloadCache,
+  getCacheSize,
+  pruneDownloadCache,
+  cleanCache,
+};
@@ -0,0 +1,283 @@
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  setOffline,
+  isOffline,
+  isNetworkError,
+  getCacheDir,
+  readMetadataEntry,
+  cachedFetch,
+  getCachedDownload,
+  storeDownload,
+  removeCachedDownload,
+  listDownloadCache,
+  getCacheSize,
+  pruneDownloadCache,
+  cleanCache,
+} = require("./cache");
+
+describe("cachedFetch", () => {
+  let cacheHome;
+  const originalCacheHome = process.env.XDG_CACHE_HOME;
+
+  beforeAll(() => {
+    cacheHome = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-cache-"));
+    process.env.XDG_CACHE_HOME = cacheHome;
+  });
+
+  afterAll(() => {
+    if (originalCacheHome === undefined) {
+      delete process.env.XDG_CACHE_HOME;
+    } else {
+      process.env.XDG_CACHE_HOME = originalCacheHome;
+    }
+    fs.rmSync(cacheHome, { recursive: true, force: true });
+  });
+
+  test("uses the XDG cache dir", () => {
+    expect(getCacheDir()).toBe(path.join(cacheHome, "justinstall"));
+  });
+
+  test("stores responses that carry an ETag", async () => {
+    const url = "https://api.github.com/repos/a/b/releases/latest";
+    const fetchImpl = async () =>
+      new Response('{"tag_name":"v1.0.0"}', {
+        status: 200,
+        headers: { etag: '"abc"', "content-type": "application/json; charset=utf-8" },
+      });
+
+    const response = await cachedFetch(url, {}, fetchImpl);
+    expect(await response.json()).toEqual({ tag_name: "v1.0.0" });
+
+    const entry = readMetadataEntry(url);
+    expect(entry.etag).toBe('"abc"');
+    expect(entry.body).toBe('{"tag_name":"v1.0.0"}');
+  });
+
+  test("revalidates with If-None-Match and serves 304s from the cache", async () => {
+    const url = "https://api.github.com/repos/a/b/releases/latest";
+    let sentHeaders;
+    const fetchImpl = async (_, options) => {
+      sentHeaders = options.headers;
+      return new Response(null, { status: 304 });
+    };
+
+    const response = await cachedFetch(url, { headers: { "User-Agent": "test" } }, fetchImpl);
+    expect(sentHeaders["If-None-Match"]).toBe('"abc"');
+    expect(sentHeaders["User-Agent"]).toBe("test");
+    expect(response.status).toBe(200);
+    expect(response.headers.get("x-justinstall-cache")).toBe("revalidated");
+    expect(await response.json()).toEqual({ tag_name: "v1.0.0" });
+  });
+
+  test("does not cache errors", async () => {
+    const url = "https://example.com/missing";
+    await cachedFetch(url, {}, async () => new Response("nope", { status: 404, headers: { etag: '"x"' } }));
+    expect(readMetadataEntry(url)).toBeNull();
+  });
+
+  test("keeps responses without validators for offline use", async () => {
+    const url = "https://example.com/page";
+    let sentHeaders;
+    const fetchImpl = async (_, options) => {
+      sentHeaders = options.headers;
+      return new Response("<html></html>", { status: 200, headers: { "content-type": "text/html" } });
+    };
+
+    await cachedFetch(url, {}, fetchImpl);
+    expect(readMetadataEntry(url).body).toBe("<html></html>");
+
+    await cachedFetch(url, {}, fetchImpl);
+    expect(sentHeaders["If-None-Match"]).toBeUndefined();
+  });
+
+  test("keeps authenticated responses apart and private", async () => {
+    const url = "https://api.github.com/repos/a/private/releases/latest";
+    const fetchImpl = async (_, options) =>
+      options.headers.Authorization
+        ? new Response('{"tag_name":"v1.0.0"}', { status: 200, headers: { "content-type": "application/json" } })
+        : new Response('{"message":"Not Found"}', { status: 404, headers: { "content-type": "application/json" } });
+
+    await cachedFetch(url, { headers: { Authorization: "Bearer secret" } }, fetchImpl);
+    expect(readMetadataEntry(url)).toBeNull();
+
+    const files = fs.readdirSync(path.join(getCacheDir(), "http"));
+    const stored = files.map((file) => path.join(getCacheDir(), "http", file))
+      .find((file) => fs.readFileSync(file, "utf8").includes("private"));
+    expect(fs.statSync(stored).mode & 0o777).toBe(0o600);
+
+    setOffline(true);
+    try {
+      await expect(cachedFetch(url, {}, fetchImpl)).rejects.toThrow("not available offline");
+      const response = await cachedFetch(url, { headers: { Authorization: "Bearer secret" } }, fetchImpl);
+      expect(await response.json()).toEqual({ tag_name: "v1.0.0" });
+    } finally {
+      setOffline(false);
+    }
+  });
+
+  test("does not cache binary responses", async () => {
+    const url = "https://example.com/tool.tar.gz";
+    await cachedFetch(url, {}, async () =>
+      new Response("binary", {
+        status: 200,
+        headers: { etag: '"bin"', "content-type": "application/octet-stream" },
+      }),
+    );
+    expect(readMetadataEntry(url)).toBeNull();
+  });
+});
+
+describe("download cache", () => {
+  let cacheHome;
+  let workDir;
+  const originalCacheHome = process.env.XDG_CACHE_HOME;
+
+  const writeArtifact = (name, content) => {
+    const filePath = path.join(workDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeAll(() => {
+    cacheHome = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-cache-"));
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-work-"));
+    process.env.XDG_CACHE_HOME = cacheHome;
+  });
+
+  afterAll(() => {
+    if (originalCacheHome === undefined) {
+      delete process.env.XDG_CACHE_HOME;
+    } else {
+      process.env.XDG_CACHE_HOME = originalCacheHome;
+    }
+    fs.rmSync(cacheHome, { recursive: true, force: true });
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("stores and finds artifacts by URL", () => {
+    const url = "https://github.com/a/b/releases/download/v1/tool.tar.gz";
+    const sha256 = storeDownload(url, writeArtifact("tool.tar.gz", "tool v1"), "tool.tar.gz");
+
+    const cached = getCachedDownload(url);
+    expect(cached.sha256).toBe(sha256);
+    expect(cached.name).toBe("tool.tar.gz");
+    expect(fs.readFileSync(cached.path, "utf8")).toBe("tool v1");
+  });
+
+  test("rejects cached artifacts with a different sha256", () => {
+    const url = "https://github.com/a/b/releases/download/v1/tool.tar.gz";
+    expect(getCachedDownload(url, "0".repeat(64))).toBeNull();
+    expect(getCachedDownload("https://example.com/missing.zip")).toBeNull();
+  });
+
+  test("stores identical content once", () => {
+    const mirror = "https://mirror.example.com/tool.tar.gz";
+    storeDownload(mirror, writeArtifact("mirror.tar.gz", "tool v1"));
+
+    const entries = listDownloadCache();
+    expect(entries.length).toBe(2);
+    expect(entries[0].sha256).toBe(entries[1].sha256);
+    expect(fs.readdirSync(path.join(getCacheDir(), "downloads", "blobs")).length).toBe(1);
+  });
+
+  test("evicts least recently used artifacts over the limit", () => {
+    storeDownload("https://example.com/big.zip", writeArtifact("big.zip", "x".repeat(100)));
+    const removed = pruneDownloadCache(100);
+
+    expect(removed).toContain("https://github.com/a/b/releases/download/v1/tool.tar.gz");
+    expect(getCachedDownload("https://example.com/big.zip")).not.toBeNull();
+  });
+
+  test("forgets an artifact without touching blobs still in use", () => {
+    storeDownload("https://example.com/a.zip", writeArtifact("a.zip", "shared"));
+    storeDownload("https://example.com/b.zip", writeArtifact("b.zip", "shared"));
+
+    expect(removeCachedDownload("https://example.com/a.zip")).toBe(true);
+    expect(getCachedDownload("https://example.com/a.zip")).toBeNull();
+    expect(getCachedDownload("https://example.com/b.zip")).not.toBeNull();
+    expect(removeCachedDownload("https://example.com/missing.zip")).toBe(false);
+  });
+
+  test("reports size and cleans everything", () => {
+    expect(getCacheSize().downloads).toBeGreaterThan(0);
+    expect(cleanCache()).toBeGreaterThan(0);
+    expect(listDownloadCache()).toEqual([]);
+    expect(fs.existsSync(getCacheDir())).toBe(false);
+  });
+});
+
+describe("offline mode", () => {
+  let cacheHome;
+  const originalCacheHome = process.env.XDG_CACHE_HOME;
+  const url = "https://api.github.com/repos/a/b/releases/latest";
+  const unreachable = async () => {
+    throw new TypeError("fetch failed", { cause: { code: "ENOTFOUND" } });
+  };
+
+  beforeAll(async () => {
+    cacheHome = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-cache-"));
+    process.env.XDG_CACHE_HOME = cacheHome;
+    await cachedFetch(url, {}, async () =>
+      new Response('{"tag_name":"v2.0.0"}', {
+        status: 200,
+        headers: { "content-type": "application/json" },
+      }),
+    );
+  });
+
+  afterAll(() => {
+    setOffline(false);
+    if (originalCacheHome === undefined) {
+      delete process.env.XDG_CACHE_HOME;
+    } else {
+      process.env.XDG_CACHE_HOME = originalCacheHome;
+    }
+    fs.rmSync(cacheHome, { recursive: true, force: true });
+  });
+
+  test("recognizes network failures", () => {
+    expect(isNetworkError(new TypeError("fetch failed"))).toBe(true);
+    expect(isNetworkError({ code: "ECONNREFUSED" })).toBe(true);
+    expect(isNetworkError(new Error("Release not found"))).toBe(false);
+  });
+
+  test("serves cached metadata without touching the network", async () => {
+    setOffline(true);
+    let called = false;
+    const response = await cachedFetch(url, {}, async () => {
+      called = true;
+    });
+
+    expect(called).toBe(false);
+    expect(response.headers.get("x-justinstall-cache")).toBe("offline");
+    expect(await response.json()).toEqual({ tag_name: "v2.0.0" });
+  });
+
+  test("fails clearly for uncached URLs", async () => {
+    setOffline(true);
+    await expect(cachedFetch("https://example.com/new", {}, unreachable)).rejects.toThrow(
+      "not available offline",
+    );
+  });
+
+  test("stays online when a single host drops the connection", async () => {
+    setOffline(false);
+    const response = await cachedFetch(url, {}, async () => {
+      throw new TypeError("fetch failed", { cause: { code: "ECONNRESET" } });
+    });
+
+    expect(await response.json()).toEqual({ tag_name: "v2.0.0" });
+    expect(isOffline()).toBe(false);
+  });
+
+  test("falls back to the cache when the network is unreachable", async () => {
+    setOffline(false);
+    const response = await cachedFetch(url, {}, unreachable);
+
+    expect(await response.json()).toEqual({ tag_name: "v2.0.0" });
+    expect(isOffline()).toBe(true);
+  });
+});
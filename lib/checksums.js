@@ -0,0 +1,146 @@
+const path = require("path");
+const { hashFile } = require("./config");
+
+// Digest length in hex characters for each supported algorithm
+const DIGEST_LENGTHS = {
+  sha512: 128,
+  sha256: 64,
+  sha1: 40,
+  md5: 32,
+};
+
+// Strongest first, used to pick between several published digests
+const ALGORITHM_PREFERENCE = ["sha512", "sha256", "sha1", "md5"];
+
+// Per-asset checksum files, e.g. tool.tar.gz.sha256 or tool.zip.sha512sum
+const PER_ASSET_PATTERN = /\.(sha512|sha256|sha1|md5)(?:sums?)?(?:\.txt)?$/i;
+
+// Release-wide lists: checksums.txt, goreleaser's tool_1.2.3_checksums.txt,
+// SHA256SUMS, sha512sums.txt
+const CHECKSUM_LIST_PATTERNS = [
+  /(?:^|[-_.])checksums?(?:\.txt)?$/i,
+  /^(?:sha512|sha256|sha1|md5)sums?(?:\.txt)?$/i,
+];
+
+const isChecksumAsset = (name) => {
+  return (
+    PER_ASSET_PATTERN.test(name) ||
+    CHECKSUM_LIST_PATTERNS.some((pattern) => pattern.test(name))
+  );
+};
+
+const getAlgorithmForDigest = (digest) => {
+  return (
+    Object.keys(DIGEST_LENGTHS).find((algorithm) => DIGEST_LENGTHS[algorithm] === digest.length) ||
+    null
+  );
+};
+
+const normalizeAlgorithm = (name) => {
+  const algorithm = name.toLowerCase().replace(/-/g, "");
+  return DIGEST_LENGTHS[algorithm] ? algorithm : null;
+};
+
+/**
+ * Parse a checksum file into [{ name, digest, algorithm }]. Understands the
+ * GNU coreutils format ("<digest>  <file>", also used by goreleaser), the
+ * BSD tagged format ("SHA256 (<file>) = <digest>") and single-digest files,
+ * whose entries get a null name.
+ */
+const parseChecksums = (content) => {
+  const entries = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const tagged = line.match(/^([\w-]+)\s*\((.+)\)\s*=\s*([a-f0-9]+)$/i);
+    if (tagged) {
+      const algorithm = normalizeAlgorithm(tagged[1]);
+      if (algorithm && DIGEST_LENGTHS[algorithm] === tagged[3].length) {
+        entries.push({ name: tagged[2], digest: tagged[3].toLowerCase(), algorithm });
+      }
+      continue;
+    }
+
+    const gnu = line.match(/^([a-f0-9]{32,128})(?:\s+[*]?(.+))?$/i);
+    if (gnu) {
+      const algorithm = getAlgorithmForDigest(gnu[1]);
+      if (algorithm) {
+        entries.push({ name: gnu[2]?.trim() || null, digest: gnu[1].toLowerCase(), algorithm });
+      }
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * The checksum files worth fetching for an asset: its own per-asset file
+ * and any release-wide lists, but not the per-asset files of other assets
+ */
+const selectChecksumAssets = (checksumAssets, assetName) => {
+  return checksumAssets.filter((asset) => {
+    if (!PER_ASSET_PATTERN.test(asset.name)) return true;
+    return asset.name.replace(PER_ASSET_PATTERN, "") === assetName;
+  });
+};
+
+/**
+ * Find the strongest published digest for assetName among fetched checksum
+ * files ([{ name, content }]). Returns { algorithm, digest, file } or null.
+ */
+const findExpectedChecksum = (checksumFiles, assetName) => {
+  const matches = [];
+
+  for (const file of checksumFiles) {
+    const perAsset = PER_ASSET_PATTERN.test(file.name);
+    for (const entry of parseChecksums(file.content)) {
+      const entryName = entry.name && path.posix.basename(entry.name.replace(/^\.\//, ""));
+      if (entryName === assetName || (perAsset && !entry.name)) {
+        matches.push({ algorithm: entry.algorithm, digest: entry.digest, file: file.name });
+      }
+    }
+  }
+
+  matches.sort(
+    (a, b) =>
+      ALGORITHM_PREFERENCE.indexOf(a.algorithm) - ALGORITHM_PREFERENCE.indexOf(b.algorithm),
+  );
+  return matches[0] || null;
+};
+
+/**
+ * Parse a digest published in release metadata, such as GitHub's
+ * "sha256:<hex>" asset digests. Returns { algorithm, digest } or null.
+ */
+const parseDigest = (value) => {
+  const match = /^([\w-]+):([a-f0-9]+)$/i.exec(value || "");
+  if (!match) return null;
+  const algorithm = normalizeAlgorithm(match[1]);
+  if (!algorithm || DIGEST_LENGTHS[algorithm] !== match[2].length) return null;
+  return { algorithm, digest: match[2].toLowerCase() };
+};
+
+/**
+ * Hash filePath with the expected algorithm and throw if it doesn't match
+ */
+const verifyChecksum = (filePath, assetName, expected) => {
+  const actual = hashFile(filePath, expected.algorithm);
+  if (actual !== expected.digest) {
+    throw new Error(
+      `Checksum mismatch for ${assetName}: expected ${expected.algorithm} ${expected.digest}, got ${actual}. ` +
+      `Refusing to install a file that doesn't match its published checksum.`
+    );
+  }
+  return { algorithm: expected.algorithm, digest: actual };
+};
+
+module.exports = {
+  isChecksumAsset,
+  parseChecksums,
+  selectChecksumAssets,
+  findExpectedChecksum,
+  parseDigest,
+  verifyChecksum,
+};
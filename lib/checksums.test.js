@@ -0,0 +1,141 @@
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  isChecksumAsset,
+  parseChecksums,
+  selectChecksumAssets,
+  findExpectedChecksum,
+  parseDigest,
+  verifyChecksum,
+} = require("./checksums");
+
+const sha256 = (content) => crypto.createHash("sha256").update(content).digest("hex");
+const sha512 = (content) => crypto.createHash("sha512").update(content).digest("hex");
+
+describe("isChecksumAsset", () => {
+  test("recognizes release-wide checksum lists", () => {
+    expect(isChecksumAsset("checksums.txt")).toBe(true);
+    expect(isChecksumAsset("fzf_0.54.0_checksums.txt")).toBe(true);
+    expect(isChecksumAsset("SHA256SUMS")).toBe(true);
+    expect(isChecksumAsset("sha512sums.txt")).toBe(true);
+  });
+
+  test("recognizes per-asset checksum files", () => {
+    expect(isChecksumAsset("tool-linux-amd64.tar.gz.sha256")).toBe(true);
+    expect(isChecksumAsset("tool.zip.sha512sum")).toBe(true);
+  });
+
+  test("leaves installable assets and signatures alone", () => {
+    expect(isChecksumAsset("tool-linux-amd64.tar.gz")).toBe(false);
+    expect(isChecksumAsset("SHA256SUMS.asc")).toBe(false);
+    expect(isChecksumAsset("checksums.txt.sig")).toBe(false);
+  });
+});
+
+describe("parseChecksums", () => {
+  const digest = sha256("tool");
+
+  test("parses GNU and goreleaser lists", () => {
+    const entries = parseChecksums(`${digest}  tool.tar.gz\n${digest} *./other.zip\n`);
+    expect(entries).toEqual([
+      { name: "tool.tar.gz", digest, algorithm: "sha256" },
+      { name: "./other.zip", digest, algorithm: "sha256" },
+    ]);
+  });
+
+  test("parses BSD tagged lines", () => {
+    expect(parseChecksums(`SHA256 (tool.tar.gz) = ${digest.toUpperCase()}`)).toEqual([
+      { name: "tool.tar.gz", digest, algorithm: "sha256" },
+    ]);
+  });
+
+  test("parses bare digests and infers the algorithm from length", () => {
+    const long = sha512("tool");
+    expect(parseChecksums(`${long}\n`)).toEqual([{ name: null, digest: long, algorithm: "sha512" }]);
+  });
+
+  test("skips comments and junk", () => {
+    expect(parseChecksums("# generated\nnot a checksum\nabc123  short.txt\n")).toEqual([]);
+  });
+});
+
+describe("findExpectedChecksum", () => {
+  test("matches by file name, ignoring directories", () => {
+    const files = [
+      { name: "checksums.txt", content: `${sha256("a")}  dist/tool-linux.tar.gz\n${sha256("b")}  tool-darwin.tar.gz` },
+    ];
+    expect(findExpectedChecksum(files, "tool-darwin.tar.gz")).toEqual({
+      algorithm: "sha256",
+      digest: sha256("b"),
+      file: "checksums.txt",
+    });
+    expect(findExpectedChecksum(files, "tool-linux.tar.gz").digest).toBe(sha256("a"));
+    expect(findExpectedChecksum(files, "tool-windows.zip")).toBeNull();
+  });
+
+  test("uses single-digest per-asset files", () => {
+    const files = [{ name: "tool.tar.gz.sha256", content: sha256("a") }];
+    expect(findExpectedChecksum(files, "tool.tar.gz").digest).toBe(sha256("a"));
+  });
+
+  test("prefers the strongest algorithm", () => {
+    const files = [
+      { name: "SHA256SUMS", content: `${sha256("a")}  tool.tar.gz` },
+      { name: "SHA512SUMS", content: `${sha512("a")}  tool.tar.gz` },
+    ];
+    expect(findExpectedChecksum(files, "tool.tar.gz").algorithm).toBe("sha512");
+  });
+});
+
+describe("selectChecksumAssets", () => {
+  test("keeps lists and the asset's own checksum file only", () => {
+    const assets = [
+      { name: "checksums.txt" },
+      { name: "tool-linux.tar.gz.sha256" },
+      { name: "tool-darwin.tar.gz.sha256" },
+    ];
+    expect(selectChecksumAssets(assets, "tool-linux.tar.gz").map((a) => a.name)).toEqual([
+      "checksums.txt",
+      "tool-linux.tar.gz.sha256",
+    ]);
+  });
+});
+
+describe("parseDigest", () => {
+  test("parses algorithm-prefixed digests", () => {
+    const digest = sha256("a");
+    expect(parseDigest(`sha256:${digest}`)).toEqual({ algorithm: "sha256", digest });
+    expect(parseDigest("sha256:abc")).toBeNull();
+    expect(parseDigest(null)).toBeNull();
+  });
+});
+
+describe("verifyChecksum", () => {
+  let workDir;
+  let filePath;
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-checksums-"));
+    filePath = path.join(workDir, "tool.tar.gz");
+    fs.writeFileSync(filePath, "tool contents");
+  });
+
+  afterAll(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("accepts a matching file", () => {
+    const expected = { algorithm: "sha512", digest: sha512("tool contents") };
+    expect(verifyChecksum(filePath, "tool.tar.gz", expected)).toEqual(expected);
+  });
+
+  test("refuses a mismatching file", () => {
+    const expected = { algorithm: "sha256", digest: sha256("something else") };
+    expect(() => verifyChecksum(filePath, "tool.tar.gz", expected)).toThrow(
+      "Checksum mismatch for tool.tar.gz",
+    );
+  });
+});
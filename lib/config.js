@@ -9,10 +9,19 @@ const getConfigDir = () => {
   return path.join(configHome, "justinstall");
 };
 
+const getDataDir = () => {
+  const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share");
+  return path.join(dataHome, "justinstall");
+};
+
 const getConfigPath = () => {
   return path.join(getConfigDir(), "installations.json");
 };
 
+const getSettingsPath = () => {
+  return path.join(getConfigDir(), "settings.json");
+};
+
 const ensureConfigDir = () => {
   const configDir = getConfigDir();
   if (!fs.existsSync(configDir)) {
@@ -36,7 +45,95 @@ const loadConfig = () => {
 const saveConfig = (config) => {
   ensureConfigDir();
   const configPath = getConfigPath();
-  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  // Written next to the real file and renamed over it, so an interrupted
+  // save never leaves a truncated record
+  const tmpPath = `${configPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(config, null, 2));
+  fs.renameSync(tmpPath, configPath);
+};
+
+// settings.json is read once per run. The cache is keyed by its path, so
+// pointing XDG_CONFIG_HOME elsewhere still reads the other file.
+let settingsCache = null;
+
+const loadSettings = () => {
+  const settingsPath = getSettingsPath();
+  if (settingsCache && settingsCache.path === settingsPath) {
+    return settingsCache.settings;
+  }
+  let settings = {};
+  try {
+    if (fs.existsSync(settingsPath)) {
+      settings = JSON.parse(fs.readFileSync(settingsPath, "utf8"));
+    }
+  } catch (e) {
+    settings = {};
+  }
+  settingsCache = { path: settingsPath, settings };
+  return settings;
+};
+
+/**
+ * Forget the loaded settings, so the next lookup reads settings.json again
+ */
+const clearSettingsCache = () => {
+  settingsCache = null;
+};
+
+// Hosts that are known without any configuration, mapped to their provider
+const DEFAULT_HOSTS = {
+  "codeberg.org": "gitea",
+};
+
+/**
+ * Look up which release provider ("github", "gitlab", "gitea") serves a host.
+ * Entries in settings.json "hosts" may be a provider name or an object with a
+ * "type" field, and override the built-in defaults.
+ */
+const getHostProvider = (hostname) => {
+  if (!hostname) return null;
+  const hosts = { ...DEFAULT_HOSTS, ...(loadSettings().hosts || {}) };
+  const entry = hosts[hostname.toLowerCase()];
+  if (!entry) return null;
+  return typeof entry === "string" ? entry : entry.type || null;
+};
+
+let prefixOverride = null;
+
+/**
+ * Install binaries under <prefix>/bin for the rest of the run (--prefix)
+ */
+const setPrefix = (prefix) => {
+  prefixOverride = prefix;
+};
+
+const expandHome = (dir) => dir.replace(/^~(?=$|\/)/, os.homedir());
+
+/**
+ * The directory a package's binaries are installed to. In order: --prefix,
+ * the package's entry in the "binDirs" setting, the directory it was
+ * installed to before (previous), JUSTINSTALL_BIN_DIR, the "binDir" setting
+ * and finally ~/.local/bin.
+ */
+const getBinDir = (name = null, previous = null) => {
+  const settings = loadSettings();
+  const dir =
+    (prefixOverride && path.join(prefixOverride, "bin")) ||
+    (name && (settings.binDirs || {})[name]) ||
+    previous ||
+    process.env.JUSTINSTALL_BIN_DIR ||
+    settings.binDir ||
+    path.join(os.homedir(), ".local", "bin");
+  return path.resolve(expandHome(dir));
+};
+
+/**
+ * The directory shell completions and man pages are installed under:
+ * <prefix>/share with --prefix, otherwise $XDG_DATA_HOME (~/.local/share)
+ */
+const getShareDir = () => {
+  if (prefixOverride) return path.resolve(expandHome(prefixOverride), "share");
+  return process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share");
 };
 
 const addInstallation = (installData) => {
@@ -65,10 +162,22 @@ const removeInstallation = (name) => {
   saveConfig(filtered);
 };
 
-const hashFile = (filePath) => {
+const hashFile = (filePath, algorithm = "sha256") => {
   if (!fs.existsSync(filePath)) return null;
-  const fileBuffer = fs.readFileSync(filePath);
-  return crypto.createHash("sha256").update(fileBuffer).digest("hex");
+
+  // Hash in chunks so multi-gigabyte downloads aren't read into memory
+  const hash = crypto.createHash(algorithm);
+  const buffer = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest("hex");
 };
 
 const createInstallationRecord = (source, selected, metadata = {}) => {
@@ -80,6 +189,9 @@ const createInstallationRecord = (source, selected, metadata = {}) => {
       url: source.url,
       owner: source.owner,
       repo: source.repo,
+      host: source.host,
+      project: source.project,
+      pin: source.pin,
       originalArgs: Array.isArray(source.originalArgs) ? source.originalArgs : [source.originalArgs],
     },
     selected: {
@@ -88,6 +200,8 @@ const createInstallationRecord = (source, selected, metadata = {}) => {
       extension: selected.extension,
       downloadUrl: selected.browser_download_url || source.url,
       hash: metadata.hash,
+      checksum: metadata.checksum || null,
+      signature: metadata.signature || null,
     },
     installation: {
       method: metadata.installMethod,
@@ -95,6 +209,11 @@ const createInstallationRecord = (source, selected, metadata = {}) => {
       destinations: metadata.destinations || [],
       preferredMethod: metadata.preferredMethod || metadata.installMethod,
       selectedAssetPattern: metadata.selectedAssetPattern || null,
+      overrides: metadata.overrides || null,
+      binDir: metadata.binDir || null,
+      extras: metadata.extras || [],
+      // The system package (rpm) it installed, to remove on uninstall
+      systemPackage: metadata.systemPackage || null,
       script: metadata.script || null,
     },
     version: metadata.version,
@@ -104,7 +223,7 @@ const createInstallationRecord = (source, selected, metadata = {}) => {
 
 const extractName = (selected) => {
   return selected.name
-    .replace(/\.(tar\.gz|tar\.xz|zip|dmg|pkg|deb|app)$/i, "")
+    .replace(/\.(tar\.gz|tar\.xz|zip|dmg|pkg|deb|rpm|app|AppImage)$/i, "")
     .replace(/v?[0-9]+\.[0-9]+\.[0-9]+/i, "")
     .replace(/[-_]+(?:darwin|linux|windows|mac|osx|macos|apple|x64|arm64|aarch64|universal|amd64)[-_]*/gi, "")
     .replace(/(?:darwin|linux|windows|mac|osx|macos|apple|x64|arm64|aarch64|universal|amd64)[-_]*/gi, "")
@@ -120,10 +239,18 @@ const extractName = (selected) => {
 
 module.exports = {
   getConfigDir,
+  getDataDir,
   getConfigPath,
+  getSettingsPath,
   ensureConfigDir,
   loadConfig,
   saveConfig,
+  loadSettings,
+  clearSettingsCache,
+  getHostProvider,
+  setPrefix,
+  getBinDir,
+  getShareDir,
   addInstallation,
   getInstallation,
   removeInstallation,
@@ -1,5 +1,8 @@
-const { describe, test, expect } = require("bun:test");
-const { extractName } = require("./config");
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { extractName, setPrefix, getBinDir, getShareDir, clearSettingsCache } = require("./config");
 
 describe("extractName", () => {
   describe("version removal", () => {
@@ -194,3 +197,51 @@ describe("extractName", () => {
     });
   });
 });
+
+describe("getBinDir", () => {
+  let configHome;
+  const originalConfigHome = process.env.XDG_CONFIG_HOME;
+  const originalBinDir = process.env.JUSTINSTALL_BIN_DIR;
+
+  const writeSettings = (settings) => {
+    fs.mkdirSync(path.join(configHome, "justinstall"), { recursive: true });
+    fs.writeFileSync(path.join(configHome, "justinstall", "settings.json"), JSON.stringify(settings));
+    clearSettingsCache();
+  };
+
+  beforeAll(() => {
+    configHome = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-config-"));
+    process.env.XDG_CONFIG_HOME = configHome;
+    delete process.env.JUSTINSTALL_BIN_DIR;
+  });
+
+  afterAll(() => {
+    setPrefix(null);
+    for (const [name, value] of [
+      ["XDG_CONFIG_HOME", originalConfigHome],
+      ["JUSTINSTALL_BIN_DIR", originalBinDir],
+    ]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    fs.rmSync(configHome, { recursive: true, force: true });
+  });
+
+  test("defaults to ~/.local/bin", () => {
+    expect(getBinDir("fzf")).toBe(path.join(os.homedir(), ".local", "bin"));
+  });
+
+  test("prefers --prefix, then the package, then where it was, then the environment and settings", () => {
+    writeSettings({ binDir: "~/bin", binDirs: { kubectl: "/opt/tools/bin" } });
+    expect(getBinDir("fzf")).toBe(path.join(os.homedir(), "bin"));
+
+    process.env.JUSTINSTALL_BIN_DIR = "/srv/bin";
+    expect(getBinDir("fzf")).toBe("/srv/bin");
+    expect(getBinDir("fzf", "/usr/local/bin")).toBe("/usr/local/bin");
+    expect(getBinDir("kubectl", "/usr/local/bin")).toBe("/opt/tools/bin");
+
+    setPrefix("/opt/project");
+    expect(getBinDir("kubectl")).toBe("/opt/project/bin");
+    expect(getShareDir()).toBe("/opt/project/share");
+  });
+});
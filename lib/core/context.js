@@ -16,12 +16,18 @@ class ModuleContext {
     
     this.github = null
     this.gitlab = null
+    this.gitea = null
     this.directLink = null
     this.localFile = null
 
     this.sources = []
     this.selectedSource = null
 
+    this.checksumAssets = []
+    this.checksum = null
+    this.signingAssets = []
+    this.signature = null
+
     this.tmpdir = null
     this.downloadPath = null
     this.extractedDir = null
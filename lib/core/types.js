@@ -9,6 +9,7 @@ const SOURCE_TYPES = {
 const URL_TYPES = {
   GITHUB: 'github',
   GITLAB: 'gitlab',
+  GITEA: 'gitea',
   DIRECT: 'direct',
   WEBSITE: 'website',
   FILE: 'file'
@@ -0,0 +1,174 @@
+const fs = require("fs");
+const path = require("path");
+const { finished } = require("stream/promises");
+const { getPartialDownloadPath } = require("./cache");
+const { fetchWithRetry, readWithIdleTimeout, withRetry, getRetryPolicy } = require("./retry");
+const { fileSize } = require("./utils");
+
+const readJson = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Rename a file, copying instead when the cache dir and the destination
+ * are on different filesystems
+ */
+const moveFile = (from, to) => {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    fs.copyFileSync(from, to);
+    fs.rmSync(from, { force: true });
+  }
+};
+
+/**
+ * Stream a download to disk through a ".part" file kept in the cache dir
+ * under cacheKey. If an earlier attempt was interrupted, the request asks
+ * for the remaining bytes with Range, guarded by If-Range so a changed file
+ * is fetched from scratch instead of being spliced onto stale data.
+ *
+ * Failed connections and 5xx responses are retried by fetchWithRetry, and a
+ * transfer that stalls or breaks off is resumed the same way, up to the
+ * configured number of retries.
+ *
+ * onStart({ totalSize, resumedFrom, response }) runs once headers arrive and
+ * onProgress(receivedBytes) after every chunk. Non-OK responses are
+ * returned untouched for the caller to report. Returns { response, size }.
+ *
+ * opened ({ response, reader, chunks }) is a response the caller already
+ * started reading: the first attempt writes its chunks and the rest of the
+ * reader instead of requesting url again.
+ */
+const streamDownload = async (url, destPath, options = {}) => {
+  const { retries = getRetryPolicy().retries } = options;
+  let { opened } = options;
+  return withRetry(() => {
+    const attempt = attemptDownload(url, destPath, { ...options, opened });
+    opened = null;
+    return attempt;
+  }, {
+    retries,
+    label: `Download from ${new URL(url).host}`,
+    shouldRetry: (error) => error.interrupted,
+  });
+};
+
+const attemptDownload = async (
+  url,
+  destPath,
+  { headers = {}, cacheKey = url, fetchOptions = {}, retries, onStart, onProgress, opened } = {},
+) => {
+  const partPath = getPartialDownloadPath(cacheKey);
+  const metaPath = `${partPath}.json`;
+  fs.mkdirSync(path.dirname(partPath), { recursive: true });
+
+  const meta = readJson(metaPath);
+  const validator = meta?.etag || meta?.lastModified;
+  let offset =
+    !opened && meta?.url === url && validator && fs.existsSync(partPath)
+      ? fs.statSync(partPath).size
+      : 0;
+
+  const requestHeaders = { ...headers };
+  if (offset > 0) {
+    requestHeaders.Range = `bytes=${offset}-`;
+    requestHeaders["If-Range"] = validator;
+  }
+
+  const response = opened
+    ? opened.response
+    : await fetchWithRetry(
+      url,
+      { ...fetchOptions, headers: requestHeaders },
+      retries === undefined ? {} : { retries },
+    );
+
+  if (response.status === 416) {
+    // The saved part no longer fits the file; start over
+    fs.rmSync(partPath, { force: true });
+    fs.rmSync(metaPath, { force: true });
+    return attemptDownload(url, destPath, { headers, cacheKey, fetchOptions, retries, onStart, onProgress });
+  }
+
+  if (!response.ok) {
+    return { response, size: 0 };
+  }
+
+  const resumed = response.status === 206;
+  if (!resumed) offset = 0;
+
+  const length = parseInt(response.headers.get("content-length") || "0");
+  const totalSize = length ? offset + length : 0;
+
+  fs.writeFileSync(
+    metaPath,
+    JSON.stringify({
+      url,
+      etag: response.headers.get("etag"),
+      lastModified: response.headers.get("last-modified"),
+      totalSize,
+    }),
+  );
+
+  if (onStart) onStart({ totalSize, resumedFrom: offset, response });
+
+  const { idleTimeout } = getRetryPolicy();
+  const out = fs.createWriteStream(partPath, { flags: resumed ? "a" : "w" });
+  let received = offset;
+
+  try {
+    for (const chunk of opened?.chunks || []) {
+      received += chunk.length;
+      out.write(chunk);
+    }
+    if (received > 0 && onProgress) onProgress(received);
+
+    const reader = opened ? opened.reader : response.body.getReader();
+    while (true) {
+      const { done, value } = await readWithIdleTimeout(reader, idleTimeout);
+      if (done) break;
+
+      received += value.length;
+      if (!out.write(value)) {
+        await new Promise((resolve) => out.once("drain", resolve));
+      }
+      if (onProgress) onProgress(received);
+    }
+    out.end();
+    await finished(out);
+  } catch (error) {
+    // Flush what did arrive so the next run can pick up from there
+    out.end();
+    await finished(out).catch(() => {});
+    const interrupted = new Error(
+      `Download interrupted after ${fileSize(received)}: ${error.message}. Run again to resume.`,
+      { cause: error },
+    );
+    interrupted.interrupted = true;
+    throw interrupted;
+  }
+
+  if (totalSize && received < totalSize) {
+    const incomplete = new Error(
+      `Download incomplete (${fileSize(received)} of ${fileSize(totalSize)}). Run again to resume.`,
+    );
+    incomplete.interrupted = true;
+    throw incomplete;
+  }
+
+  moveFile(partPath, destPath);
+  fs.rmSync(metaPath, { force: true });
+
+  return { response, size: received };
+};
+
+module.exports = {
+  streamDownload,
+  moveFile,
+};
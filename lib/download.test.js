@@ -0,0 +1,127 @@
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { streamDownload } = require("./download");
+const { getPartialDownloadPath } = require("./cache");
+
+// A body that delivers the given chunks and then fails mid-transfer
+const brokenStream = (...chunks) =>
+  new ReadableStream({
+    pull(controller) {
+      if (chunks.length === 0) {
+        controller.error(new Error("socket hang up"));
+      } else {
+        controller.enqueue(new TextEncoder().encode(chunks.shift()));
+      }
+    },
+  });
+
+describe("streamDownload", () => {
+  let cacheHome;
+  let workDir;
+  const originalCacheHome = process.env.XDG_CACHE_HOME;
+  const originalFetch = globalThis.fetch;
+  const url = "https://github.com/a/b/releases/download/v1/tool.tar.gz";
+
+  beforeAll(() => {
+    cacheHome = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-cache-"));
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-work-"));
+    process.env.XDG_CACHE_HOME = cacheHome;
+  });
+
+  afterAll(() => {
+    globalThis.fetch = originalFetch;
+    if (originalCacheHome === undefined) {
+      delete process.env.XDG_CACHE_HOME;
+    } else {
+      process.env.XDG_CACHE_HOME = originalCacheHome;
+    }
+    fs.rmSync(cacheHome, { recursive: true, force: true });
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("streams a complete download to the destination", async () => {
+    globalThis.fetch = async () =>
+      new Response("hello world", { status: 200, headers: { "content-length": "11" } });
+
+    const dest = path.join(workDir, "fresh");
+    const { size } = await streamDownload(url, dest);
+    expect(size).toBe(11);
+    expect(fs.readFileSync(dest, "utf8")).toBe("hello world");
+    expect(fs.existsSync(getPartialDownloadPath(url))).toBe(false);
+  });
+
+  test("keeps the partial file when the transfer is interrupted", async () => {
+    globalThis.fetch = async () =>
+      new Response(brokenStream("hello "), {
+        status: 200,
+        headers: { "content-length": "11", etag: '"v1"' },
+      });
+
+    const dest = path.join(workDir, "resumed");
+    await expect(streamDownload(url, dest, { retries: 0 })).rejects.toThrow("Run again to resume");
+    expect(fs.readFileSync(getPartialDownloadPath(url), "utf8")).toBe("hello ");
+    expect(fs.existsSync(dest)).toBe(false);
+  });
+
+  test("resumes with Range and If-Range", async () => {
+    let sentHeaders;
+    globalThis.fetch = async (_, options) => {
+      sentHeaders = options.headers;
+      return new Response("world", {
+        status: 206,
+        headers: { "content-length": "5", etag: '"v1"' },
+      });
+    };
+
+    const dest = path.join(workDir, "resumed");
+    let resumedFrom;
+    await streamDownload(url, dest, { onStart: (info) => (resumedFrom = info.resumedFrom) });
+    expect(sentHeaders.Range).toBe("bytes=6-");
+    expect(sentHeaders["If-Range"]).toBe('"v1"');
+    expect(resumedFrom).toBe(6);
+    expect(fs.readFileSync(dest, "utf8")).toBe("hello world");
+  });
+
+  test("starts over when the server ignores the range", async () => {
+    globalThis.fetch = async () =>
+      new Response(brokenStream("old "), {
+        status: 200,
+        headers: { "content-length": "11", etag: '"v1"' },
+      });
+    const dest = path.join(workDir, "restarted");
+    await expect(streamDownload(url, dest, { retries: 0 })).rejects.toThrow();
+
+    globalThis.fetch = async () =>
+      new Response("new content", { status: 200, headers: { etag: '"v2"' } });
+    await streamDownload(url, dest);
+    expect(fs.readFileSync(dest, "utf8")).toBe("new content");
+  });
+
+  test("finishes a response the caller already started reading", async () => {
+    let requests = 0;
+    globalThis.fetch = async () => {
+      requests++;
+      return new Response("again", { status: 200 });
+    };
+
+    const response = new Response("hello world", { status: 200, headers: { "content-length": "11" } });
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    const dest = path.join(workDir, "opened");
+    const { size } = await streamDownload(url, dest, { opened: { response, reader, chunks: [value] } });
+
+    expect(requests).toBe(0);
+    expect(size).toBe(11);
+    expect(fs.readFileSync(dest, "utf8")).toBe("hello world");
+  });
+
+  test("returns failed responses for the caller to report", async () => {
+    globalThis.fetch = async () => new Response("nope", { status: 404, statusText: "Not Found" });
+    const { response } = await streamDownload("https://example.com/missing", path.join(workDir, "missing"), {
+      retries: 0,
+    });
+    expect(response.status).toBe(404);
+  });
+});
@@ -78,6 +78,24 @@ const getInstallCapabilities = () => {
   };
 };
 
+/**
+ * Whether AppImages can mount themselves: they need /dev/fuse and libfuse 2.
+ * Without them an AppImage has to be extracted with --appimage-extract.
+ */
+const hasFuse = () => {
+  const fs = require("fs");
+  if (process.platform !== "linux" || !fs.existsSync("/dev/fuse")) return false;
+  for (const ldconfig of ["ldconfig", "/sbin/ldconfig"]) {
+    try {
+      return safeExecSync(ldconfig, ["-p"]).toString().includes("libfuse.so.2");
+    } catch {
+      // Try the next one
+    }
+  }
+  // Can't tell which libraries are installed; /dev/fuse is a good sign
+  return true;
+};
+
 /**
  * Extract extension from filename
  * Handles compound extensions like tar.gz, tar.xz, etc.
@@ -96,7 +114,9 @@ const getExtension = (filename) => {
     return potentialCompound;
   }
   
-  return parts.pop();
+  // nvim.appimage is as much an AppImage as Obsidian.AppImage
+  const extension = parts.pop();
+  return extension.toLowerCase() === "appimage" ? "AppImage" : extension;
 };
 
 /**
@@ -302,6 +322,7 @@ module.exports = {
   
   // Platform compatibility
   getInstallCapabilities,
+  hasFuse,
   isExtensionSupported,
   getBoostedExtensions,
   
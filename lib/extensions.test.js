@@ -57,6 +57,11 @@ describe("getExtension", () => {
       expect(getExtension("setup.exe")).toBe("exe");
     });
 
+    test("extracts AppImage whatever its case", () => {
+      expect(getExtension("Obsidian-1.5.3.AppImage")).toBe("AppImage");
+      expect(getExtension("nvim.appimage")).toBe("AppImage");
+    });
+
     test("handles real-world DMG filenames", () => {
       expect(getExtension("Pearcleaner.dmg")).toBe("dmg");
       expect(getExtension("Visual Studio Code-darwin-universal.dmg")).toBe("dmg");
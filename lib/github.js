@@ -0,0 +1,233 @@
+const fs = require("fs");
+const path = require("path");
+const { loadSettings, getHostProvider, getConfigDir } = require("./config");
+const { safeExecSync, sleep } = require("./utils");
+const { cachedFetch } = require("./cache");
+
+const DEFAULT_GITHUB_HOST = "https://github.com";
+
+/**
+ * Check whether a hostname is github.com or a GitHub Enterprise Server
+ * instance configured in settings.json, e.g.
+ * { "hosts": { "github.mycorp.com": "github" } }
+ */
+const isGitHubHost = (hostname) => {
+  if (!hostname) return false;
+  const lower = hostname.toLowerCase();
+  return (
+    lower === "github.com" ||
+    lower === "www.github.com" ||
+    getHostProvider(lower) === "github"
+  );
+};
+
+/**
+ * Resolve the web, API and raw-content base URLs for a GitHub host.
+ * github.com uses its dedicated API and raw domains; Enterprise instances
+ * serve them under /api/v3 and /raw unless the host's settings entry
+ * provides "api" or "raw" overrides.
+ */
+const getGitHubEndpoints = (host = DEFAULT_GITHUB_HOST) => {
+  const { origin, hostname } = new URL(host || DEFAULT_GITHUB_HOST);
+
+  if (hostname === "github.com" || hostname === "www.github.com") {
+    return {
+      web: "https://github.com",
+      api: "https://api.github.com",
+      raw: "https://raw.githubusercontent.com",
+    };
+  }
+
+  const entry = (loadSettings().hosts || {})[hostname];
+  const overrides = entry && typeof entry === "object" ? entry : {};
+
+  return {
+    web: origin,
+    api: (overrides.api || `${origin}/api/v3`).replace(/\/+$/, ""),
+    raw: (overrides.raw || `${origin}/raw`).replace(/\/+$/, ""),
+  };
+};
+
+const isDefaultGitHubHost = (host) => {
+  return !host || getGitHubEndpoints(host).web === DEFAULT_GITHUB_HOST;
+};
+
+// API and raw-content domains that belong to github.com itself
+const GITHUB_DOMAINS = [
+  "github.com",
+  "www.github.com",
+  "api.github.com",
+  "raw.githubusercontent.com",
+];
+
+// Rate-limit resets this close are waited out instead of failing
+const MAX_RATE_LIMIT_WAIT = 60 * 1000;
+
+// Tokens by hostname, looked up once per run (clearTokenCache starts over)
+const tokenCache = new Map();
+
+const clearTokenCache = () => {
+  tokenCache.clear();
+};
+
+const readTokenFile = (file) => {
+  try {
+    return fs.readFileSync(file, "utf8").trim() || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const readGhCliToken = (hostname) => {
+  try {
+    return (
+      safeExecSync("gh", ["auth", "token", "--hostname", hostname], {
+        stdio: ["ignore", "pipe", "ignore"],
+        timeout: 5000,
+      }).trim() || null
+    );
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Find a token for a GitHub hostname. github.com checks GITHUB_TOKEN,
+ * GH_TOKEN, <config dir>/github-token and then `gh auth token`; Enterprise
+ * hosts check GH_ENTERPRISE_TOKEN, a "token" in their settings.json entry
+ * and then `gh auth token --hostname`. Results are cached per host.
+ */
+const getGitHubToken = (hostname = "github.com") => {
+  if (tokenCache.has(hostname)) return tokenCache.get(hostname);
+
+  let token;
+  if (hostname === "github.com") {
+    token =
+      process.env.GITHUB_TOKEN ||
+      process.env.GH_TOKEN ||
+      readTokenFile(path.join(getConfigDir(), "github-token")) ||
+      readGhCliToken(hostname);
+  } else {
+    const entry = (loadSettings().hosts || {})[hostname];
+    token =
+      process.env.GH_ENTERPRISE_TOKEN ||
+      process.env.GITHUB_ENTERPRISE_TOKEN ||
+      (entry && typeof entry === "object" && entry.token) ||
+      readGhCliToken(hostname);
+  }
+
+  tokenCache.set(hostname, token || null);
+  return token || null;
+};
+
+/**
+ * Map an API or raw-content URL back to the GitHub hostname it belongs to,
+ * including Enterprise hosts whose "api" or "raw" override lives elsewhere
+ */
+const getGitHubHostname = (url) => {
+  const { hostname } = new URL(url);
+  if (GITHUB_DOMAINS.includes(hostname)) return "github.com";
+
+  for (const webHost of Object.keys(loadSettings().hosts || {})) {
+    if (getHostProvider(webHost) !== "github") continue;
+    const { api, raw } = getGitHubEndpoints(`https://${webHost}`);
+    if ([api, raw].some((base) => new URL(base).hostname === hostname)) {
+      return webHost.toLowerCase();
+    }
+  }
+  return hostname;
+};
+
+const getGitHubHeaders = (url, headers = {}) => {
+  const token = getGitHubToken(getGitHubHostname(url));
+  return {
+    "User-Agent": "justinstall/1.2.0",
+    ...(token && { Authorization: `Bearer ${token}` }),
+    ...headers,
+  };
+};
+
+/**
+ * Get the rate-limit reset time of a response, or null if it wasn't limited
+ */
+const getRateLimitReset = (response) => {
+  if (response.status !== 403 && response.status !== 429) return null;
+
+  const retryAfter = response.headers.get("retry-after");
+  if (retryAfter) {
+    return new Date(Date.now() + Number(retryAfter) * 1000);
+  }
+
+  if (response.headers.get("x-ratelimit-remaining") !== "0") return null;
+
+  const reset = Number(response.headers.get("x-ratelimit-reset"));
+  return reset ? new Date(reset * 1000) : null;
+};
+
+/**
+ * fetch() for GitHub API and raw-content URLs. Sends the user's token when
+ * one is available, revalidates cached responses, and handles rate
+ * limiting: short waits are slept through once, longer ones fail with the
+ * reset time.
+ */
+const githubFetch = async (url, options = {}) => {
+  const request = () =>
+    cachedFetch(url, {
+      ...options,
+      headers: getGitHubHeaders(url, options.headers),
+    });
+
+  let response = await request();
+  let reset = getRateLimitReset(response);
+
+  if (reset && reset - Date.now() <= MAX_RATE_LIMIT_WAIT) {
+    await sleep(Math.max(reset - Date.now(), 0) + 1000);
+    response = await request();
+    reset = getRateLimitReset(response);
+  }
+
+  if (reset) {
+    const minutes = Math.ceil((reset - Date.now()) / 60000);
+    const hint = getGitHubToken(getGitHubHostname(url))
+      ? ""
+      : "\nSet GITHUB_TOKEN or run 'gh auth login' to raise the limit.";
+    throw new Error(
+      `GitHub API rate limit exceeded. Resets at ${reset.toLocaleTimeString()} ` +
+      `(in ${minutes} minute${minutes === 1 ? "" : "s"}).${hint}`
+    );
+  }
+
+  return response;
+};
+
+/**
+ * Work out how to download a release asset. browser_download_url 404s for
+ * private repositories, so when a token is available the asset is fetched
+ * through the API endpoint instead. Returns { url, headers }.
+ */
+const getGitHubAssetDownload = (asset) => {
+  const isApiAsset = /\/releases\/assets\/\d+$/.test(asset.url || "");
+  if (isApiAsset && getGitHubToken(getGitHubHostname(asset.url))) {
+    return {
+      url: asset.url,
+      headers: getGitHubHeaders(asset.url, {
+        Accept: "application/octet-stream",
+      }),
+    };
+  }
+  return { url: asset.browser_download_url, headers: {} };
+};
+
+module.exports = {
+  DEFAULT_GITHUB_HOST,
+  isGitHubHost,
+  getGitHubEndpoints,
+  isDefaultGitHubHost,
+  getGitHubToken,
+  clearTokenCache,
+  getGitHubHostname,
+  getGitHubHeaders,
+  getRateLimitReset,
+  githubFetch,
+  getGitHubAssetDownload,
+};
@@ -0,0 +1,146 @@
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getGitHubToken,
+  clearTokenCache,
+  getGitHubHostname,
+  getGitHubHeaders,
+  getRateLimitReset,
+  githubFetch,
+  getGitHubAssetDownload,
+} = require("./github");
+
+const rateLimited = (resetSeconds) =>
+  new Response("{}", {
+    status: 403,
+    headers: {
+      "x-ratelimit-remaining": "0",
+      "x-ratelimit-reset": String(resetSeconds),
+    },
+  });
+
+describe("GitHub tokens", () => {
+  const originalToken = process.env.GITHUB_TOKEN;
+
+  const originalConfigHome = process.env.XDG_CONFIG_HOME;
+  let configHome;
+
+  beforeAll(() => {
+    process.env.GITHUB_TOKEN = "test-token";
+    configHome = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-config-"));
+    process.env.XDG_CONFIG_HOME = configHome;
+    fs.mkdirSync(path.join(configHome, "justinstall"), { recursive: true });
+    fs.writeFileSync(
+      path.join(configHome, "justinstall", "settings.json"),
+      JSON.stringify({
+        hosts: {
+          "ghe.example.org": { type: "github", api: "https://api.ghe.example.org", token: "ghe-token" },
+        },
+      }),
+    );
+    clearTokenCache();
+  });
+
+  afterAll(() => {
+    for (const [name, value] of [["GITHUB_TOKEN", originalToken], ["XDG_CONFIG_HOME", originalConfigHome]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    fs.rmSync(configHome, { recursive: true, force: true });
+    clearTokenCache();
+  });
+
+  test("reads the token from GITHUB_TOKEN", () => {
+    expect(getGitHubToken("github.com")).toBe("test-token");
+  });
+
+  test("finds the Enterprise token for an API host override", () => {
+    expect(getGitHubHostname("https://api.ghe.example.org/repos/a/b/releases")).toBe("ghe.example.org");
+    const headers = getGitHubHeaders("https://api.ghe.example.org/repos/a/b/releases");
+    expect(headers.Authorization).toBe("Bearer ghe-token");
+  });
+
+  test("looks tokens up again after clearTokenCache", () => {
+    process.env.GITHUB_TOKEN = "rotated-token";
+    expect(getGitHubToken("github.com")).toBe("test-token");
+    clearTokenCache();
+    expect(getGitHubToken("github.com")).toBe("rotated-token");
+    process.env.GITHUB_TOKEN = "test-token";
+    clearTokenCache();
+  });
+
+  test("sends the token to API and raw-content URLs", () => {
+    const api = getGitHubHeaders("https://api.github.com/repos/a/b/releases");
+    const raw = getGitHubHeaders("https://raw.githubusercontent.com/a/b/main/README.md");
+    expect(api.Authorization).toBe("Bearer test-token");
+    expect(raw.Authorization).toBe("Bearer test-token");
+  });
+
+  test("downloads assets through the API when a token is available", () => {
+    const download = getGitHubAssetDownload({
+      url: "https://api.github.com/repos/myorg/tool/releases/assets/42",
+      browser_download_url: "https://github.com/myorg/tool/releases/download/v1/tool.tar.gz",
+    });
+    expect(download.url).toBe("https://api.github.com/repos/myorg/tool/releases/assets/42");
+    expect(download.headers.Accept).toBe("application/octet-stream");
+    expect(download.headers.Authorization).toBe("Bearer test-token");
+  });
+
+  test("uses browser_download_url for assets without an API URL", () => {
+    const download = getGitHubAssetDownload({
+      browser_download_url: "https://example.com/tool.tar.gz",
+    });
+    expect(download).toEqual({ url: "https://example.com/tool.tar.gz", headers: {} });
+  });
+
+  test("keeps caller-supplied headers", () => {
+    const headers = getGitHubHeaders("https://api.github.com/", { Accept: "application/json" });
+    expect(headers.Accept).toBe("application/json");
+    expect(headers["User-Agent"]).toBeDefined();
+  });
+});
+
+describe("getRateLimitReset", () => {
+  test("returns the reset time of a rate-limited response", () => {
+    const reset = getRateLimitReset(rateLimited(1700000000));
+    expect(reset.getTime()).toBe(1700000000 * 1000);
+  });
+
+  test("honors Retry-After", () => {
+    const response = new Response("{}", { status: 429, headers: { "retry-after": "30" } });
+    const reset = getRateLimitReset(response);
+    expect(reset.getTime()).toBeGreaterThan(Date.now() + 25000);
+  });
+
+  test("ignores forbidden responses with quota left", () => {
+    const response = new Response("{}", {
+      status: 403,
+      headers: { "x-ratelimit-remaining": "12" },
+    });
+    expect(getRateLimitReset(response)).toBeNull();
+    expect(getRateLimitReset(new Response("{}", { status: 200 }))).toBeNull();
+  });
+});
+
+describe("githubFetch", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterAll(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("reports when a distant rate limit resets", async () => {
+    globalThis.fetch = async () => rateLimited(Math.floor(Date.now() / 1000) + 3600);
+    await expect(githubFetch("https://api.github.com/repos/a/b")).rejects.toThrow(
+      "GitHub API rate limit exceeded. Resets at",
+    );
+  });
+
+  test("returns successful responses untouched", async () => {
+    globalThis.fetch = async () => new Response("[]", { status: 200 });
+    const response = await githubFetch("https://api.github.com/repos/a/b");
+    expect(response.status).toBe(200);
+  });
+});
@@ -100,6 +100,20 @@ const getInstallerScriptConfig = (extension) => {
   return INSTALLER_SCRIPT_CONFIG[extension.toLowerCase()] || null
 }
 
+// Directories archives keep shell completions in
+const COMPLETION_DIRS = ['complete', 'completion', 'completions', 'autocomplete']
+
+/**
+ * Check whether a path (relative to the archive root) is inside a
+ * completions directory. Whole path segments are compared, so a tool named
+ * autocomplete-cli isn't mistaken for one.
+ * @param {string} filePath - Path relative to the archive root
+ * @returns {boolean}
+ */
+const isCompletionPath = (filePath) => {
+  return path.dirname(filePath).toLowerCase().split(/[\\/]/).some((segment) => COMPLETION_DIRS.includes(segment))
+}
+
 /**
  * Score an installer script based on filename relevance to current platform
  * @param {string} filePath - Path to the script (relative or absolute)
@@ -142,10 +156,11 @@ const scoreInstallerScript = (filePath, extension) => {
   }
 
   // Penalize completion scripts heavily
-  // Check directory path for 'completion' or 'completions'
+  // Check directory path for 'completion(s)', 'complete' or 'autocomplete'
   const dirname = path.dirname(filePath).toLowerCase();
   
   if (
+    isCompletionPath(filePath) ||
     dirname.includes('completion') || 
     dirname.includes('completions') ||
     dirname.includes('examples') ||
@@ -321,6 +336,7 @@ module.exports = {
   isInstallerScript,
   isInstallerScriptCompatible,
   getInstallerScriptConfig,
+  isCompletionPath,
   scoreInstallerScript,
   detectInstallerScripts,
   findBestInstallerScript,
@@ -6,16 +6,20 @@ const os = require("os");
 const {
   parseSource,
   getGitHubAssets,
+  getGitLabAssets,
+  getGiteaAssets,
   getWebsiteAssets,
   trySmartDownload,
   downloadFromUrl,
   findInstallScripts,
+  getGitHubReadme,
   hasHighPriorityInstallScript,
   getHighestScriptScore,
 } = require("./sources");
 const {
   getPlatformInfo,
-  selectBestAsset,
+  rankAssets,
+  matchesAssetPattern,
   getBinaries,
   selectBinaries,
   processExtractedPackages,
@@ -24,8 +28,34 @@ const {
   mountDMG,
   ejectDMG,
   installBinaries,
+  installAppImage,
+  extractAppImageMetadata,
+  findExtras,
+  installExtras,
+  findDesktopFiles,
+  isGuiArchive,
   installDeb,
+  installRpm,
 } = require("./installers");
+const { getGitHubEndpoints, getGitHubAssetDownload, githubFetch } = require("./github");
+const { getPinOptions } = require("./versions");
+const { getCachedDownload, removeCachedDownload, isOffline } = require("./cache");
+const { isTransientError } = require("./retry");
+const { assertLockEntryUsable } = require("./lockfile");
+const { getVersionDir, addVersion } = require("./store");
+const { beginTransaction } = require("./transaction");
+const {
+  selectChecksumAssets,
+  findExpectedChecksum,
+  parseDigest,
+  verifyChecksum,
+} = require("./checksums");
+const {
+  findSignatureAsset,
+  getTrustId,
+  describeKey,
+  verifyReleaseSignature,
+} = require("./signatures");
 const {
   getInstallCapabilities,
   extractArchive,
@@ -44,12 +74,14 @@ const {
   hashFile,
   extractName,
   getInstallation,
+  getBinDir,
 } = require("./config");
 const {
   createLogger,
   confirm,
   fileSize,
   checkPath,
+  confirmOverwrite,
   processInstallSnippetReplacements,
   promptChoice,
   promptChoiceWithEdit,
@@ -67,7 +99,14 @@ const SCRIPT_PREVIEW_CONFIG = {
 
 let tmpdir;
 
-const performInstallation = async (args, isUpdate = false, yesFlag = false) => {
+/**
+ * Install from args[0] (args[1] is a replacement file for updates). options
+ * can override the record name, pick the asset with a pattern (asset), name
+ * the binaries to install (binaries), install exactly the asset of a lock
+ * entry (locked) or stop after downloading and verifying (resolveOnly),
+ * returning the record that would be saved.
+ */
+const performInstallation = async (args, isUpdate = false, yesFlag = false, options = {}) => {
   const log = createLogger();
 
   if (args.length === 0) {
@@ -85,11 +124,15 @@ const performInstallation = async (args, isUpdate = false, yesFlag = false) => {
   log.debug(`Detected ${platformInfo.arch} on ${platformInfo.platform}`);
 
   let selected;
+  let candidates = [];
   let releaseInfo = {};
   let downloadPath;
 
   try {
-    switch (source.type) {
+    switch (options.locked ? "locked" : source.type) {
+      case "locked":
+        ({ selected, releaseInfo } = resolveLockedAsset(options.locked));
+        break;
       case "file":
         selected = await handleFileSource(source, customFilePath, log);
         break;
@@ -104,6 +147,7 @@ const performInstallation = async (args, isUpdate = false, yesFlag = false) => {
           log,
         );
         selected = smartResult.selected;
+        candidates = smartResult.candidates || [];
         releaseInfo = smartResult.releaseInfo;
         break;
       case "website":
@@ -114,8 +158,21 @@ const performInstallation = async (args, isUpdate = false, yesFlag = false) => {
           log,
         );
         selected = websiteResult.selected;
+        candidates = websiteResult.candidates || [];
         releaseInfo = websiteResult.releaseInfo;
         break;
+      case "gitlab":
+      case "gitea":
+        const hostedResult = await handleHostedReleaseSource(
+          source,
+          platformInfo,
+          capabilities,
+          log,
+        );
+        selected = hostedResult.selected;
+        candidates = hostedResult.candidates || [];
+        releaseInfo = hostedResult.releaseInfo;
+        break;
       case "github":
         const result = await handleGitHubSource(
           source,
@@ -124,6 +181,7 @@ const performInstallation = async (args, isUpdate = false, yesFlag = false) => {
           log,
           yesFlag,
           isUpdate,
+          !options.resolveOnly,
         );
 
         // Handle script installation case
@@ -133,6 +191,7 @@ const performInstallation = async (args, isUpdate = false, yesFlag = false) => {
         }
 
         selected = result.selected;
+        candidates = result.candidates || [];
         releaseInfo = result.releaseInfo;
         break;
     }
@@ -141,53 +200,157 @@ const performInstallation = async (args, isUpdate = false, yesFlag = false) => {
       throw new Error("No suitable package found");
     }
 
+    if (options.asset) {
+      candidates = (candidates.length > 0 ? candidates : [selected]).filter((asset) =>
+        matchesAssetPattern(asset.name, options.asset),
+      );
+      selected = candidates[0];
+      if (!selected) {
+        throw new Error(`No compatible asset matches "${options.asset}"`);
+      }
+    }
+
     const shouldInstall = await confirm(
       `Ok to ${isUpdate ? "update" : "install"} ${selected.name} (${selected.size ? fileSize(selected.size) : selected.browser_download_url})?`,
       "y",
-      yesFlag
+      yesFlag || options.resolveOnly
     );
 
     if (!shouldInstall) {
       throw new Error(`Aborted ${isUpdate ? "update" : "installation"}`);
     }
 
-    downloadPath = await downloadSelected(selected, source, log);
-    const installationResult = await installSelected(
-      selected,
-      downloadPath,
-      log,
-      yesFlag,
-      isUpdate,
-    );
-
-    if (!isUpdate) {
-      // Save installation record
-      const fileHash = hashFile(downloadPath);
-      const installRecord = createInstallationRecord(source, selected, {
-        name: extractName(selected),
+    ({ selected, downloadPath } = await downloadWithFallback(selected, candidates, source, log));
+    const fileHash = hashFile(downloadPath);
+    if (options.locked) {
+      verifyLockedDownload(selected, fileHash, options.locked, log);
+    }
+    const verified = await verifyDownload(selected, downloadPath, releaseInfo.checksums, source, log);
+    const signature = await verifySignature(selected, downloadPath, releaseInfo, source, verified, log);
+    const checksum = verified && { algorithm: verified.algorithm, digest: verified.digest, file: verified.file };
+
+    const name = options.name || getPackageName(selected, downloadPath);
+    const previous = getInstallation(name);
+    const binDir = getBinDir(name, isUpdate ? previous?.installation?.binDir : null);
+    const versionDir = getVersionDir(name, releaseInfo.tag || fileHash.slice(0, 12));
+
+    const createRecord = (installationResult = {}) =>
+      createInstallationRecord(source, selected, {
+        name,
         hash: fileHash,
+        checksum,
+        signature,
         installMethod: installationResult.method,
         preferredMethod: installationResult.method,
         selectedAssetPattern: selected.name,
+        overrides: options.asset || options.binaries
+          ? { asset: options.asset, binaries: options.binaries }
+          : null,
         binaries: installationResult.binaries,
         destinations: installationResult.destinations,
+        binDir: installationResult.binDir,
+        extras: installationResult.extras,
+        systemPackage: installationResult.systemPackage,
         version: releaseInfo.tag,
         commit: releaseInfo.commit,
         prerelease: releaseInfo.prerelease,
       });
 
-      addInstallation(installRecord);
+    if (options.resolveOnly) {
+      return { selected, hash: fileHash, checksum, signature, record: createRecord() };
+    }
+
+    // Files are staged and only replaced once everything succeeded. The
+    // caller's transaction (options.transaction) is left for it to commit.
+    const transaction = options.transaction || beginTransaction(name);
+    let record;
+    let appToOpen;
+    try {
+      const installationResult = await installSelected(
+        selected,
+        downloadPath,
+        log,
+        yesFlag,
+        isUpdate,
+        options.binaries,
+        binDir,
+        versionDir,
+        transaction,
+        previous?.installation?.destinations,
+      );
+
+      record = createRecord(installationResult);
+      if (installationResult.versionDir) {
+        record = addVersion(record, installationResult.versionDir, previous);
+      }
+      if (!options.transaction) {
+        transaction.commit(isUpdate ? [] : [record]);
+      }
+      appToOpen = options.transaction ? null : installationResult.appToOpen;
+    } catch (error) {
+      transaction.rollback();
+      throw error;
+    }
+
+    // Skip open app prompt during updates
+    if (appToOpen && !isUpdate && await confirm(`Open app ${path.basename(appToOpen)}?`, "y", yesFlag)) {
+      safeExecSync("open", ["-n", appToOpen]);
     }
 
     log.log(
       `Successfully ${isUpdate ? "updated" : "installed"
-      }: ${installationResult.binaries.join(", ")}`,
+      }: ${record.installation.binaries.join(", ")}`,
     );
+
+    return { selected, hash: fileHash, checksum, signature, record };
   } finally {
     cleanup();
   }
 };
 
+/**
+ * The name to record a package under. RPMs carry their own, while their
+ * asset names add a version, release and architecture to it.
+ */
+const getPackageName = (selected, downloadPath) => {
+  if (selected.extension === "rpm") {
+    try {
+      return require("./system").getRpmPackage(downloadPath).name;
+    } catch {
+      // No rpm to ask; fall back to the asset name
+    }
+  }
+  return extractName(selected);
+};
+
+/**
+ * The asset a lock entry pins, in the shape the release handlers return
+ */
+const resolveLockedAsset = ({ name, entry }) => {
+  assertLockEntryUsable(name, entry);
+  return {
+    selected: {
+      name: entry.asset,
+      size: entry.size,
+      extension: getExtension(entry.asset),
+      browser_download_url: entry.url,
+    },
+    releaseInfo: { tag: entry.tag, commit: entry.commit },
+  };
+};
+
+const verifyLockedDownload = (selected, fileHash, { name, entry }, log) => {
+  if (fileHash !== entry.sha256) {
+    // Don't leave the wrong bytes in the cache for the next attempt
+    removeCachedDownload(selected.browser_download_url);
+    throw new Error(
+      `${selected.name} doesn't match the lockfile: expected sha256 ${entry.sha256}, got ${fileHash}. ` +
+      `Refusing to install ${name} with --frozen.`
+    );
+  }
+  log.log(`Verified ${selected.name} against the lockfile`);
+};
+
 const handleFileSource = async (source, customFilePath, log) => {
   const filePath = customFilePath || source.url;
 
@@ -269,7 +432,8 @@ const handleSmartUrlSource = async (
     }
 
     // Try to find a suitable asset using the same logic as GitHub
-    const selected = selectBestAsset(result.assets, platformInfo, capabilities);
+    const candidates = rankAssets(result.assets, platformInfo, capabilities);
+    const selected = candidates[0] || null;
 
     if (!selected) {
       // List available assets to help user
@@ -291,6 +455,7 @@ const handleSmartUrlSource = async (
 
     return {
       selected,
+      candidates,
       releaseInfo: { body: result.body },
     };
   }
@@ -316,7 +481,8 @@ const handleWebsiteSource = async (source, platformInfo, capabilities, log) => {
   }
 
   // Try to find a suitable asset using the same logic as GitHub
-  const selected = selectBestAsset(assets, platformInfo, capabilities);
+  const candidates = rankAssets(assets, platformInfo, capabilities);
+  const selected = candidates[0] || null;
 
   if (!selected) {
     // List available assets to help user
@@ -338,10 +504,73 @@ const handleWebsiteSource = async (source, platformInfo, capabilities, log) => {
 
   return {
     selected,
+    candidates,
     releaseInfo: { body },
   };
 };
 
+// Release hosts other than GitHub, which only offer release assets (no README script detection)
+const HOSTED_RELEASE_PROVIDERS = {
+  gitlab: {
+    getAssets: (source) =>
+      getGitLabAssets(source.host, source.project, source.specificTag),
+    releasesUrl: (source) => `${source.host}/${source.project}/-/releases`,
+  },
+  gitea: {
+    getAssets: (source) =>
+      getGiteaAssets(source.host, source.owner, source.repo, source.specificTag),
+    releasesUrl: (source) =>
+      `${source.host}/${source.owner}/${source.repo}/releases`,
+  },
+};
+
+const handleHostedReleaseSource = async (
+  source,
+  platformInfo,
+  capabilities,
+  log,
+) => {
+  const provider = HOSTED_RELEASE_PROVIDERS[source.type];
+  const { assets, checksums, signatures, body, tag, commit, prerelease } =
+    await provider.getAssets(source);
+
+  log.debug(`Found ${assets.length} assets`);
+
+  if (prerelease) {
+    log.warn(`Using prerelease version: ${tag}`);
+  } else if (tag) {
+    log.debug(`Using release: ${tag}`);
+  }
+
+  const candidates = rankAssets(assets, platformInfo, capabilities);
+  const selected = candidates[0] || null;
+
+  if (!selected) {
+    if (assets.length > 0) {
+      log.log("No compatible assets found. Available downloads:");
+      assets.forEach((asset, index) => {
+        log.log(
+          `  ${index + 1}. ${asset.name} (${asset.extension || "no extension"
+          }) - ${asset.browser_download_url}`,
+        );
+      });
+    }
+
+    throw new Error(
+      `Couldn't find a compatible binary for ${platformInfo.platform}/${platformInfo.arch}. ` +
+      `Check manually: ${provider.releasesUrl(source)}`,
+    );
+  }
+
+  log.debug(`Selected asset: ${selected.name} (${selected.extension})`);
+
+  return {
+    selected,
+    candidates,
+    releaseInfo: { tag, commit, body, prerelease, checksums, signatures },
+  };
+};
+
 const displayScriptPreview = (script, log) => {
   const { code, source, score } = script;
   log.log(
@@ -498,12 +727,22 @@ const executeInstallScript = (script, log) => {
   safeExecSync("sh", ["-c", processedCode], { stdio: "inherit" });
 };
 
-const handleGitHubSource = async (source, platformInfo, capabilities, log, yesFlag = false, isUpdate = false) => {
+const handleGitHubSource = async (
+  source,
+  platformInfo,
+  capabilities,
+  log,
+  yesFlag = false,
+  isUpdate = false,
+  allowScripts = true,
+) => {
   let assets = [];
   let body = "";
   let tag = null;
   let commit = null;
   let prerelease = false;
+  let checksums = [];
+  let signatures = [];
 
   const previousInstallation = getInstallation(source.repo);
   const preferredMethod = previousInstallation?.installation?.preferredMethod;
@@ -519,12 +758,16 @@ const handleGitHubSource = async (source, platformInfo, capabilities, log, yesFl
       source.owner,
       source.repo,
       source.specificTag,
+      source.host,
+      getPinOptions(source.pin),
     );
     assets = releaseData.assets;
     body = releaseData.body;
     tag = releaseData.tag;
     commit = releaseData.commit;
     prerelease = releaseData.prerelease;
+    checksums = releaseData.checksums || [];
+    signatures = releaseData.signatures || [];
   } catch (error) {
     if (!error.message.includes("No releases found in GitHub repository")) {
       throw error;
@@ -540,13 +783,14 @@ const handleGitHubSource = async (source, platformInfo, capabilities, log, yesFl
     log.debug(`Using stable release: ${tag}`);
   }
 
-  const selected = selectBestAsset(assets, platformInfo, capabilities);
+  const candidates = rankAssets(assets, platformInfo, capabilities);
+  const selected = candidates[0] || null;
   // Boost binary score significantly if we found a compatible binary
   // This ensures we prioritize direct binary downloads over install scripts unless strict overrides exist
   const binaryScore = selected ? (selected.points || 10) + 100 : 0;
 
-  const skipScriptDetection = isUpdate && preferredMethod && 
-    !["script", "installer_script"].includes(preferredMethod);
+  const skipScriptDetection = !allowScripts || (isUpdate && preferredMethod &&
+    !["script", "installer_script"].includes(preferredMethod));
 
   let installScripts = [];
   if (isUpdate && preferredMethod === "script" && storedScript) {
@@ -563,6 +807,7 @@ const handleGitHubSource = async (source, platformInfo, capabilities, log, yesFl
       source.owner,
       source.repo,
       body,
+      source.host,
     );
     log.debug(
       `Found ${installScripts.length} platform-compatible install scripts`,
@@ -579,10 +824,13 @@ const handleGitHubSource = async (source, platformInfo, capabilities, log, yesFl
 
     if (await confirm(`Run install script? ${installerScript.name}`, "y", yesFlag)) {
       const scriptPath = path.join(tmpdir, "installer.sh");
+      const { url, headers } = getGitHubAssetDownload(installerScript);
       const { size } = await downloadFromUrl(
-        installerScript.browser_download_url,
+        url,
         scriptPath,
         log,
+        headers,
+        installerScript.browser_download_url,
       );
       safeExecSync("chmod", ["+x", scriptPath]);
       safeExecSync(scriptPath, [], { stdio: "inherit" });
@@ -656,16 +904,19 @@ const handleGitHubSource = async (source, platformInfo, capabilities, log, yesFl
     }
     throw new Error(
       `Couldn't find a compatible binary for ${platformInfo.platform}/${platformInfo.arch}. ` +
-      `Check manually: https://github.com/${source.owner}/${source.repo}/releases`,
+      `Check manually: ${getGitHubEndpoints(source.host).web}/${source.owner}/${source.repo}/releases`,
     );
   }
 
   return {
     selected,
-    releaseInfo: { tag, commit, body, prerelease },
+    candidates,
+    releaseInfo: { tag, commit, body, prerelease, checksums, signatures },
   };
 };
 
+const RELEASE_SOURCE_TYPES = ["github", "gitlab", "gitea"];
+
 const downloadSelected = async (selected, source, log) => {
   if (selected.localPath) {
     // File or already downloaded
@@ -674,13 +925,203 @@ const downloadSelected = async (selected, source, log) => {
   }
 
   const downloadPath = path.join(tmpdir, selected.name);
+
+  // Release asset URLs are tied to a tag; other URLs (e.g. ".../latest.dmg")
+  // can change content, so only trust the cache when the size still matches
+  const cached = getCachedDownload(selected.browser_download_url);
+  const isReleaseAsset = RELEASE_SOURCE_TYPES.includes(source.type);
+  if (cached && (isReleaseAsset || (selected.size && selected.size === cached.size))) {
+    log.log(`Using cached download: ${selected.name} (${fileSize(cached.size)})`);
+    fs.copyFileSync(cached.path, downloadPath);
+    return downloadPath;
+  }
+
   log.debug(`Downloading ${selected.name} to ${path.resolve(downloadPath)}`);
 
-  await downloadFromUrl(selected.browser_download_url, downloadPath, log);
+  const { url, headers } =
+    source.type === "github"
+      ? getGitHubAssetDownload(selected)
+      : { url: selected.browser_download_url, headers: {} };
+  await downloadFromUrl(url, downloadPath, log, headers, selected.browser_download_url);
   return downloadPath;
 };
 
-const installSelected = async (selected, downloadPath, log, yesFlag = false, isUpdate = false) => {
+/**
+ * Download the selected asset, falling back to the next ranked candidate
+ * when it still fails after retries with a transient error (e.g. a mirror
+ * that keeps returning 502). Anything else, such as a 404, is thrown.
+ * Returns the asset that was downloaded along with its path.
+ */
+const downloadWithFallback = async (selected, candidates, source, log) => {
+  const queue = [selected, ...candidates.filter((asset) => asset !== selected)];
+
+  for (let i = 0; ; i++) {
+    try {
+      return { selected: queue[i], downloadPath: await downloadSelected(queue[i], source, log) };
+    } catch (error) {
+      const next = queue[i + 1];
+      if (!next || isOffline() || !isTransientError(error)) throw error;
+      log.warn(`Download of ${queue[i].name} failed: ${error.message}`);
+      log.log(`Trying next candidate: ${next.name}`);
+    }
+  }
+};
+
+const downloadReleaseFile = async (asset, source, filePath) => {
+  const { url, headers } =
+    source.type === "github"
+      ? getGitHubAssetDownload(asset)
+      : { url: asset.browser_download_url, headers: {} };
+  await downloadFromUrl(url, filePath, null, headers, asset.browser_download_url);
+  return filePath;
+};
+
+/**
+ * Check a download against the release's checksum files (or the digest in
+ * its metadata) and throw on a mismatch, or when the published checksum
+ * files can't be fetched. Returns { algorithm, digest, file, filePath } when
+ * a checksum was verified, filePath being the checksum file as fetched (null
+ * for release metadata), or null when none is published.
+ */
+const verifyDownload = async (selected, downloadPath, checksumAssets = [], source, log) => {
+  const checksumFiles = [];
+  const selectedAssets = selectChecksumAssets(checksumAssets, selected.name);
+  for (const [index, asset] of selectedAssets.entries()) {
+    const filePath = path.join(tmpdir, `checksums-${index}`);
+    try {
+      await downloadReleaseFile(asset, source, filePath);
+      checksumFiles.push({ name: asset.name, content: fs.readFileSync(filePath, "utf8"), filePath });
+    } catch (error) {
+      log.warn(`Couldn't fetch ${asset.name}: ${error.message}`);
+    }
+  }
+
+  const published = parseDigest(selected.digest);
+  const expected =
+    findExpectedChecksum(checksumFiles, selected.name) ||
+    (published && { ...published, file: "release metadata" });
+
+  if (!expected) {
+    if (selectedAssets.length > 0 && checksumFiles.length === 0) {
+      // A checksum is published but unreachable; don't quietly go unverified
+      throw new Error(
+        `Couldn't fetch the checksums published for ${selected.name} ` +
+        `(${selectedAssets.map((a) => a.name).join(", ")}), refusing to install it unverified. Try again later.`
+      );
+    }
+    if (checksumFiles.length > 0) {
+      log.warn(`No checksum listed for ${selected.name}, skipping verification`);
+    } else {
+      log.debug(`No checksums published for ${selected.name}`);
+    }
+    return null;
+  }
+
+  let verified;
+  try {
+    verified = verifyChecksum(downloadPath, selected.name, expected);
+  } catch (error) {
+    // Don't let a corrupted copy in the cache fail every later attempt
+    removeCachedDownload(selected.browser_download_url);
+    throw error;
+  }
+
+  const { algorithm, digest } = verified;
+  log.log(`Verified ${algorithm} checksum from ${expected.file}`);
+  const checksumFile = checksumFiles.find((file) => file.name === expected.file);
+  return { algorithm, digest, file: expected.file, filePath: checksumFile?.filePath || null };
+};
+
+/**
+ * Check the download, or the checksum file that vouched for it, against a
+ * published minisign/GPG signature. Throws on a bad signature or a changed
+ * key; returns what was verified, or null when nothing is signed.
+ */
+const verifySignature = async (selected, downloadPath, releaseInfo, source, checksum, log) => {
+  // Unsigned releases still go through verifyReleaseSignature, which refuses
+  // them once a key is pinned for the repository
+  const signingAssets = releaseInfo.signatures || [];
+
+  let target = { name: selected.name, filePath: downloadPath };
+  if (!findSignatureAsset(signingAssets, selected.name) && checksum?.file) {
+    // Projects often sign only their checksum list, which then covers the
+    // asset; check the very copy the asset's checksum was read from
+    const checksumAsset = (releaseInfo.checksums || []).find((a) => a.name === checksum.file);
+    if (checksumAsset && checksum.filePath && findSignatureAsset(signingAssets, checksumAsset.name)) {
+      target = { name: checksumAsset.name, filePath: checksum.filePath };
+    }
+  }
+
+  const trustId = getTrustId(source);
+  const result = await verifyReleaseSignature(
+    {
+      ...target,
+      signingAssets,
+      trustId,
+      fetchAsset: (asset) => downloadReleaseFile(asset, source, path.join(tmpdir, `signing-${asset.name}`)),
+      getKeyTexts: async () => {
+        const texts = [releaseInfo.body || ""];
+        if (source.type === "github") {
+          texts.push((await getGitHubReadme(source.owner, source.repo, source.host)) || "");
+        }
+        return texts;
+      },
+      getGpgKeys: async () => {
+        // GitHub serves the GPG keys users have added to their account
+        if (source.type !== "github") return [];
+        try {
+          const response = await githubFetch(`${getGitHubEndpoints(source.host).web}/${source.owner}.gpg`);
+          return response.ok ? [await response.text()] : [];
+        } catch {
+          return [];
+        }
+      },
+    },
+    log,
+  );
+
+  if (!result) return null;
+  if (result.pinned) {
+    log.log(`Pinned ${describeKey(result)} for ${trustId} (trusted on first use)`);
+  }
+  log.log(`Verified ${result.type} signature from ${result.file}`);
+  return {
+    type: result.type,
+    key: result.keyId || result.fingerprint,
+    file: result.file,
+  };
+};
+
+// Binaries named up front (e.g. in a manifest) replace scoring and prompting
+const chooseBinaries = async (binaries, selected, binaryNames, log, yesFlag) => {
+  if (!binaryNames || binaryNames.length === 0) {
+    return selectBinaries(binaries, selected.name, log, yesFlag);
+  }
+
+  const chosen = binaries.filter((binary) => binaryNames.includes(path.basename(binary)));
+  const missing = binaryNames.filter(
+    (name) => !chosen.some((binary) => path.basename(binary) === name),
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `${selected.name} has no ${missing.join(", ")} (found ${binaries.map((b) => path.basename(b)).join(", ")})`,
+    );
+  }
+  return chosen;
+};
+
+const installSelected = async (
+  selected,
+  downloadPath,
+  log,
+  yesFlag = false,
+  isUpdate = false,
+  binaryNames = null,
+  binDir = getBinDir(),
+  versionDir = null,
+  transaction = null,
+  ownedFiles = [],
+) => {
   const outputDir = path.join(tmpdir, "outputs");
   fs.mkdirSync(outputDir, { recursive: true });
 
@@ -689,6 +1130,9 @@ const installSelected = async (selected, downloadPath, log, yesFlag = false, isU
   let installationMethod = "binary";
   let destinations = [];
   let binariesList = [];
+  let extras = [];
+  let systemPackage = null;
+  let appToOpen = null;
 
   // Handle different file types
   switch (selected.extension) {
@@ -715,13 +1159,9 @@ const installSelected = async (selected, downloadPath, log, yesFlag = false, isU
 
         if (appFile) {
           log.log(`Installing .app bundle: ${appFile}`);
-          destinations = await installApp(appFile, mountDir, checkPath, log, null, yesFlag);
+          destinations = await installApp(appFile, mountDir, checkPath, log, yesFlag, transaction);
           binariesList = [appFile];
-
-          // Skip open app prompt during updates
-          if (!isUpdate && await confirm(`Open app ${path.basename(destinations[0])}?`)) {
-            safeExecSync("open", ["-n", destinations[0]]);
-          }
+          appToOpen = destinations[0];
         } else if (pkgFile) {
           log.log(`Installing .pkg file: ${pkgFile}`);
           destinations = installPkg(path.join(mountDir, pkgFile));
@@ -731,15 +1171,18 @@ const installSelected = async (selected, downloadPath, log, yesFlag = false, isU
           log.log(
             "No .app or .pkg found in DMG, trying to install executables",
           );
-          const selectedBinaries = await selectBinaries(dmgBinaries, selected.name, log, yesFlag);
+          const selectedBinaries = await chooseBinaries(dmgBinaries, selected, binaryNames, log, yesFlag);
           const installResult = await installBinaries(
             selectedBinaries,
             mountDir,
             selected.name,
-            checkPath,
+            confirmOverwrite,
             log,
             true, // isMountedVolume = true
-            yesFlag
+            yesFlag,
+            binDir,
+            versionDir,
+            transaction
           );
           destinations = installResult.destinations;
           binariesList = installResult.cleanedBinaries;
@@ -756,6 +1199,50 @@ const installSelected = async (selected, downloadPath, log, yesFlag = false, isU
       binariesList = [selected.name];
       break;
 
+    case "rpm": {
+      installationMethod = "rpm";
+      const rpmPackage = await installRpm(downloadPath, log);
+      destinations = ["System-wide rpm installation"];
+      binariesList = [rpmPackage.name];
+      systemPackage = {
+        type: "rpm",
+        name: rpmPackage.name,
+        version: `${rpmPackage.version}-${rpmPackage.release}`,
+      };
+      break;
+    }
+
+    case "AppImage": {
+      installationMethod = "appimage";
+      const installResult = await installAppImage(
+        downloadPath,
+        selected.name,
+        confirmOverwrite,
+        log,
+        yesFlag,
+        binDir,
+        versionDir,
+        transaction
+      );
+      destinations = installResult.destinations;
+      binariesList = installResult.cleanedBinaries;
+
+      // Its desktop entry and icons, so launchers list it
+      if (process.platform === "linux") {
+        const contentsDir =
+          installResult.contentsDir || extractAppImageMetadata(installResult.appImage, path.join(outputDir, "appimage"));
+        extras = installExtras(
+          findDesktopFiles(contentsDir, destinations, { gui: true, title: extractName(selected) }),
+          contentsDir,
+          transaction,
+          ownedFiles,
+          log
+        );
+        destinations = [...destinations, ...extras];
+      }
+      break;
+    }
+
     case "app":
       installationMethod = "app";
       destinations = await installApp(
@@ -763,15 +1250,11 @@ const installSelected = async (selected, downloadPath, log, yesFlag = false, isU
         path.dirname(downloadPath),
         checkPath,
         log,
-        null,
-        yesFlag
+        yesFlag,
+        transaction
       );
       binariesList = [selected.name];
-
-      // Skip open app prompt during updates
-      if (!isUpdate && await confirm(`Open app ${path.basename(destinations[0])}?`, "y", yesFlag)) {
-        safeExecSync("open", ["-n", destinations[0]]);
-      }
+      appToOpen = destinations[0];
       break;
 
     default:
@@ -840,7 +1323,10 @@ const installSelected = async (selected, downloadPath, log, yesFlag = false, isU
         checkPath,
         log,
         false,
-        yesFlag
+        yesFlag,
+        binDir,
+        versionDir,
+        transaction
       );
 
       if (packageResult) {
@@ -848,26 +1334,43 @@ const installSelected = async (selected, downloadPath, log, yesFlag = false, isU
         installationMethod = packageResult.method;
         destinations = packageResult.destinations;
         binariesList = packageResult.binaries;
-        if (installationMethod === "archive_app" && !isUpdate) {
-          // Skip open app prompt during updates
-          if (await confirm(`Open app ${path.basename(destinations[0])}?`, "y", yesFlag)) {
-            safeExecSync("open", ["-n", destinations[0]]);
-          }
+        if (installationMethod === "archive_app") {
+          appToOpen = destinations[0];
         }
       } else {
         // Fall back to regular binary installation
-        const selectedBinaries = await selectBinaries(extractedBinaries, selected.name, log, yesFlag);
+        const selectedBinaries = await chooseBinaries(extractedBinaries, selected, binaryNames, log, yesFlag);
         const installResult = await installBinaries(
           selectedBinaries,
           outputDir,
           selected.name,
-          checkPath,
+          confirmOverwrite,
           log,
           false,
-          yesFlag
+          yesFlag,
+          binDir,
+          versionDir,
+          transaction
         );
         destinations = installResult.destinations;
         binariesList = installResult.cleanedBinaries;
+
+        // Completions, man pages and, for GUI apps, desktop entries and
+        // icons shipped next to the binaries
+        extras = installExtras(
+          [
+            ...findExtras(outputDir, binariesList),
+            ...findDesktopFiles(outputDir, destinations, {
+              gui: isGuiArchive(outputDir),
+              title: extractName(selected),
+            }),
+          ],
+          outputDir,
+          transaction,
+          ownedFiles,
+          log
+        );
+        destinations = [...destinations, ...extras];
       }
       break;
   }
@@ -876,6 +1379,13 @@ const installSelected = async (selected, downloadPath, log, yesFlag = false, isU
     method: installationMethod,
     destinations,
     binaries: binariesList,
+    // Only set when something was installed into them
+    binDir: destinations.some((dest) => path.dirname(dest) === binDir) ? binDir : null,
+    versionDir: ["binary", "dmg_binaries", "appimage"].includes(installationMethod) ? versionDir : null,
+    extras,
+    systemPackage,
+    // Offered to open once the install is committed
+    appToOpen,
   };
 };
 
@@ -1,8 +1,9 @@
 const fs = require("fs");
 const path = require("path");
-const os = require("os");
-const { safeExecSync } = require("./utils");
-const { extractName } = require("./config");
+const { safeExecSync, confirmOverwrite } = require("./utils");
+const { extractName, getBinDir, getShareDir } = require("./config");
+const { isStoreLink } = require("./store");
+const { beginTransaction } = require("./transaction");
 const { isIgnored } = require("./sources");
 const { 
   getExtension, 
@@ -13,14 +14,16 @@ const {
   scoreAssetByExtension,
   filterAssetsByExtensions,
   sortAssetsByExtension,
-  isInstallerScriptExtension
+  isInstallerScriptExtension,
+  hasFuse,
 } = require("./extensions");
 const {
   detectInstallerScripts,
   findBestInstallerScript,
   executeInstallerScript,
   previewInstallerScript,
-  isInstallerScriptCompatible
+  isInstallerScriptCompatible,
+  isCompletionPath,
 } = require("./installer-scripts");
 
 const getPlatformInfo = () => {
@@ -72,7 +75,12 @@ const getPlatformInfo = () => {
 
 // Use getInstallCapabilities from extensions module
 
-const selectBestAsset = (assets, platformInfo, capabilities, firstFlag = false) => {
+/**
+ * Order the assets that can run on this machine from best to worst. When any
+ * asset names this platform, only those are returned, so a fallback never
+ * lands on a generic or source archive.
+ */
+const rankAssets = (assets, platformInfo, capabilities, firstFlag = false) => {
   const { myArch, myPlatform } = platformInfo;
   const { platform } = platformInfo;
 
@@ -152,11 +160,30 @@ const selectBestAsset = (assets, platformInfo, capabilities, firstFlag = false)
   );
 
   if (platformSpecificAssets.length > 0) {
-    return platformSpecificAssets[0];
+    return platformSpecificAssets;
   }
 
-  // Return the highest scoring asset (already sorted by extension preference)
-  return extensionSorted[0] || null;
+  // Otherwise everything, already sorted by extension preference
+  return extensionSorted;
+};
+
+/**
+ * Check an asset name against a user-given pattern: a glob when it contains
+ * * or ?, otherwise a case-insensitive substring
+ */
+const matchesAssetPattern = (name, pattern) => {
+  if (!/[*?]/.test(pattern)) {
+    return name.toLowerCase().includes(pattern.toLowerCase());
+  }
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${source}$`, "i").test(name);
+};
+
+const selectBestAsset = (assets, platformInfo, capabilities, firstFlag = false) => {
+  return rankAssets(assets, platformInfo, capabilities, firstFlag)[0] || null;
 };
 
 // Use extractArchive from extensions module
@@ -343,10 +370,10 @@ const selectBinaries = async (
     const dirname = path.dirname(binaryPath).toLowerCase();
     const cleanPackageName = extractName({ name: packageName }).toLowerCase();
 
-    // High penalty for completion scripts
+    // High penalty for completion scripts (complete/, autocomplete/, completions/)
     if (
-      dirname.includes("completion") || 
-      dirname.includes("completions") ||
+      isCompletionPath(binaryPath) ||
+      dirname.includes("completion") ||
       filename.endsWith(".bash") ||
       filename.endsWith(".zsh") ||
       filename.endsWith(".fish") ||
@@ -356,6 +383,11 @@ const selectBinaries = async (
       return -100;
     }
     
+    // Helpers app bundles ship next to their binary (Electron's Chromium)
+    if (["chrome-sandbox", "chrome_crashpad_handler"].includes(filename)) {
+      return -100;
+    }
+
     // Penalty for other non-primary scripts
     if (filename.endsWith(".sh") || filename.endsWith(".bat") || filename.endsWith(".ps1")) {
       score -= 20;
@@ -430,15 +462,15 @@ const selectBinaries = async (
     });
   }
 
+  // Only open stdin when asking; an open interface keeps the process alive
   const readline = require("readline");
-  const rli = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-
   const choice = yesFlag
     ? "1"
     : await new Promise((resolve) => {
+        const rli = readline.createInterface({
+          input: process.stdin,
+          output: process.stdout,
+        });
         rli.question(
           `Enter binary number to install (1-${binariesToChoose.length}), or 'all' for all: `,
           (ans) => {
@@ -475,6 +507,9 @@ const selectBinaries = async (
  * @param {string} selectedName - Name of the original selected file
  * @param {Function} checkPathFn - Function to check destination paths
  * @param {Object} logger - Logger instance
+ * @param {string} binDir - Directory to install executables found in a DMG to
+ * @param {string} versionDir - Directory to keep those executables in, linked from binDir
+ * @param {Object} transaction - Transaction to stage those executables in
  * @returns {Object|null} Installation result or null if no packages found
  */
 const processExtractedPackages = async (
@@ -485,6 +520,9 @@ const processExtractedPackages = async (
   logger,
   isMountedVolume = false,
   yesFlag = false,
+  binDir = getBinDir(),
+  versionDir = null,
+  transaction = null,
 ) => {
   // If an .app bundle was extracted from the archive, install it as a macOS app
   const appBundle = binaries.find((f) => f.toLowerCase().endsWith(".app"));
@@ -498,6 +536,7 @@ const processExtractedPackages = async (
       checkPathFn,
       logger,
       yesFlag,
+      transaction,
     );
     return {
       method: "archive_app",
@@ -534,6 +573,7 @@ const processExtractedPackages = async (
           checkPathFn,
           logger,
           yesFlag,
+          transaction,
         );
         return {
           method: "dmg_app",
@@ -561,9 +601,13 @@ const processExtractedPackages = async (
           selectedBinaries,
           mountDir,
           selectedName,
-          checkPathFn,
+          confirmOverwrite,
           logger,
           true, // isMountedVolume = true
+          yesFlag,
+          binDir,
+          versionDir,
+          transaction,
         );
         return {
           method: "dmg_binaries",
@@ -635,19 +679,32 @@ const processExtractedPackages = async (
   return null; // No packages found
 };
 
+/**
+ * Copy an .app bundle to /Applications. With a transaction the bundle is
+ * staged next to the existing one and only replaces it on commit; without
+ * one, checkPathFn clears the way first.
+ */
 const installApp = async (
   appPath,
   outputDir,
   checkPathFn,
   logger = null,
   yesFlag = false,
+  transaction = null,
 ) => {
   const original = path.basename(appPath);
   const cleanedBase =
     extractName({ name: original }) || original.replace(/\.app$/i, "");
   const cleaned = cleanedBase.replace(/\.app$/i, "");
   const dest = path.join("/Applications", `${cleaned}.app`);
-  await checkPathFn(dest);
+
+  let target = dest;
+  if (transaction) {
+    if (fs.existsSync(dest)) await confirmOverwrite(dest, yesFlag);
+    target = transaction.stage(dest);
+  } else {
+    await checkPathFn(dest, yesFlag);
+  }
 
   // Use rsync to preserve all file attributes, permissions, and symlinks
   try {
@@ -656,14 +713,14 @@ const installApp = async (
       "--copy-links",
       "--protect-args",
       `${path.join(outputDir, appPath)}/`,
-      dest,
+      target,
     ]);
   } catch (e) {
     // Fallback to fs.cpSync if rsync fails
     if (logger) {
       logger.warn(`rsync failed, falling back to fs.cpSync: ${e.message}`);
     }
-    fs.cpSync(path.join(outputDir, appPath), dest, {
+    fs.cpSync(path.join(outputDir, appPath), target, {
       recursive: true,
       preserveTimestamps: true,
     });
@@ -671,7 +728,7 @@ const installApp = async (
 
   // Code sign
   try {
-    safeExecSync("codesign", ["--sign", "-", "--force", "--deep", dest], {
+    safeExecSync("codesign", ["--sign", "-", "--force", "--deep", target], {
       stdio: "pipe",
     });
     if (logger) {
@@ -685,7 +742,7 @@ const installApp = async (
 
   // Remove quarantine
   try {
-    safeExecSync("xattr", ["-rd", "com.apple.quarantine", dest], {
+    safeExecSync("xattr", ["-rd", "com.apple.quarantine", target], {
       stdio: "pipe",
     });
     if (logger) {
@@ -790,26 +847,49 @@ const ejectDMG = (mountPoint, logger = null) => {
   }
 };
 
+/**
+ * Install binaries into binDir, or into versionDir with links from binDir.
+ * Nothing is replaced until every file has been staged: the copies are
+ * committed with transaction (one is created and committed here if none
+ * is given), so a failure leaves the old binaries in place.
+ */
 const installBinaries = async (
   binaries,
   outputDir,
   selectedName,
-  checkPathFn,
+  confirmOverwriteFn,
   logger = null,
   isMountedVolume = false,
   yesFlag = false,
+  binDir = getBinDir(),
+  versionDir = null,
+  transaction = null,
 ) => {
   const destinations = [];
   const cleanedBinaries = [];
+  const tx = transaction || beginTransaction(selectedName);
+
+  fs.mkdirSync(binDir, { recursive: true });
+  // Reinstalling a version starts from a clean directory
+  const stagedVersionDir = versionDir ? tx.stage(versionDir) : null;
+  if (stagedVersionDir) {
+    fs.mkdirSync(stagedVersionDir, { recursive: true });
+  }
 
   for (const binary of binaries) {
     const binaryPath = path.join(outputDir, binary);
     const originalName = path.basename(binary);
     const cleanName = extractName({ name: originalName }) || originalName;
     cleanedBinaries.push(cleanName);
-    const dest = path.join(os.homedir(), ".local", "bin", cleanName);
+    const dest = path.join(binDir, cleanName);
 
-    await checkPathFn(dest, yesFlag);
+    // Links to another version of this package are switched without asking
+    if (!versionDir || !isStoreLink(dest, path.dirname(versionDir))) {
+      await confirmOverwriteFn(dest, yesFlag);
+    }
+
+    // With a version directory the binary lives there and dest links to it
+    const target = versionDir ? path.join(stagedVersionDir, cleanName) : tx.stage(dest);
 
     // Don't try to chmod files on mounted volumes (like DMGs)
     if (!isMountedVolume) {
@@ -822,30 +902,441 @@ const installBinaries = async (
       }
     }
 
-    fs.cpSync(binaryPath, dest);
+    // An app bundle (Electron and the like) is kept whole next to the
+    // binary's link, as it can't run without the rest of its files
+    const bundle = versionDir && findAppBundle(outputDir, binary);
+    if (bundle) {
+      fs.cpSync(path.join(outputDir, bundle), path.join(stagedVersionDir, "app"), {
+        recursive: true,
+        verbatimSymlinks: true,
+      });
+      fs.symlinkSync(path.join("app", path.relative(bundle, binary)), target);
+    } else {
+      fs.cpSync(binaryPath, target);
+    }
 
     // Make sure the copied file is executable
     try {
-      safeExecSync("chmod", ["+x", dest]);
+      safeExecSync("chmod", ["+x", target]);
     } catch (e) {
       if (logger) {
         logger.warn(`Failed to make copied binary executable: ${e.message}`);
       }
     }
 
+    if (versionDir) {
+      fs.symlinkSync(path.join(versionDir, cleanName), tx.stage(dest));
+    }
+
     destinations.push(dest);
   }
 
+  if (!transaction) {
+    tx.commit();
+  }
+
+  if (logger && !isOnPath(binDir)) {
+    logger.warn(`${binDir} isn't on your PATH; add it to run ${cleanedBinaries.join(", ")} by name`);
+  }
+
   return { destinations, cleanedBinaries };
 };
 
+/**
+ * Install an AppImage into versionDir and link a command named after it
+ * (Obsidian-1.5.3.AppImage becomes obsidian) into binDir. Without FUSE an
+ * AppImage can't mount itself, so it's extracted with --appimage-extract and
+ * the command runs the extracted AppRun instead. Like installBinaries,
+ * nothing is replaced until transaction is committed.
+ */
+const installAppImage = async (
+  appImagePath,
+  selectedName,
+  confirmOverwriteFn,
+  logger = null,
+  yesFlag = false,
+  binDir = getBinDir(),
+  versionDir,
+  transaction = null,
+) => {
+  const tx = transaction || beginTransaction(selectedName);
+  const original = path.basename(selectedName);
+  const command = (extractName({ name: original }) || original).toLowerCase();
+  const fileName = `${command}.AppImage`;
+  const dest = path.join(binDir, command);
+
+  if (!isStoreLink(dest, path.dirname(versionDir))) {
+    await confirmOverwriteFn(dest, yesFlag);
+  }
+
+  const stagedVersionDir = tx.stage(versionDir);
+  fs.mkdirSync(stagedVersionDir, { recursive: true });
+  const stagedAppImage = path.join(stagedVersionDir, fileName);
+  fs.copyFileSync(appImagePath, stagedAppImage);
+  fs.chmodSync(stagedAppImage, 0o755);
+
+  let target = fileName;
+  let contentsDir = null;
+  if (!hasFuse()) {
+    if (logger) {
+      logger.log(`FUSE isn't available, extracting ${fileName} to run it without mounting`);
+    }
+    // Extraction lists every file it writes; don't buffer that
+    safeExecSync(stagedAppImage, ["--appimage-extract"], { cwd: stagedVersionDir, stdio: "ignore" });
+    target = path.join("squashfs-root", "AppRun");
+    contentsDir = path.join(stagedVersionDir, "squashfs-root");
+  }
+
+  // versionDir/<command> is what runs, so switching versions relinks it
+  // like any other binary
+  fs.symlinkSync(target, path.join(stagedVersionDir, command));
+  fs.mkdirSync(binDir, { recursive: true });
+  fs.symlinkSync(path.join(versionDir, command), tx.stage(dest));
+
+  if (!transaction) {
+    tx.commit();
+  }
+
+  if (logger && !isOnPath(binDir)) {
+    logger.warn(`${binDir} isn't on your PATH; add it to run ${command} by name`);
+  }
+
+  // contentsDir is the extracted AppImage, if it was extracted; appImage is
+  // the executable copy, for extractAppImageMetadata
+  const appImage = transaction ? stagedAppImage : path.join(versionDir, fileName);
+  return { destinations: [dest], cleanedBinaries: [command], contentsDir, appImage };
+};
+
+/**
+ * Extract just the desktop entries and icons of an executable AppImage into
+ * dir, for one that runs mounted. Returns the directory they're in, which is
+ * empty if the AppImage can't extract them (older AppImages take no
+ * patterns).
+ */
+const extractAppImageMetadata = (appImagePath, dir) => {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const pattern of ["*.desktop", "*.png", "*.svg"]) {
+    try {
+      safeExecSync(appImagePath, ["--appimage-extract", pattern], { cwd: dir, stdio: "ignore" });
+    } catch {
+      break;
+    }
+  }
+  return path.join(dir, "squashfs-root");
+};
+
+const isOnPath = (dir) => {
+  return (process.env.PATH || "")
+    .split(path.delimiter)
+    .some((entry) => entry && path.resolve(entry) === path.resolve(dir));
+};
+
+// Where each kind of extra is installed under the share directory, named so
+// bash-completion, zsh (with site-functions on its fpath), fish and man
+// find it
+const EXTRA_LOCATIONS = {
+  bash: ({ command }) => path.join("bash-completion", "completions", command),
+  zsh: ({ command }) => path.join("zsh", "site-functions", `_${command}`),
+  fish: ({ command }) => path.join("fish", "vendor_completions.d", `${command}.fish`),
+  man: ({ file, section }) => path.join("man", `man${section}`, path.basename(file)),
+};
+
+const classifyExtra = (file) => {
+  const filename = path.basename(file);
+
+  const man = filename.match(/^(.+)\.([1-9])(?:\.gz)?$/);
+  if (man) return { kind: "man", command: man[1], section: man[2] };
+
+  const completion = filename.match(/^_?([^.]+)\.(bash|zsh|fish)$/);
+  if (completion) return { kind: completion[2], command: completion[1] };
+
+  // zsh completion functions are named after the command: _rg
+  const zsh = filename.match(/^_([^._][^.]*)$/);
+  if (zsh) return { kind: "zsh", command: zsh[1] };
+
+  return null;
+};
+
+// Every file under dir (following symlinks), relative to it and sorted
+const listFiles = (dir) => {
+  let files;
+  try {
+    files = fs.readdirSync(dir, { recursive: true }).map(String);
+  } catch {
+    return [];
+  }
+  return files
+    .filter((file) => {
+      try {
+        return !file.includes("__MACOSX") && fs.statSync(path.join(dir, file)).isFile();
+      } catch {
+        return false;
+      }
+    })
+    .sort();
+};
+
+/**
+ * Find the shell completions (completions/rg.bash, _rg, rg.fish) and man
+ * pages (rg.1, gh-pr.1.gz) a package ships for the binaries it installed.
+ * Returns { file, kind, dest } for each, with file relative to dir.
+ */
+const findExtras = (dir, binaries) => {
+  const extras = [];
+  for (const file of listFiles(dir)) {
+    const extra = classifyExtra(file);
+    if (!extra) continue;
+
+    // Man pages for subcommands (gh-pr.1) belong to the binary too
+    const belongs = binaries.some((binary) =>
+      extra.command === binary || (extra.kind === "man" && extra.command.startsWith(`${binary}-`)),
+    );
+    const dest = belongs && path.join(getShareDir(), EXTRA_LOCATIONS[extra.kind]({ file, ...extra }));
+    // Packages shipping both _rg and rg.zsh get the first one
+    if (dest && !extras.some((item) => item.dest === dest)) {
+      extras.push({ file, kind: extra.kind, dest });
+    }
+  }
+  return extras;
+};
+
+/**
+ * Stage the extras found by findExtras in transaction. Existing files are
+ * only replaced if the package installed them before (owned); anything
+ * else is left alone. Returns the destinations.
+ */
+const installExtras = (extras, outputDir, transaction, owned = [], logger = null) => {
+  const labels = { man: "man page", desktop: "desktop entry", icon: "icon" };
+  const destinations = [];
+  for (const { file, kind, dest, content } of extras) {
+    if (fs.existsSync(dest) && !owned.includes(dest)) {
+      if (logger) {
+        logger.warn(`Not installing ${path.basename(file || dest)}: ${dest} already exists`);
+      }
+      continue;
+    }
+
+    // Extras with content (desktop entries) are written rather than copied
+    const staged = transaction.stage(dest);
+    if (content !== undefined) {
+      fs.writeFileSync(staged, content);
+    } else {
+      fs.copyFileSync(path.join(outputDir, file), staged);
+    }
+    fs.chmodSync(staged, 0o644);
+    destinations.push(dest);
+    if (logger) {
+      logger.debug(`Installing ${labels[kind] || `${kind} completion`} to ${dest}`);
+    }
+  }
+  return destinations;
+};
+
+// Files that mark a GUI app shipped with its runtime (Electron and the like),
+// which has to be kept together with its binary
+const APP_BUNDLE_MARKERS = ["chrome-sandbox", path.join("resources", "app.asar"), "resources.pak"];
+
+/**
+ * The directory (relative to outputDir) of the app bundle binary belongs
+ * to, or null for a standalone binary
+ */
+const findAppBundle = (outputDir, binary) => {
+  const dir = path.dirname(binary);
+  return APP_BUNDLE_MARKERS.some((marker) => fs.existsSync(path.join(outputDir, dir, marker))) ? dir : null;
+};
+
+/**
+ * Point a desktop entry's Exec and TryExec at the installed command, so it
+ * runs whichever version is linked. Exec keeps its arguments (%U and such).
+ */
+const rewriteDesktopEntry = (text, command) => {
+  const quoted = /\s/.test(command) ? `"${command}"` : command;
+  return text
+    .split("\n")
+    .map((line) => {
+      if (/^TryExec\s*=/.test(line)) return `TryExec=${command}`;
+      const exec = line.match(/^Exec\s*=\s*(?:"[^"]*"|\S+)(.*)$/);
+      return exec ? `Exec=${quoted}${exec[1]}` : line;
+    })
+    .join("\n");
+};
+
+const getDesktopKey = (text, key) => {
+  const match = text.match(new RegExp(`^${key}\\s*=\\s*(.+)$`, "m"));
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Find the desktop entries and icons a GUI app ships in dir, for launchers
+ * to list it. Entries are rewritten to run the installed command (their
+ * Exec binary among commands, else the first); with none shipped and gui
+ * set, one is generated named title. Icons are the ones entries name (or
+ * the command's), from an icon theme (usr/share/icons/hicolor/...) or dir
+ * itself, as AppImages have them. Returns extras for installExtras.
+ * Linux only.
+ */
+const findDesktopFiles = (dir, commands, { gui = false, title = null } = {}) => {
+  if (process.platform !== "linux" || commands.length === 0) return [];
+
+  const files = listFiles(dir);
+  const shareDir = getShareDir();
+  const extras = [];
+  const add = (extra) => {
+    if (!extras.some((item) => item.dest === extra.dest)) extras.push(extra);
+  };
+
+  const commandFor = (exec) => {
+    const name = exec && path.basename(exec.replace(/^"|"$/g, "").split(/\s+/)[0]);
+    return commands.find((command) => path.basename(command) === name) || commands[0];
+  };
+
+  const iconNames = new Set();
+  const entryFiles = files.filter(
+    (file) => file.endsWith(".desktop") && (!file.includes(path.sep) || file.includes(`applications${path.sep}`)),
+  );
+  for (const file of entryFiles) {
+    const text = fs.readFileSync(path.join(dir, file), "utf8");
+    if (getDesktopKey(text, "Type") && getDesktopKey(text, "Type") !== "Application") continue;
+
+    const icon = getDesktopKey(text, "Icon");
+    if (icon && !path.isAbsolute(icon)) iconNames.add(icon);
+    add({
+      file,
+      kind: "desktop",
+      dest: path.join(shareDir, "applications", path.basename(file)),
+      content: rewriteDesktopEntry(text, commandFor(getDesktopKey(text, "Exec"))),
+    });
+  }
+  if (extras.length === 0 && !gui) return [];
+
+  const command = commands[0];
+  const name = path.basename(command);
+  if (iconNames.size === 0) iconNames.add(name);
+
+  for (const file of files) {
+    const icon = file.match(/(?:^|\/)([^/]+)\.(png|svg|xpm)$/i);
+    if (!icon || !iconNames.has(icon[1])) continue;
+    // Themed icons keep their place in the theme; others go in the base
+    // icons directory, which launchers fall back to
+    const theme = file.match(/(?:^|\/)icons\/([^/]+\/[^/]+\/apps)\/[^/]+$/);
+    const themeDir = theme ? theme[1].split("/") : [];
+    add({ file, kind: "icon", dest: path.join(shareDir, "icons", ...themeDir, path.basename(file)) });
+  }
+
+  if (!extras.some((extra) => extra.kind === "desktop")) {
+    const hasIcon = extras.some((extra) => extra.kind === "icon");
+    add({
+      file: null,
+      kind: "desktop",
+      dest: path.join(shareDir, "applications", `${name}.desktop`),
+      content: [
+        "[Desktop Entry]",
+        "Type=Application",
+        `Name=${title || name}`,
+        `Exec=${/\s/.test(command) ? `"${command}"` : command} %U`,
+        ...(hasIcon ? [`Icon=${[...iconNames][0]}`] : []),
+        "Terminal=false",
+        "Categories=Utility;",
+        "",
+      ].join("\n"),
+    });
+  }
+  return extras;
+};
+
+/**
+ * Whether an extracted archive holds a GUI app bundle (see findAppBundle)
+ */
+const isGuiArchive = (dir) =>
+  listFiles(dir).some((file) => APP_BUNDLE_MARKERS.some((marker) => file === marker || file.endsWith(path.sep + marker)));
+
 const installDeb = (debPath) => {
   safeExecSync("sudo", ["dpkg", "-i", debPath]);
   return ["System-wide deb installation"];
 };
 
+const commandExists = (command) => {
+  try {
+    safeExecSync("which", [command], { stdio: "pipe" });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * The command that installs (or upgrades to) an .rpm: dnf or zypper, which
+ * fetch its dependencies, or rpm itself where neither is available
+ */
+const getRpmInstallCommand = (rpmPath, isAvailable = commandExists) => {
+  if (isAvailable("dnf")) return ["dnf", ["install", "-y", rpmPath]];
+  if (isAvailable("zypper")) {
+    return ["zypper", ["--non-interactive", "install", "--allow-unsigned-rpm", rpmPath]];
+  }
+  return ["rpm", ["-U", rpmPath]];
+};
+
+/**
+ * How an .rpm compares to the installed version of its package: "same",
+ * "newer", "older", or null if it isn't installed
+ */
+const compareRpmVersions = (pkg, installed) => {
+  const { compareVersions } = require("./versions");
+  if (!installed) return null;
+  if (pkg.version === installed.version && pkg.release === installed.release) return "same";
+
+  const comparison =
+    compareVersions(pkg.version, installed.version) ||
+    compareVersions(pkg.release, installed.release) ||
+    0;
+  return comparison < 0 ? "older" : "newer";
+};
+
+/**
+ * Install an .rpm with sudo. The version installed now is checked first:
+ * the same one isn't reinstalled and an older one is refused, as dnf won't
+ * downgrade. Returns the package (name, version, release) so uninstall can
+ * remove it with rpm -e.
+ */
+const installRpm = async (rpmPath, logger = null) => {
+  const { getRpmPackage, getInstalledRpm, requestSudoAccess, runWithSudo } = require("./system");
+  const absolutePath = path.resolve(rpmPath);
+  const pkg = getRpmPackage(absolutePath);
+  const installed = getInstalledRpm(pkg.name);
+  const label = (item) => `${pkg.name} ${item.version}-${item.release}`;
+
+  const comparison = compareRpmVersions(pkg, installed);
+  if (comparison === "same") {
+    if (logger) {
+      logger.log(`${label(pkg)} is already installed`);
+    }
+    return pkg;
+  }
+  if (comparison === "older") {
+    throw new Error(
+      `${label(installed)} is installed, which is newer than ${pkg.version}-${pkg.release}. ` +
+      `Remove it with 'rpm -e ${pkg.name}' (as root) to install the older one.`
+    );
+  }
+
+  const [command, args] = getRpmInstallCommand(absolutePath);
+  if (logger) {
+    logger.log(`${installed ? "Upgrading" : "Installing"} ${label(pkg)} with ${command}`);
+  }
+  await requestSudoAccess("package installation");
+  runWithSudo(command, args, { stdio: "inherit" });
+
+  const result = getInstalledRpm(pkg.name);
+  if (compareRpmVersions(pkg, result) !== "same") {
+    throw new Error(`${command} didn't install ${label(pkg)}${result ? ` (${label(result)} is installed)` : ""}`);
+  }
+  return pkg;
+};
+
 module.exports = {
   getPlatformInfo,
+  rankAssets,
+  matchesAssetPattern,
   selectBestAsset,
   getBinaries,
   selectBinaries,
@@ -855,5 +1346,16 @@ module.exports = {
   mountDMG,
   ejectDMG,
   installBinaries,
+  installAppImage,
+  isOnPath,
+  findExtras,
+  installExtras,
+  findAppBundle,
+  findDesktopFiles,
+  isGuiArchive,
+  extractAppImageMetadata,
   installDeb,
+  getRpmInstallCommand,
+  compareRpmVersions,
+  installRpm,
 };
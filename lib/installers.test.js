@@ -1,5 +1,22 @@
-const { describe, test, expect } = require("bun:test");
-const { getPlatformInfo, selectBestAsset } = require("./installers");
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { beginTransaction } = require("./transaction");
+const {
+  getPlatformInfo,
+  selectBestAsset,
+  rankAssets,
+  matchesAssetPattern,
+  selectBinaries,
+  findExtras,
+  installExtras,
+  installAppImage,
+  findAppBundle,
+  findDesktopFiles,
+  getRpmInstallCommand,
+  compareRpmVersions,
+} = require("./installers");
 
 describe("getPlatformInfo", () => {
   test("returns current platform", () => {
@@ -249,4 +266,250 @@ describe("selectBestAsset", () => {
       expect(result).toBeDefined();
     });
   });
+
+  describe("rankAssets", () => {
+    test("orders every compatible asset behind the best one", () => {
+      const assets = [
+        createAsset("tool-darwin-arm64.tar.gz", "tar.gz"),
+        createAsset("tool-darwin-arm64.zip", "zip"),
+        createAsset("tool-linux-x64.tar.gz", "tar.gz"),
+      ];
+
+      const ranked = rankAssets(assets, mockPlatformInfo, mockCapabilities);
+      expect(ranked.length).toBe(2);
+      expect(ranked[0].name).toBe(selectBestAsset(assets, mockPlatformInfo, mockCapabilities).name);
+      expect(ranked.every((asset) => asset.name.includes("darwin"))).toBe(true);
+    });
+
+    test("leaves out generic assets when platform-specific ones exist", () => {
+      const assets = [
+        createAsset("tool-macos-arm64.tar.gz", "tar.gz"),
+        createAsset("tool-source.tar.gz", "tar.gz"),
+      ];
+
+      const ranked = rankAssets(assets, mockPlatformInfo, mockCapabilities);
+      expect(ranked.map((asset) => asset.name)).toEqual(["tool-macos-arm64.tar.gz"]);
+    });
+  });
+});
+
+describe("matchesAssetPattern", () => {
+  test("matches plain patterns as case-insensitive substrings", () => {
+    expect(matchesAssetPattern("ripgrep-14.1.0-x86_64-unknown-linux-musl.tar.gz", "MUSL")).toBe(true);
+    expect(matchesAssetPattern("ripgrep-14.1.0-x86_64-unknown-linux-gnu.tar.gz", "musl")).toBe(false);
+  });
+
+  test("matches globs against the whole name", () => {
+    expect(matchesAssetPattern("tool-linux-amd64.tar.gz", "tool-linux-*.tar.gz")).toBe(true);
+    expect(matchesAssetPattern("tool-linux-amd64.tar.gz.sha256", "tool-linux-*.tar.gz")).toBe(false);
+    expect(matchesAssetPattern("tool-v1.zip", "tool-v?.zip")).toBe(true);
+  });
+});
+
+describe("completions and man pages", () => {
+  let workDir;
+  let outputDir;
+  let shareDir;
+  const originalDataHome = process.env.XDG_DATA_HOME;
+
+  // Laid out like the ripgrep and bat release archives
+  const files = [
+    "rg",
+    "complete/rg.bash",
+    "complete/_rg",
+    "complete/rg.fish",
+    "complete/_rg.ps1",
+    "doc/rg.1",
+    "autocomplete/bat.zsh",
+    "share/man/man1/rg-extra.1.gz",
+    "share/man/man5/other.5",
+  ];
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-extras-"));
+    outputDir = path.join(workDir, "outputs");
+    shareDir = path.join(workDir, "share");
+    process.env.XDG_DATA_HOME = shareDir;
+    for (const file of files) {
+      fs.mkdirSync(path.dirname(path.join(outputDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(outputDir, file), file);
+    }
+  });
+
+  afterAll(() => {
+    if (originalDataHome === undefined) delete process.env.XDG_DATA_HOME;
+    else process.env.XDG_DATA_HOME = originalDataHome;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("finds the ones for installed binaries", () => {
+    const extras = findExtras(outputDir, ["rg"]);
+    expect(extras.map(({ file, dest }) => [file, path.relative(shareDir, dest)])).toEqual([
+      ["complete/_rg", "zsh/site-functions/_rg"],
+      ["complete/rg.bash", "bash-completion/completions/rg"],
+      ["complete/rg.fish", "fish/vendor_completions.d/rg.fish"],
+      ["doc/rg.1", "man/man1/rg.1"],
+      ["share/man/man1/rg-extra.1.gz", "man/man1/rg-extra.1.gz"],
+    ]);
+    expect(findExtras(outputDir, ["bat"]).map(({ dest }) => path.relative(shareDir, dest))).toEqual([
+      "zsh/site-functions/_bat",
+    ]);
+  });
+
+  test("skips completion directories but not tools named after them", async () => {
+    expect(await selectBinaries(["rg", "complete/rg.sh"], "rg", null, true)).toEqual(["rg"]);
+    expect(
+      await selectBinaries(["autocomplete-cli-1.0/bin/helper", "autocomplete-cli-1.0/bin/foo"], "foo", null, true),
+    ).toEqual(["autocomplete-cli-1.0/bin/foo"]);
+  });
+
+  test("stages them, leaving files from elsewhere alone", () => {
+    const extras = findExtras(outputDir, ["rg"]);
+    const [zsh, bash] = extras.map(({ dest }) => dest);
+    fs.mkdirSync(path.dirname(zsh), { recursive: true });
+    fs.writeFileSync(zsh, "mine");
+    fs.mkdirSync(path.dirname(bash), { recursive: true });
+    fs.writeFileSync(bash, "installed before");
+
+    const transaction = beginTransaction("rg");
+    const destinations = installExtras(extras, outputDir, transaction, [bash]);
+    transaction.commit();
+
+    expect(destinations).toEqual(extras.slice(1).map(({ dest }) => dest));
+    expect(fs.readFileSync(zsh, "utf8")).toBe("mine");
+    expect(fs.readFileSync(bash, "utf8")).toBe("complete/rg.bash");
+    expect(fs.readFileSync(path.join(shareDir, "man", "man1", "rg.1"), "utf8")).toBe("doc/rg.1");
+  });
+});
+
+describe("installAppImage", () => {
+  let workDir;
+  const originalDataHome = process.env.XDG_DATA_HOME;
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-appimage-"));
+    process.env.XDG_DATA_HOME = path.join(workDir, "share");
+  });
+
+  afterAll(() => {
+    if (originalDataHome === undefined) delete process.env.XDG_DATA_HOME;
+    else process.env.XDG_DATA_HOME = originalDataHome;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("links a clean command name to the AppImage or its extracted AppRun", async () => {
+    // Behaves the same whether it's mounted (FUSE) or extracted
+    const appImage = path.join(workDir, "Obsidian-1.5.3.AppImage");
+    fs.writeFileSync(
+      appImage,
+      [
+        "#!/bin/sh",
+        'if [ "$1" = "--appimage-extract" ]; then',
+        "  mkdir -p squashfs-root",
+        "  printf '#!/bin/sh\\necho obsidian\\n' > squashfs-root/AppRun",
+        "  chmod +x squashfs-root/AppRun",
+        "  exit 0",
+        "fi",
+        "echo obsidian",
+      ].join("\n"),
+    );
+    const binDir = path.join(workDir, "bin");
+    const versionDir = path.join(workDir, "share", "justinstall", "pkgs", "obsidian", "v1.5.3");
+
+    const result = await installAppImage(appImage, "Obsidian-1.5.3.AppImage", async () => {}, null, true, binDir, versionDir);
+    expect(result).toMatchObject({ destinations: [path.join(binDir, "obsidian")], cleanedBinaries: ["obsidian"] });
+    expect(fs.readlinkSync(path.join(binDir, "obsidian"))).toBe(path.join(versionDir, "obsidian"));
+    expect(fs.statSync(path.join(versionDir, "obsidian.AppImage")).mode & 0o111).toBeTruthy();
+    expect(require("child_process").execFileSync(path.join(binDir, "obsidian")).toString().trim()).toBe("obsidian");
+  });
+});
+
+describe("desktop integration", () => {
+  let workDir;
+  let shareDir;
+  const originalDataHome = process.env.XDG_DATA_HOME;
+  const command = "/home/me/.local/bin/obsidian";
+
+  const write = (dir, files) => {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    }
+    return dir;
+  };
+  const describeExtras = (extras) => extras.map(({ kind, dest }) => [kind, path.relative(shareDir, dest)]);
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-desktop-"));
+    shareDir = path.join(workDir, "share");
+    process.env.XDG_DATA_HOME = shareDir;
+  });
+
+  afterAll(() => {
+    if (originalDataHome === undefined) delete process.env.XDG_DATA_HOME;
+    else process.env.XDG_DATA_HOME = originalDataHome;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test.skipIf(process.platform !== "linux")("installs the entry and icons an AppImage ships, running the command", () => {
+    const dir = write(path.join(workDir, "squashfs-root"), {
+      "obsidian.desktop": "[Desktop Entry]\nName=Obsidian\nExec=AppRun --no-sandbox %U\nTryExec=AppRun\nIcon=obsidian\n",
+      "obsidian.png": "png",
+      "usr/share/icons/hicolor/256x256/apps/obsidian.png": "png",
+      "usr/share/icons/hicolor/256x256/apps/other.png": "png",
+    });
+
+    const extras = findDesktopFiles(dir, [command], { gui: true });
+    expect(describeExtras(extras)).toEqual([
+      ["desktop", "applications/obsidian.desktop"],
+      ["icon", "icons/obsidian.png"],
+      ["icon", "icons/hicolor/256x256/apps/obsidian.png"],
+    ]);
+    expect(extras[0].content).toContain(`Exec=${command} --no-sandbox %U`);
+    expect(extras[0].content).toContain(`TryExec=${command}`);
+  });
+
+  test.skipIf(process.platform !== "linux")("generates an entry for GUI apps that don't ship one", () => {
+    const dir = write(path.join(workDir, "electron"), {
+      "Obsidian-1.5.3/obsidian": "elf",
+      "Obsidian-1.5.3/chrome-sandbox": "elf",
+      "Obsidian-1.5.3/resources/app.asar": "asar",
+      "obsidian.png": "png",
+    });
+
+    expect(findAppBundle(dir, "Obsidian-1.5.3/obsidian")).toBe("Obsidian-1.5.3");
+    const extras = findDesktopFiles(dir, [command], { gui: true, title: "Obsidian" });
+    expect(describeExtras(extras)).toEqual([
+      ["icon", "icons/obsidian.png"],
+      ["desktop", "applications/obsidian.desktop"],
+    ]);
+    expect(extras[1].content).toContain("Name=Obsidian\n");
+    expect(extras[1].content).toContain(`Exec=${command} %U\nIcon=obsidian\n`);
+  });
+
+  test("leaves command line tools alone", () => {
+    const dir = write(path.join(workDir, "cli"), { "rg": "elf", "logo.png": "png" });
+    expect(findAppBundle(dir, "rg")).toBeNull();
+    expect(findDesktopFiles(dir, ["/home/me/.local/bin/rg"])).toEqual([]);
+  });
+});
+
+describe("rpm packages", () => {
+  test("installs with dnf, then zypper, then rpm", () => {
+    const available = (...commands) => (command) => commands.includes(command);
+    expect(getRpmInstallCommand("/tmp/x.rpm", available("dnf", "zypper", "rpm"))).toEqual([
+      "dnf",
+      ["install", "-y", "/tmp/x.rpm"],
+    ]);
+    expect(getRpmInstallCommand("/tmp/x.rpm", available("zypper", "rpm"))[0]).toBe("zypper");
+    expect(getRpmInstallCommand("/tmp/x.rpm", available("rpm"))).toEqual(["rpm", ["-U", "/tmp/x.rpm"]]);
+  });
+
+  test("compares with the installed version and release", () => {
+    const pkg = { name: "gh", version: "2.50.0", release: "1" };
+    expect(compareRpmVersions(pkg, null)).toBeNull();
+    expect(compareRpmVersions(pkg, { version: "2.50.0", release: "1" })).toBe("same");
+    expect(compareRpmVersions(pkg, { version: "2.9.0", release: "1" })).toBe("newer");
+    expect(compareRpmVersions(pkg, { version: "2.50.0", release: "2" })).toBe("older");
+  });
 });
@@ -0,0 +1,192 @@
+const fs = require("fs");
+const { loadConfig } = require("./config");
+const { createLogger, colors, findUp } = require("./utils");
+
+const LOCKFILE_NAME = "justinstall.lock";
+const LOCKFILE_VERSION = 1;
+
+// Sources that can't be reproduced on another machine
+const UNLOCKABLE_SOURCE_TYPES = ["file"];
+
+const getPlatformId = () => `${process.platform}-${process.arch}`;
+
+/**
+ * Find justinstall.lock in dir or the closest parent directory that has one
+ */
+const findLockfile = (dir = process.cwd()) => findUp([LOCKFILE_NAME], dir);
+
+/**
+ * Turn an installation record into a lock entry: the resolved source, exact
+ * tag, asset URL, size and sha256. Throws for installs that can't be
+ * reproduced from a download.
+ */
+const createLockEntry = (record) => {
+  const { source, selected } = record;
+  if (UNLOCKABLE_SOURCE_TYPES.includes(source.type)) {
+    throw new Error(`${record.name} was installed from a local file`);
+  }
+  if (!selected?.downloadUrl || !selected?.hash) {
+    throw new Error(`${record.name} was installed by a script, not from a download`);
+  }
+
+  const originalArgs = [].concat(source.originalArgs || []);
+  return {
+    source: originalArgs[0] || source.url,
+    type: source.type,
+    tag: record.version || null,
+    commit: record.commit || null,
+    asset: selected.name,
+    url: selected.downloadUrl,
+    size: selected.size ?? null,
+    sha256: selected.hash,
+    platform: getPlatformId(),
+    ...(record.installation?.overrides?.binaries && {
+      binaries: record.installation.overrides.binaries,
+    }),
+  };
+};
+
+/**
+ * Lock entries for installation records. Records that can't be locked are
+ * skipped with a warning. Returns { name: entry }.
+ */
+const createLockEntries = (records, log = createLogger()) => {
+  const packages = {};
+  for (const record of records) {
+    try {
+      packages[record.name] = createLockEntry(record);
+    } catch (error) {
+      log.warn(`Skipping ${record.name}: ${error.message}`);
+    }
+  }
+  return packages;
+};
+
+/**
+ * Lock entries for sources that aren't necessarily installed. Each one is
+ * resolved, downloaded and verified like an install, but not installed.
+ */
+const resolveLockEntries = async (sources, log = createLogger()) => {
+  const { performInstallation } = require("./installer");
+
+  const records = [];
+  for (const source of sources) {
+    log.log(`Resolving ${source}...`);
+    const { record } = await performInstallation([source], false, true, { resolveOnly: true });
+    records.push(record);
+  }
+  return createLockEntries(records, log);
+};
+
+const loadLockfile = (filePath) => {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Couldn't read ${filePath}: ${error.message}`);
+  }
+
+  if (data.lockfileVersion !== LOCKFILE_VERSION || !data.packages) {
+    throw new Error(`${filePath} isn't a version ${LOCKFILE_VERSION} justinstall lockfile`);
+  }
+  return data;
+};
+
+/**
+ * Write lock entries ({ name: entry }) sorted by name, so the file diffs
+ * cleanly when it's committed
+ */
+const writeLockfile = (filePath, packages) => {
+  const sorted = {};
+  for (const name of Object.keys(packages).sort()) {
+    sorted[name] = packages[name];
+  }
+  const data = { lockfileVersion: LOCKFILE_VERSION, packages: sorted };
+  fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`);
+  return data;
+};
+
+/**
+ * Find a package in a lockfile by name, or by the source it was locked from
+ */
+const findLockEntry = (lockfile, name, spec = null) => {
+  if (name && lockfile.packages[name]) {
+    return { name, entry: lockfile.packages[name] };
+  }
+  const match = Object.entries(lockfile.packages).find(([, entry]) => spec && entry.source === spec);
+  return match ? { name: match[0], entry: match[1] } : null;
+};
+
+/**
+ * Reject lock entries that can't be installed here as-is
+ */
+const assertLockEntryUsable = (name, entry) => {
+  if (entry.platform && entry.platform !== getPlatformId()) {
+    throw new Error(
+      `${name} is locked to ${entry.asset} for ${entry.platform}, but this machine is ${getPlatformId()}. ` +
+      `Regenerate the lockfile on this platform with 'justinstall lock'.`
+    );
+  }
+  if (!entry.url || !/^[a-f0-9]{64}$/.test(entry.sha256 || "")) {
+    throw new Error(`${name} has no asset URL or sha256 in the lockfile`);
+  }
+};
+
+/**
+ * Check whether an installation record already has a lock entry's bytes
+ */
+const isInstalledAsLocked = (record, entry) => {
+  return !!record && record.selected?.hash === entry.sha256;
+};
+
+/**
+ * Install packages from a lockfile exactly as locked (--frozen): every
+ * package, or only the named ones. Fails if a package isn't locked or a
+ * download doesn't match its sha256.
+ */
+const performFrozenInstall = async (lockPath, names = [], yesFlag = false) => {
+  const { performInstallation } = require("./installer");
+  const log = createLogger();
+  const lockfile = loadLockfile(lockPath);
+
+  const targets = names.length > 0
+    ? names.map((name) => {
+      const locked = findLockEntry(lockfile, name, name);
+      if (!locked) {
+        throw new Error(`${name} isn't in ${lockPath}. Add it with 'justinstall lock' first.`);
+      }
+      return locked;
+    })
+    : Object.entries(lockfile.packages).map(([name, entry]) => ({ name, entry }));
+
+  targets.forEach(({ name, entry }) => assertLockEntryUsable(name, entry));
+
+  const config = loadConfig();
+  for (const locked of targets) {
+    const { name, entry } = locked;
+    if (isInstalledAsLocked(config.find((item) => item.name === name), entry)) {
+      log.log(`${colors.fg.green}✓${colors.reset} ${name} ${entry.tag || ""} is already installed`);
+      continue;
+    }
+    await performInstallation([entry.source], false, yesFlag, {
+      name,
+      locked,
+      binaries: entry.binaries,
+    });
+  }
+};
+
+module.exports = {
+  LOCKFILE_NAME,
+  getPlatformId,
+  findLockfile,
+  createLockEntry,
+  createLockEntries,
+  resolveLockEntries,
+  loadLockfile,
+  writeLockfile,
+  findLockEntry,
+  assertLockEntryUsable,
+  isInstalledAsLocked,
+  performFrozenInstall,
+};
@@ -0,0 +1,132 @@
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  LOCKFILE_NAME,
+  getPlatformId,
+  findLockfile,
+  createLockEntry,
+  createLockEntries,
+  loadLockfile,
+  writeLockfile,
+  findLockEntry,
+  assertLockEntryUsable,
+  isInstalledAsLocked,
+} = require("./lockfile");
+
+const SHA256 = "a".repeat(64);
+
+const createRecord = (overrides = {}) => ({
+  name: "fzf",
+  version: "v0.54.0",
+  commit: "abc123",
+  source: { type: "github", owner: "junegunn", repo: "fzf", originalArgs: ["junegunn/fzf@^0.54"] },
+  selected: {
+    name: "fzf-0.54.0-linux_amd64.tar.gz",
+    size: 1024,
+    downloadUrl: "https://github.com/junegunn/fzf/releases/download/v0.54.0/fzf-0.54.0-linux_amd64.tar.gz",
+    hash: SHA256,
+  },
+  installation: { method: "binary" },
+  ...overrides,
+});
+
+const silentLog = () => {
+  const warnings = [];
+  return { warnings, log: () => {}, debug: () => {}, warn: (message) => warnings.push(message) };
+};
+
+describe("createLockEntry", () => {
+  test("records the resolved download", () => {
+    expect(createLockEntry(createRecord())).toEqual({
+      source: "junegunn/fzf@^0.54",
+      type: "github",
+      tag: "v0.54.0",
+      commit: "abc123",
+      asset: "fzf-0.54.0-linux_amd64.tar.gz",
+      url: "https://github.com/junegunn/fzf/releases/download/v0.54.0/fzf-0.54.0-linux_amd64.tar.gz",
+      size: 1024,
+      sha256: SHA256,
+      platform: getPlatformId(),
+    });
+  });
+
+  test("keeps binary overrides", () => {
+    const record = createRecord({ installation: { method: "binary", overrides: { binaries: ["fzf"] } } });
+    expect(createLockEntry(record).binaries).toEqual(["fzf"]);
+  });
+
+  test("refuses installs that can't be reproduced", () => {
+    expect(() => createLockEntry(createRecord({ source: { type: "file", url: "/tmp/tool.zip" } }))).toThrow(
+      "local file"
+    );
+    expect(() => createLockEntry(createRecord({ selected: { name: "fzf" } }))).toThrow("script");
+  });
+
+  test("skips unlockable records with a warning", () => {
+    const log = silentLog();
+    const packages = createLockEntries([createRecord(), createRecord({ name: "x", selected: {} })], log);
+    expect(Object.keys(packages)).toEqual(["fzf"]);
+    expect(log.warnings[0]).toContain("Skipping x");
+  });
+});
+
+describe("lockfile files", () => {
+  let workDir;
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-lock-"));
+  });
+
+  afterAll(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("round-trips entries sorted by name", () => {
+    const file = path.join(workDir, LOCKFILE_NAME);
+    const entry = createLockEntry(createRecord());
+    writeLockfile(file, { zoxide: entry, bat: entry });
+
+    const lockfile = loadLockfile(file);
+    expect(lockfile.lockfileVersion).toBe(1);
+    expect(Object.keys(lockfile.packages)).toEqual(["bat", "zoxide"]);
+  });
+
+  test("is found from a subdirectory", () => {
+    const nested = path.join(workDir, "src", "lib");
+    fs.mkdirSync(nested, { recursive: true });
+    expect(findLockfile(nested)).toBe(path.join(workDir, LOCKFILE_NAME));
+  });
+
+  test("rejects files that aren't lockfiles", () => {
+    const file = path.join(workDir, "other.json");
+    fs.writeFileSync(file, JSON.stringify({ packages: {} }));
+    expect(() => loadLockfile(file)).toThrow("isn't a version 1");
+  });
+});
+
+describe("lock entries", () => {
+  const lockfile = { packages: { fzf: createLockEntry(createRecord()) } };
+
+  test("are found by name or source", () => {
+    expect(findLockEntry(lockfile, "fzf").name).toBe("fzf");
+    expect(findLockEntry(lockfile, null, "junegunn/fzf@^0.54").name).toBe("fzf");
+    expect(findLockEntry(lockfile, "bat", "sharkdp/bat")).toBeNull();
+  });
+
+  test("must be for this platform", () => {
+    const entry = { ...lockfile.packages.fzf, platform: "plan9-mips" };
+    expect(() => assertLockEntryUsable("fzf", entry)).toThrow("for plan9-mips");
+    expect(() => assertLockEntryUsable("fzf", lockfile.packages.fzf)).not.toThrow();
+    expect(() => assertLockEntryUsable("fzf", { ...lockfile.packages.fzf, sha256: null })).toThrow("sha256");
+  });
+
+  test("match installs with the same bytes", () => {
+    expect(isInstalledAsLocked(createRecord(), lockfile.packages.fzf)).toBe(true);
+    expect(isInstalledAsLocked(createRecord({ selected: { hash: "b".repeat(64) } }), lockfile.packages.fzf)).toBe(
+      false
+    );
+    expect(isInstalledAsLocked(undefined, lockfile.packages.fzf)).toBe(false);
+  });
+});
@@ -0,0 +1,588 @@
+const fs = require("fs");
+const path = require("path");
+const { performInstallation } = require("./installer");
+const {
+  checkForUpdates,
+  performUpdate,
+  performUninstall,
+  describeSource,
+} = require("./updater");
+const { loadConfig, saveConfig } = require("./config");
+const { parseSource } = require("./sources");
+const { matchesAssetPattern } = require("./installers");
+const {
+  RELEASE_CHANNELS,
+  isVersionRange,
+  satisfies,
+  compareVersions,
+  splitPin,
+} = require("./versions");
+const { createLogger, confirm, colors, findUp } = require("./utils");
+const { createModuleProgress } = require("./progress");
+const {
+  LOCKFILE_NAME,
+  loadLockfile,
+  findLockEntry,
+  isInstalledAsLocked,
+} = require("./lockfile");
+
+// Looked for in the current directory and its parents, in this order
+const MANIFEST_FILES = ["justinstall.json", "justinstall.yaml", "justinstall.yml"];
+
+const createYamlError = (line, message) => {
+  return new Error(`Invalid YAML on line ${line.number}: ${message}`);
+};
+
+const stripYamlComment = (line) => {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+};
+
+const splitFlowList = (text) => {
+  const items = [];
+  let quote = null;
+  let current = "";
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ",") {
+      items.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  items.push(current);
+  return items;
+};
+
+// Versions such as 1.10 must stay strings, so numbers are never converted
+const parseYamlScalar = (text) => {
+  const value = text.trim();
+  if (value === "" || value === "~" || value === "null") return null;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (/^".*"$/.test(value)) return JSON.parse(value);
+  if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (value.startsWith("[") && value.endsWith("]")) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? splitFlowList(inner).map(parseYamlScalar) : [];
+  }
+  return value;
+};
+
+const MAPPING_ENTRY = /^("[^"]*"|'[^']*'|[^\s"'#:][^:]*?)\s*:(?:\s+(.*))?$/;
+
+const isSequenceItem = (text) => text === "-" || text.startsWith("- ");
+
+/**
+ * Parse the YAML subset a manifest needs: block mappings and sequences,
+ * "- key: value" items, quoted and plain scalars, flow lists ([a, b]) and
+ * comments. Anchors, multi-line strings and flow mappings aren't supported.
+ */
+const parseYaml = (text) => {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const content = stripYamlComment(raw).trimEnd();
+    const line = { number: index + 1 };
+    if (!content.trim() || content.trim() === "---") return;
+    if (/^ *\t/.test(content)) {
+      throw createYamlError(line, "tabs can't be used for indentation");
+    }
+    lines.push({
+      ...line,
+      indent: content.length - content.trimStart().length,
+      text: content.trim(),
+    });
+  });
+
+  let position = 0;
+
+  const parseBlock = () => {
+    const { indent, text } = lines[position];
+    return isSequenceItem(text) ? parseSequence(indent) : parseMapping(indent);
+  };
+
+  const parseSequence = (indent) => {
+    const items = [];
+    while (
+      position < lines.length &&
+      lines[position].indent === indent &&
+      isSequenceItem(lines[position].text)
+    ) {
+      const line = lines[position];
+      const rest = line.text.slice(1).trim();
+
+      if (!rest) {
+        position++;
+        items.push(position < lines.length && lines[position].indent > indent ? parseBlock() : null);
+      } else if (MAPPING_ENTRY.test(rest)) {
+        // "- key: value" starts a mapping aligned with the text after the dash
+        const childIndent = indent + line.text.length - rest.length;
+        lines[position] = { ...line, indent: childIndent, text: rest };
+        items.push(parseMapping(childIndent));
+      } else {
+        position++;
+        items.push(parseYamlScalar(rest));
+      }
+    }
+    return items;
+  };
+
+  const parseMapping = (indent) => {
+    const result = {};
+    while (position < lines.length && lines[position].indent === indent) {
+      const line = lines[position];
+      const match = line.text.match(MAPPING_ENTRY);
+      if (!match || isSequenceItem(line.text)) {
+        throw createYamlError(line, `expected "key: value", got "${line.text}"`);
+      }
+      position++;
+
+      const key = parseYamlScalar(match[1]);
+      const next = lines[position];
+      if (match[2]) {
+        result[key] = parseYamlScalar(match[2]);
+      } else if (next && (next.indent > indent || (next.indent === indent && isSequenceItem(next.text)))) {
+        result[key] = parseBlock();
+      } else {
+        result[key] = null;
+      }
+    }
+    return result;
+  };
+
+  if (lines.length === 0) return null;
+  const result = parseBlock();
+  if (position < lines.length) {
+    throw createYamlError(lines[position], "unexpected indentation");
+  }
+  return result;
+};
+
+/**
+ * Turn one manifest package ("owner/repo@^1.2" or an object with source,
+ * version, asset, binaries and name) into
+ * { name, version, asset, binaries, spec }, where spec is the
+ * argument to install it with
+ */
+const normalizePackage = (value, key = null) => {
+  const label = key ? `Package "${key}"` : "A package";
+  const entry = typeof value === "string" ? { source: value } : value;
+
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    throw new Error(`${label} in the manifest must be a source or an object with a "source"`);
+  }
+  if (!entry.source || typeof entry.source !== "string") {
+    throw new Error(`${label} in the manifest has no "source"`);
+  }
+
+  const parsed = parseSource(entry.source);
+  if (parsed.pin && entry.version) {
+    throw new Error(`${label} gives a version both in its source and as "version"`);
+  }
+
+  const version = entry.version ? String(entry.version) : parsed.pin || null;
+  const spec = entry.version ? `${entry.source}@${version}` : entry.source;
+  let pinned = parsed.pin;
+  if (entry.version) {
+    try {
+      pinned = parseSource(spec).pin;
+    } catch {
+      pinned = null;
+    }
+  }
+  if (version && pinned !== version) {
+    throw new Error(`${label}: versions can only be given for owner/repo sources`);
+  }
+
+  const binaries = entry.binaries ?? entry.binary ?? null;
+  if (binaries !== null && typeof binaries !== "string" && !Array.isArray(binaries)) {
+    throw new Error(`${label}: "binaries" must be a name or a list of names`);
+  }
+
+  return {
+    name: entry.name || key,
+    version,
+    asset: entry.asset || null,
+    binaries: binaries === null ? null : [].concat(binaries).map(String),
+    spec,
+  };
+};
+
+/**
+ * Read a justinstall.json or justinstall.yaml manifest. "packages" is either
+ * an object keyed by package name or a list of sources/objects.
+ */
+const loadManifest = (filePath) => {
+  const text = fs.readFileSync(filePath, "utf8");
+
+  let data;
+  if (/\.ya?ml$/i.test(filePath)) {
+    data = parseYaml(text);
+  } else {
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+  }
+
+  const packages = data?.packages;
+  if (!packages || typeof packages !== "object") {
+    throw new Error(`${filePath} has no "packages" list`);
+  }
+
+  const entries = Array.isArray(packages)
+    ? packages.map((value) => normalizePackage(value))
+    : Object.entries(packages).map(([key, value]) => normalizePackage(value, key));
+
+  const names = entries.map((entry) => entry.name).filter(Boolean);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Package "${duplicate}" is listed more than once in ${filePath}`);
+  }
+
+  return { path: filePath, packages: entries };
+};
+
+/**
+ * Find the manifest in dir or the closest parent directory that has one
+ */
+const findManifest = (dir = process.cwd()) => findUp(MANIFEST_FILES, dir);
+
+const getSourceId = (source) => {
+  try {
+    return describeSource(source).toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * The installation a manifest package refers to: the record with its name,
+ * or else one installed from the same source
+ */
+const findInstalledPackage = (entry, config) => {
+  if (entry.name) {
+    const byName = config.find((item) => item.name === entry.name);
+    if (byName) return byName;
+  }
+  const id = getSourceId(parseSource(entry.spec));
+  return config.find((item) => id && getSourceId(item.source) === id) || null;
+};
+
+/**
+ * Check an installed tag against a manifest version: a range, an exact tag
+ * or a channel. Channels are always satisfied here; whether they're behind
+ * needs an update check.
+ */
+const satisfiesConstraint = (installedVersion, constraint) => {
+  if (!constraint || RELEASE_CHANNELS.includes(constraint)) return true;
+  if (!installedVersion) return false;
+  if (isVersionRange(constraint)) return satisfies(installedVersion, constraint);
+  return installedVersion === constraint || compareVersions(installedVersion, constraint) === 0;
+};
+
+const getOverrides = (entry) => {
+  return entry.asset || entry.binaries
+    ? { asset: entry.asset || undefined, binaries: entry.binaries || undefined }
+    : null;
+};
+
+/**
+ * Work out what sync has to do, without touching anything:
+ *   install  - packages that aren't installed
+ *   update   - installed outside their constraint, or with an asset that no
+ *              longer matches the manifest; reinstalled from the manifest
+ *   check    - following a channel (@latest/@prerelease), so checked for updates
+ *   record   - in range, but recorded with a different pin or overrides
+ *   current  - nothing to do
+ *   extra    - installed but not in the manifest
+ * With a lockfile (sync --frozen), every package must be locked and is
+ * installed or reinstalled unless it already has the locked bytes.
+ */
+const planSync = (packages, config, lockfile = null) => {
+  const plan = { install: [], update: [], check: [], record: [], current: [], extra: [] };
+  const matched = new Set();
+
+  for (const entry of packages) {
+    const installation = findInstalledPackage(entry, config);
+    const locked = lockfile && findLockEntry(lockfile, entry.name, entry.spec);
+    if (lockfile && !locked) {
+      throw new Error(`${entry.name || entry.spec} isn't in ${LOCKFILE_NAME}; run 'justinstall lock' to add it`);
+    }
+
+    if (!installation) {
+      plan.install.push({ entry, locked });
+      continue;
+    }
+    matched.add(installation);
+
+    if (locked) {
+      if (isInstalledAsLocked(installation, locked.entry)) {
+        plan.current.push({ entry, installation });
+      } else {
+        plan.update.push({
+          entry,
+          installation,
+          locked,
+          reason: `${installation.version || "unknown version"} installed, ${locked.entry.tag || locked.entry.asset} locked`,
+        });
+      }
+      continue;
+    }
+
+    const installedAsset = installation.selected?.name;
+    if (!satisfiesConstraint(installation.version, entry.version)) {
+      plan.update.push({
+        entry,
+        installation,
+        reason: `${installation.version || "unknown version"} is outside ${entry.version}`,
+      });
+    } else if (entry.asset && installedAsset && !matchesAssetPattern(installedAsset, entry.asset)) {
+      plan.update.push({
+        entry,
+        installation,
+        reason: `${installedAsset} doesn't match asset "${entry.asset}"`,
+      });
+    } else if (RELEASE_CHANNELS.includes(entry.version)) {
+      plan.check.push({ entry, installation });
+    } else if (
+      (installation.source?.pin || null) !== entry.version ||
+      JSON.stringify(installation.installation?.overrides || null) !== JSON.stringify(getOverrides(entry))
+    ) {
+      plan.record.push({ entry, installation });
+    } else {
+      plan.current.push({ entry, installation });
+    }
+  }
+
+  plan.extra = config.filter((item) => !matched.has(item));
+  return plan;
+};
+
+// Record the manifest's pin and overrides so later --update runs respect them
+const recordManifestEntry = (name, entry) => {
+  const config = loadConfig();
+  const installation = config.find((item) => item.name === name);
+  if (!installation) return;
+
+  installation.source.pin = entry.version || undefined;
+  installation.source.originalArgs = [entry.spec];
+  installation.installation.overrides = getOverrides(entry);
+  saveConfig(config);
+};
+
+const toInstallOptions = (entry, name = entry.name, locked = null) => ({
+  name: name || locked?.name || undefined,
+  asset: locked ? undefined : entry.asset || undefined,
+  binaries: entry.binaries || undefined,
+  locked: locked || undefined,
+});
+
+/**
+ * Bring installed packages in line with a manifest: install what's missing,
+ * reinstall what's outside its constraint, update channel packages and,
+ * with prune, uninstall packages the manifest doesn't list. With frozen,
+ * packages are installed exactly as the justinstall.lock next to the
+ * manifest records them.
+ */
+const performSync = async (manifestPath, { prune = false, yesFlag = false, frozen = false } = {}) => {
+  const log = createLogger();
+  const manifest = loadManifest(manifestPath);
+
+  let lockfile = null;
+  if (frozen) {
+    const lockPath = path.join(path.dirname(manifestPath), LOCKFILE_NAME);
+    if (!fs.existsSync(lockPath)) {
+      throw new Error(`--frozen needs ${lockPath}; create it with 'justinstall lock'`);
+    }
+    lockfile = loadLockfile(lockPath);
+  }
+  const plan = planSync(manifest.packages, loadConfig(), lockfile);
+  const label = (entry) => entry.name || entry.spec;
+
+  log.log(`${colors.fg.cyan}Syncing ${manifest.packages.length} package(s) from ${manifestPath}${colors.reset}`);
+  for (const { entry } of plan.install) {
+    log.log(`  ${colors.fg.green}+${colors.reset} ${label(entry)} ${colors.dim}(${entry.spec})${colors.reset}`);
+  }
+  for (const { installation, reason } of plan.update) {
+    log.log(`  ${colors.fg.cyan}↑${colors.reset} ${installation.name}: ${reason}`);
+  }
+  for (const installation of plan.extra) {
+    const icon = prune ? `${colors.fg.red}-${colors.reset}` : `${colors.fg.yellow}?${colors.reset}`;
+    log.log(`  ${icon} ${installation.name} ${colors.dim}(not in manifest)${colors.reset}`);
+  }
+
+  const changes = plan.install.length + plan.update.length + (prune ? plan.extra.length : 0);
+  if (changes > 0 && !(await confirm(`\nApply ${changes} change(s)?`, "y", yesFlag))) {
+    log.log("Sync cancelled");
+    return plan;
+  }
+
+  const progress = createModuleProgress();
+  const failed = [];
+  const run = async (title, name, action) => {
+    progress.startModule(title, name);
+    try {
+      await action();
+      progress.completeModule(true);
+    } catch (error) {
+      progress.completeModule(false, error.message);
+      log.error(`Failed to sync ${name}: ${error.message}`);
+      failed.push(name);
+    }
+  };
+
+  for (const { entry, locked } of plan.install) {
+    await run("Installing", label(entry), async () => {
+      await performInstallation([entry.spec], false, true, toInstallOptions(entry, entry.name, locked));
+    });
+  }
+
+  for (const { entry, installation, locked } of plan.update) {
+    await run("Reinstalling", installation.name, async () => {
+      await performInstallation([entry.spec], false, true, toInstallOptions(entry, installation.name, locked));
+    });
+  }
+
+  for (const { entry, installation } of plan.record) {
+    recordManifestEntry(installation.name, entry);
+  }
+
+  for (const { entry, installation } of plan.check) {
+    await run("Checking for updates", installation.name, async () => {
+      recordManifestEntry(installation.name, entry);
+      const updateInfo = await checkForUpdates(installation.name);
+      if (updateInfo.hasUpdate && updateInfo.canUpdate) {
+        await performUpdate(updateInfo, null, true);
+      } else if (updateInfo.error) {
+        throw new Error(updateInfo.reason);
+      }
+    });
+  }
+
+  if (prune) {
+    for (const installation of plan.extra) {
+      await run("Uninstalling", installation.name, () => performUninstall(installation.name, true));
+    }
+  } else if (plan.extra.length > 0) {
+    log.log(`\n${plan.extra.length} installed package(s) aren't in the manifest; run with --prune to uninstall them`);
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Failed to sync ${failed.length} package(s): ${failed.join(", ")}`);
+  }
+
+  log.log(`\n${colors.fg.green}✓${colors.reset} ${path.basename(manifestPath)} is in sync`);
+  return plan;
+};
+
+// Sources that only exist on the machine they were installed on
+const UNPORTABLE_SOURCE_TYPES = ["file"];
+
+/**
+ * Turn an installation record into a manifest package: its source with any
+ * pin, plus the asset pattern and binaries it was installed with. The exact
+ * asset isn't kept, so another machine picks the one for its platform.
+ * Unpinned owner/repo sources are pinned to the installed version, unless
+ * floating is set to keep them following the latest release.
+ */
+const createManifestEntry = (record, { floating = false } = {}) => {
+  const { source } = record;
+  if (UNPORTABLE_SOURCE_TYPES.includes(source.type)) {
+    throw new Error(`${record.name} was installed from a local file`);
+  }
+
+  let spec = [].concat(source.originalArgs || [])[0] || source.url;
+  const { target, pin } = splitPin(spec);
+  if (!floating && !pin && record.version && /^[\w.-]+\/[\w.-]+$/.test(target)) {
+    spec = `${target}@${record.version}`;
+  }
+  const overrides = record.installation?.overrides;
+  if (!overrides?.asset && !overrides?.binaries) return spec;
+  return {
+    source: spec,
+    ...(overrides.asset && { asset: overrides.asset }),
+    ...(overrides.binaries && { binaries: overrides.binaries }),
+  };
+};
+
+/**
+ * A manifest ({ packages }) for the given installations, skipping (with a
+ * warning) those that can't be installed elsewhere. options are passed to
+ * createManifestEntry.
+ */
+const createManifest = (config, log = createLogger(), options = {}) => {
+  const packages = {};
+  for (const record of config) {
+    try {
+      packages[record.name] = createManifestEntry(record, options);
+    } catch (error) {
+      log.warn(`Skipping ${record.name}: ${error.message}`);
+    }
+  }
+  return { packages };
+};
+
+// Plain when that reads back as the same string, double-quoted otherwise
+const formatYamlString = (value) => {
+  const plain =
+    /^[\w./][\w./@^~<>=*:-]*$/.test(value) &&
+    !/:$/.test(value) &&
+    !["true", "false", "null"].includes(value);
+  return plain ? value : JSON.stringify(value);
+};
+
+/**
+ * Serialize a manifest as JSON, or as YAML for .yaml/.yml paths
+ */
+const formatManifest = (manifest, filePath = null) => {
+  if (!filePath || !/\.ya?ml$/i.test(filePath)) {
+    return `${JSON.stringify(manifest, null, 2)}\n`;
+  }
+
+  const lines = ["packages:"];
+  for (const [name, entry] of Object.entries(manifest.packages)) {
+    if (typeof entry === "string") {
+      lines.push(`  ${formatYamlString(name)}: ${formatYamlString(entry)}`);
+      continue;
+    }
+    lines.push(`  ${formatYamlString(name)}:`);
+    for (const [key, value] of Object.entries(entry)) {
+      const formatted = Array.isArray(value)
+        ? `[${value.map(formatYamlString).join(", ")}]`
+        : formatYamlString(value);
+      lines.push(`    ${key}: ${formatted}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+module.exports = {
+  MANIFEST_FILES,
+  parseYaml,
+  normalizePackage,
+  loadManifest,
+  findManifest,
+  findInstalledPackage,
+  satisfiesConstraint,
+  planSync,
+  performSync,
+  createManifestEntry,
+  createManifest,
+  formatManifest,
+};
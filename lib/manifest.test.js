@@ -0,0 +1,272 @@
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseYaml,
+  normalizePackage,
+  loadManifest,
+  findManifest,
+  findInstalledPackage,
+  satisfiesConstraint,
+  planSync,
+  createManifestEntry,
+  createManifest,
+  formatManifest,
+} = require("./manifest");
+
+const createRecord = (name, source, version, extra = {}) => ({
+  name,
+  version,
+  source: { type: "github", owner: source.split("/")[0], repo: source.split("/")[1], ...extra.source },
+  selected: { name: `${name}-linux-amd64.tar.gz`, ...extra.selected },
+  installation: { method: "binary", ...extra.installation },
+});
+
+describe("parseYaml", () => {
+  test("parses nested mappings and scalars", () => {
+    const yaml = [
+      "# tools for the team",
+      "packages:",
+      "  fzf: junegunn/fzf@^0.54",
+      "  rg:",
+      "    source: BurntSushi/ripgrep",
+      '    asset: "musl"   # static build',
+      "    binaries: [rg, 'rg-extra']",
+      "    enabled: true",
+      "    note: ~",
+    ].join("\n");
+
+    expect(parseYaml(yaml)).toEqual({
+      packages: {
+        fzf: "junegunn/fzf@^0.54",
+        rg: {
+          source: "BurntSushi/ripgrep",
+          asset: "musl",
+          binaries: ["rg", "rg-extra"],
+          enabled: true,
+          note: null,
+        },
+      },
+    });
+  });
+
+  test("parses sequences, including mappings inside items", () => {
+    const yaml = [
+      "packages:",
+      "- junegunn/fzf",
+      "- source: cli/cli",
+      "  name: gh",
+      "  binaries:",
+      "    - gh",
+    ].join("\n");
+
+    expect(parseYaml(yaml)).toEqual({
+      packages: ["junegunn/fzf", { source: "cli/cli", name: "gh", binaries: ["gh"] }],
+    });
+  });
+
+  test("keeps versions and URLs as strings", () => {
+    expect(parseYaml("version: 1.10\nurl: https://example.com/a#b")).toEqual({
+      version: "1.10",
+      url: "https://example.com/a#b",
+    });
+  });
+
+  test("reports the line of a malformed entry", () => {
+    expect(() => parseYaml("packages:\n  fzf: a/b\n    oops")).toThrow("line 3");
+    expect(() => parseYaml("packages:\n\tfzf: a/b")).toThrow("tabs");
+  });
+});
+
+describe("normalizePackage", () => {
+  test("reads the version from the source or a version field", () => {
+    expect(normalizePackage("junegunn/fzf@^0.54", "fzf")).toMatchObject({
+      name: "fzf",
+      version: "^0.54",
+      spec: "junegunn/fzf@^0.54",
+    });
+    expect(normalizePackage({ source: "junegunn/fzf", version: "v0.54.0" })).toMatchObject({
+      name: null,
+      version: "v0.54.0",
+      spec: "junegunn/fzf@v0.54.0",
+    });
+  });
+
+  test("accepts a single binary name", () => {
+    expect(normalizePackage({ source: "BurntSushi/ripgrep", binaries: "rg" }).binaries).toEqual(["rg"]);
+  });
+
+  test("rejects packages it can't install", () => {
+    expect(() => normalizePackage({ version: "^1" }, "x")).toThrow('has no "source"');
+    expect(() => normalizePackage({ source: "a/b@^1", version: "^2" }, "x")).toThrow("both");
+    expect(() => normalizePackage({ source: "https://example.com/tool.zip", version: "^1" }, "x")).toThrow(
+      "owner/repo"
+    );
+  });
+});
+
+describe("manifest files", () => {
+  let workDir;
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-manifest-"));
+  });
+
+  afterAll(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("loads JSON manifests keyed by name", () => {
+    const file = path.join(workDir, "justinstall.json");
+    fs.writeFileSync(file, JSON.stringify({ packages: { fzf: "junegunn/fzf", gh: { source: "cli/cli" } } }));
+
+    const manifest = loadManifest(file);
+    expect(manifest.packages.map((entry) => entry.name)).toEqual(["fzf", "gh"]);
+  });
+
+  test("loads YAML manifests", () => {
+    const file = path.join(workDir, "tools.yaml");
+    fs.writeFileSync(file, "packages:\n  - junegunn/fzf@latest\n");
+
+    expect(loadManifest(file).packages[0]).toMatchObject({ version: "latest", spec: "junegunn/fzf@latest" });
+  });
+
+  test("rejects manifests without packages or with duplicates", () => {
+    const empty = path.join(workDir, "empty.json");
+    fs.writeFileSync(empty, "{}");
+    expect(() => loadManifest(empty)).toThrow('no "packages"');
+
+    const duplicate = path.join(workDir, "duplicate.yaml");
+    fs.writeFileSync(duplicate, "packages:\n  - source: a/b\n    name: x\n  - source: c/d\n    name: x\n");
+    expect(() => loadManifest(duplicate)).toThrow("more than once");
+  });
+
+  test("finds the manifest in a parent directory", () => {
+    const nested = path.join(workDir, "a", "b");
+    fs.mkdirSync(nested, { recursive: true });
+    expect(findManifest(nested)).toBe(path.join(workDir, "justinstall.json"));
+  });
+});
+
+describe("satisfiesConstraint", () => {
+  test("checks ranges, exact tags and channels", () => {
+    expect(satisfiesConstraint("v0.54.3", "^0.54")).toBe(true);
+    expect(satisfiesConstraint("v0.55.0", "^0.54")).toBe(false);
+    expect(satisfiesConstraint("v1.2.0", "1.2.0")).toBe(true);
+    expect(satisfiesConstraint("v1.2.1", "v1.2.0")).toBe(false);
+    expect(satisfiesConstraint("v1.0.0", "latest")).toBe(true);
+    expect(satisfiesConstraint("v1.0.0", null)).toBe(true);
+    expect(satisfiesConstraint(undefined, "^1")).toBe(false);
+  });
+});
+
+describe("planSync", () => {
+  const config = [
+    createRecord("fzf", "junegunn/fzf", "v0.53.0"),
+    createRecord("rg", "BurntSushi/ripgrep", "14.1.0"),
+    createRecord("github-cli", "cli/cli", "v2.50.0", { source: { pin: "latest" } }),
+    createRecord("bat", "sharkdp/bat", "v0.24.0", { source: { pin: "^0.24" } }),
+    createRecord("old-tool", "someone/old-tool", "v1.0.0"),
+  ];
+
+  test("matches installations by name, then by source", () => {
+    expect(findInstalledPackage(normalizePackage("junegunn/fzf", "fzf"), config).name).toBe("fzf");
+    expect(findInstalledPackage(normalizePackage("cli/cli", "gh"), config).name).toBe("github-cli");
+    expect(findInstalledPackage(normalizePackage("Cli/CLI"), config).name).toBe("github-cli");
+    expect(findInstalledPackage(normalizePackage("a/b", "new"), config)).toBeNull();
+  });
+
+  test("sorts manifest packages into what needs doing", () => {
+    const packages = [
+      normalizePackage("junegunn/fzf@^0.54", "fzf"),
+      normalizePackage({ source: "BurntSushi/ripgrep", asset: "musl" }, "rg"),
+      normalizePackage("cli/cli@latest", "gh"),
+      normalizePackage("sharkdp/bat@^0.24", "bat"),
+      normalizePackage("ajeetdsouza/zoxide", "zoxide"),
+    ];
+
+    const plan = planSync(packages, config);
+    expect(plan.install.map(({ entry }) => entry.name)).toEqual(["zoxide"]);
+    expect(plan.update.map(({ installation }) => installation.name)).toEqual(["fzf", "rg"]);
+    expect(plan.update[0].reason).toContain("outside ^0.54");
+    expect(plan.update[1].reason).toContain('asset "musl"');
+    expect(plan.check.map(({ installation }) => installation.name)).toEqual(["github-cli"]);
+    expect(plan.current.map(({ installation }) => installation.name)).toEqual(["bat"]);
+    expect(plan.extra.map((item) => item.name)).toEqual(["old-tool"]);
+  });
+
+  test("follows the lockfile when frozen", () => {
+    const locked = (record, sha256) => ({
+      source: `${record.source.owner}/${record.source.repo}`,
+      tag: "v9",
+      sha256,
+    });
+    const lockfile = {
+      packages: {
+        fzf: locked(config[0], "b".repeat(64)),
+        bat: locked(config[3], "a".repeat(64)),
+        zoxide: { source: "ajeetdsouza/zoxide", tag: "v0.9.4", sha256: "c".repeat(64) },
+      },
+    };
+    const frozenConfig = config.map((item) => ({ ...item, selected: { ...item.selected, hash: "a".repeat(64) } }));
+    const packages = [
+      normalizePackage("junegunn/fzf@^0.54", "fzf"),
+      normalizePackage("sharkdp/bat", "bat"),
+      normalizePackage("ajeetdsouza/zoxide", "zoxide"),
+    ];
+
+    const plan = planSync(packages, frozenConfig, lockfile);
+    expect(plan.install.map(({ locked }) => locked.name)).toEqual(["zoxide"]);
+    expect(plan.update.map(({ installation }) => installation.name)).toEqual(["fzf"]);
+    expect(plan.current.map(({ installation }) => installation.name)).toEqual(["bat"]);
+
+    expect(() => planSync([normalizePackage("cli/cli", "gh")], frozenConfig, lockfile)).toThrow(
+      "isn't in justinstall.lock"
+    );
+  });
+
+  test("records a new pin when the installed version already fits", () => {
+    const plan = planSync([normalizePackage("junegunn/fzf@^0.53", "fzf")], config);
+    expect(plan.record.map(({ installation }) => installation.name)).toEqual(["fzf"]);
+  });
+});
+
+describe("export", () => {
+  const records = [
+    createRecord("fzf", "junegunn/fzf", "v0.54.0", { source: { originalArgs: ["junegunn/fzf@^0.54"] } }),
+    createRecord("rg", "BurntSushi/ripgrep", "14.1.0", {
+      source: { originalArgs: ["BurntSushi/ripgrep"] },
+      installation: { overrides: { asset: "*-musl.tar.gz", binaries: ["rg"] } },
+    }),
+    createRecord("local", "x/y", null, { source: { type: "file", url: "/tmp/tool.zip" } }),
+  ];
+  const silentLog = { log: () => {}, debug: () => {}, warn: () => {} };
+
+  test("keeps the source, pin and overrides but not the asset", () => {
+    expect(createManifestEntry(records[0])).toBe("junegunn/fzf@^0.54");
+    expect(createManifestEntry(records[1], { floating: true })).toEqual({
+      source: "BurntSushi/ripgrep",
+      asset: "*-musl.tar.gz",
+      binaries: ["rg"],
+    });
+    expect(() => createManifestEntry(records[2])).toThrow("local file");
+  });
+
+  test("pins unpinned packages to the installed version unless floating", () => {
+    expect(createManifestEntry(records[1]).source).toBe("BurntSushi/ripgrep@14.1.0");
+    expect(createManifestEntry(records[0], { floating: true })).toBe("junegunn/fzf@^0.54");
+    const latest = createRecord("bat", "sharkdp/bat", "v0.24.0", { source: { originalArgs: ["sharkdp/bat@latest"] } });
+    expect(createManifestEntry(latest)).toBe("sharkdp/bat@latest");
+  });
+
+  test("writes manifests that load back the same in JSON and YAML", () => {
+    const manifest = createManifest(records, silentLog);
+    expect(Object.keys(manifest.packages)).toEqual(["fzf", "rg"]);
+
+    const yaml = formatManifest(manifest, "packages.yaml");
+    expect(yaml).toContain('asset: "*-musl.tar.gz"');
+    expect(parseYaml(yaml)).toEqual(manifest);
+    expect(JSON.parse(formatManifest(manifest))).toEqual(manifest);
+  });
+});
@@ -0,0 +1,42 @@
+const { Module } = require('../../core/module')
+
+/**
+ * Detector for self-hostable forges. Subclasses set `static forge` to
+ * { type, label, parse, repo, apiUrl }: the URL type (also the context key),
+ * the name used in messages, the input parser, the parsed fields that name
+ * the repository, and the repository's API base.
+ */
+class ForgeDetectorModule extends Module {
+  static forge = null
+
+  async shouldRun() {
+    const input = this.context.originalInput
+    if (!input || typeof input !== 'string') return false
+
+    return this.constructor.forge.parse(input) !== null
+  }
+
+  async run() {
+    const { type, label, parse, repo, apiUrl } = this.constructor.forge
+    const input = this.context.originalInput
+    const parsed = parse(input)
+
+    if (!parsed) {
+      throw new Error(`Failed to parse ${label} input: ${input}`)
+    }
+
+    const fields = repo(parsed)
+    this.context.urlType = type
+    this.context[type] = {
+      host: parsed.host,
+      ...fields,
+      tag: parsed.tag,
+      apiUrl: apiUrl(parsed),
+      releaseInfo: null
+    }
+
+    this.debug(`Detected ${label} repo: ${Object.values(fields).join('/')} on ${parsed.host}${parsed.tag ? ` @ ${parsed.tag}` : ''}`)
+  }
+}
+
+module.exports = { ForgeDetectorModule }
@@ -0,0 +1,19 @@
+const { URL_TYPES } = require('../../core/types')
+const { parseGiteaUrl } = require('../../sources')
+const { ForgeDetectorModule } = require('./forge-detector')
+
+class GiteaDetectorModule extends ForgeDetectorModule {
+  static name = 'GiteaDetector'
+  static phase = 'detect'
+  static priority = 85
+  static dependencies = []
+  static forge = {
+    type: URL_TYPES.GITEA,
+    label: 'Gitea',
+    parse: parseGiteaUrl,
+    repo: ({ owner, repo }) => ({ owner, repo }),
+    apiUrl: ({ host, owner, repo }) => `${host}/api/v1/repos/${owner}/${repo}`
+  }
+}
+
+module.exports = { GiteaDetectorModule }
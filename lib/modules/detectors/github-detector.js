@@ -1,5 +1,7 @@
 const { Module } = require('../../core/module')
 const { URL_TYPES } = require('../../core/types')
+const { DEFAULT_GITHUB_HOST, isGitHubHost, getGitHubEndpoints } = require('../../github')
+const { isExactPin } = require('../../versions')
 
 class GitHubDetectorModule extends Module {
   static name = 'GitHubDetector'
@@ -11,8 +13,8 @@ class GitHubDetectorModule extends Module {
     const input = this.context.originalInput
     if (!input || typeof input !== 'string') return false
     
-    if (input.includes('github.com')) return true
-    if (/^[\w.-]+\/[\w.-]+$/.test(input)) return true
+    if (this._getGitHubHost(input)) return true
+    if (/^[\w.-]+\/[\w.-]+(?:@.+)?$/.test(input)) return true
     
     return false
   }
@@ -25,21 +27,35 @@ class GitHubDetectorModule extends Module {
       throw new Error(`Failed to parse GitHub input: ${input}`)
     }
     
+    const host = parsed.host || DEFAULT_GITHUB_HOST
+    const { api } = getGitHubEndpoints(host)
+    
     this.context.urlType = URL_TYPES.GITHUB
     this.context.github = {
       owner: parsed.owner,
       repo: parsed.repo,
       tag: parsed.tag,
-      apiUrl: `https://api.github.com/repos/${parsed.owner}/${parsed.repo}`,
-      releasesUrl: `https://api.github.com/repos/${parsed.owner}/${parsed.repo}/releases`,
+      pin: parsed.pin || null,
+      host,
+      apiUrl: `${api}/repos/${parsed.owner}/${parsed.repo}`,
+      releasesUrl: `${api}/repos/${parsed.owner}/${parsed.repo}/releases`,
       releaseInfo: null
     }
     
     this.debug(`Detected GitHub repo: ${parsed.owner}/${parsed.repo}${parsed.tag ? ` @ ${parsed.tag}` : ''}`)
   }
 
+  _getGitHubHost(input) {
+    try {
+      const urlObj = new URL(input.startsWith('http') ? input : `https://${input}`)
+      return isGitHubHost(urlObj.hostname) ? urlObj.origin : null
+    } catch {
+      return null
+    }
+  }
+
   _parseGitHubInput(input) {
-    if (input.includes('github.com')) {
+    if (this._getGitHubHost(input)) {
       return this._parseGitHubUrl(input)
     }
     
@@ -65,7 +81,7 @@ class GitHubDetectorModule extends Module {
         tag = pathParts[3]
       }
       
-      return { owner, repo, tag }
+      return { owner, repo, tag, host: urlObj.origin }
     } catch {
       return null
     }
@@ -75,10 +91,13 @@ class GitHubDetectorModule extends Module {
     const match = input.match(/^([\w.-]+)\/([\w.-]+)(?:@(.+))?$/)
     if (!match) return null
     
+    const pin = match[3] || null
+    
     return {
       owner: match[1],
       repo: match[2],
-      tag: match[3] || null
+      tag: isExactPin(pin) ? pin : null,
+      pin
     }
   }
 }
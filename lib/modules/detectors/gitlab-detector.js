@@ -0,0 +1,19 @@
+const { URL_TYPES } = require('../../core/types')
+const { parseGitLabUrl } = require('../../sources')
+const { ForgeDetectorModule } = require('./forge-detector')
+
+class GitLabDetectorModule extends ForgeDetectorModule {
+  static name = 'GitLabDetector'
+  static phase = 'detect'
+  static priority = 90
+  static dependencies = []
+  static forge = {
+    type: URL_TYPES.GITLAB,
+    label: 'GitLab',
+    parse: parseGitLabUrl,
+    repo: ({ project }) => ({ project }),
+    apiUrl: ({ host, project }) => `${host}/api/v4/projects/${encodeURIComponent(project)}`
+  }
+}
+
+module.exports = { GitLabDetectorModule }
@@ -1,9 +1,13 @@
 const { GitHubDetectorModule } = require('./github-detector')
+const { GitLabDetectorModule } = require('./gitlab-detector')
+const { GiteaDetectorModule } = require('./gitea-detector')
 const { LinkParserModule } = require('./link-parser')
 const { LocalFileDetectorModule } = require('./local-file-detector')
 
 module.exports = {
   GitHubDetectorModule,
+  GitLabDetectorModule,
+  GiteaDetectorModule,
   LinkParserModule,
   LocalFileDetectorModule
 }
@@ -0,0 +1,78 @@
+const fs = require('fs')
+const path = require('path')
+const { Module } = require('../../core/module')
+const { getGitHubAssetDownload } = require('../../github')
+const { downloadFromUrl } = require('../../sources')
+const { removeCachedDownload } = require('../../cache')
+const {
+  selectChecksumAssets,
+  findExpectedChecksum,
+  parseDigest,
+  verifyChecksum
+} = require('../../checksums')
+
+class ChecksumVerifierModule extends Module {
+  static name = 'ChecksumVerifier'
+  static phase = 'download'
+  static priority = 90
+  static dependencies = ['Downloader']
+
+  async shouldRun() {
+    const source = this.context.selectedSource
+    return !!(source && this.context.downloadPath && source.module !== 'LocalFile')
+  }
+
+  async run() {
+    const source = this.context.selectedSource
+    const checksumFiles = await this._fetchChecksumFiles(source.name)
+    
+    const published = parseDigest(source.digest)
+    const expected = findExpectedChecksum(checksumFiles, source.name) ||
+      (published && { ...published, file: 'release metadata' })
+    
+    if (!expected) {
+      if (checksumFiles.length > 0) {
+        this.warn(`No checksum listed for ${source.name}, skipping verification`)
+      } else {
+        this.debug(`No checksums published for ${source.name}`)
+      }
+      return
+    }
+    
+    // A mismatch aborts the install before anything is written
+    let verified
+    try {
+      verified = verifyChecksum(this.context.downloadPath, source.name, expected)
+    } catch (error) {
+      removeCachedDownload(source.url)
+      throw error
+    }
+    
+    const { algorithm, digest } = verified
+    this.context.checksum = { algorithm, digest, file: expected.file }
+    this.log(`Verified ${algorithm} checksum from ${expected.file}`)
+  }
+
+  async _fetchChecksumFiles(assetName) {
+    const tmpdir = this.context.createTmpDir()
+    const files = []
+    
+    for (const asset of selectChecksumAssets(this.context.checksumAssets, assetName)) {
+      const filePath = path.join(tmpdir, `checksums-${files.length}`)
+      
+      try {
+        const { url, headers } = asset.url
+          ? getGitHubAssetDownload(asset)
+          : { url: asset.browser_download_url, headers: {} }
+        await downloadFromUrl(url, filePath, null, headers, asset.browser_download_url)
+        files.push({ name: asset.name, content: fs.readFileSync(filePath, 'utf8') })
+      } catch (error) {
+        this.warn(`Couldn't fetch ${asset.name}: ${error.message}`)
+      }
+    }
+    
+    return files
+  }
+}
+
+module.exports = { ChecksumVerifierModule }
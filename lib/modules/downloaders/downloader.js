@@ -1,6 +1,11 @@
 const fs = require('fs')
 const path = require('path')
 const { Module } = require('../../core/module')
+const { getGitHubAssetDownload } = require('../../github')
+const { getCachedDownload, storeDownload, isOffline, createOfflineError } = require('../../cache')
+const { streamDownload } = require('../../download')
+
+const RELEASE_URL_TYPES = ['github', 'gitlab', 'gitea']
 
 class DownloaderModule extends Module {
   static name = 'Downloader'
@@ -17,13 +22,56 @@ class DownloaderModule extends Module {
   }
 
   async run() {
-    const source = this.context.selectedSource
+    const selected = this.context.selectedSource
+    
+    // If the top source keeps failing after retries, fall back to the next
+    // compatible one instead of aborting the install
+    const fallbacks = this.context.getCompatibleSources()
+      .filter(s => s !== selected && s.type !== 'script' && s.url)
+    const queue = [selected, ...fallbacks]
+    
+    for (let i = 0; ; i++) {
+      try {
+        await this._fetchSource(queue[i])
+        this.context.selectedSource = queue[i]
+        return
+      } catch (error) {
+        const next = queue[i + 1]
+        if (!next || isOffline()) throw error
+        this.warn(`Download of ${queue[i].name} failed: ${error.message}`)
+        this.log(`Trying next candidate: ${next.name}`)
+      }
+    }
+  }
+
+  async _fetchSource(source) {
     const tmpdir = this.context.createTmpDir()
     const destPath = path.join(tmpdir, source.name)
     
+    const cached = getCachedDownload(source.url)
+    const trusted = isOffline() || RELEASE_URL_TYPES.includes(this.context.urlType) || (source.size && source.size === cached?.size)
+    
+    if (cached && trusted) {
+      this.debug(`Using cached download for ${source.name}`)
+      fs.copyFileSync(cached.path, destPath)
+      this.context.downloadPath = destPath
+      source.localPath = destPath
+      return
+    }
+    
+    if (isOffline()) {
+      throw createOfflineError(source.url)
+    }
+    
     this.debug(`Downloading ${source.name} to ${destPath}`)
     
-    await this._download(source.url, destPath, source.size)
+    // GitHub assets carry an API URL, which private repositories need
+    const { url, headers } = source.apiUrl
+      ? getGitHubAssetDownload({ url: source.apiUrl, browser_download_url: source.url })
+      : { url: source.url, headers: {} }
+    
+    await this._download(url, destPath, source.size, headers, source.url)
+    storeDownload(source.url, destPath, source.name)
     
     this.context.downloadPath = destPath
     source.localPath = destPath
@@ -31,11 +79,37 @@ class DownloaderModule extends Module {
     this.debug(`Download complete: ${destPath}`)
   }
 
-  async _download(url, destPath, expectedSize = null) {
-    const response = await fetch(url, {
-      redirect: 'follow',
+  async _download(url, destPath, expectedSize = null, headers = {}, cacheKey = url) {
+    const startTime = Date.now()
+    let lastProgressUpdate = startTime
+    let totalSize = 0
+    let resumedFrom = 0
+    
+    const { response } = await streamDownload(url, destPath, {
       headers: {
-        'User-Agent': 'justinstall'
+        'User-Agent': 'justinstall',
+        ...headers
+      },
+      cacheKey,
+      fetchOptions: { redirect: 'follow' },
+      onStart: (info) => {
+        totalSize = info.totalSize || expectedSize || 0
+        resumedFrom = info.resumedFrom
+        if (resumedFrom > 0) {
+          this.debug(`Resuming download from ${this._formatSize(resumedFrom)}`)
+        }
+      },
+      onProgress: (downloaded) => {
+        const now = Date.now()
+        if (now - lastProgressUpdate > 500 && totalSize > 0) {
+          const percent = Math.round((downloaded / totalSize) * 100)
+          const elapsed = (now - startTime) / 1000
+          const rate = (downloaded - resumedFrom) / elapsed
+          const remaining = (totalSize - downloaded) / rate
+          
+          process.stdout.write(`\r  Downloading: ${percent}% (${this._formatSize(downloaded)}/${this._formatSize(totalSize)}) - ${this._formatTime(remaining)} remaining`)
+          lastProgressUpdate = now
+        }
       }
     })
     
@@ -43,42 +117,9 @@ class DownloaderModule extends Module {
       throw new Error(`Download failed: ${response.status} ${response.statusText}`)
     }
     
-    const contentLength = parseInt(response.headers.get('content-length') || '0', 10)
-    const totalSize = contentLength || expectedSize || 0
-    
-    const reader = response.body.getReader()
-    const chunks = []
-    let downloaded = 0
-    
-    const startTime = Date.now()
-    let lastProgressUpdate = startTime
-    
-    while (true) {
-      const { done, value } = await reader.read()
-      
-      if (done) break
-      
-      chunks.push(value)
-      downloaded += value.length
-      
-      const now = Date.now()
-      if (now - lastProgressUpdate > 500 && totalSize > 0) {
-        const percent = Math.round((downloaded / totalSize) * 100)
-        const elapsed = (now - startTime) / 1000
-        const rate = downloaded / elapsed
-        const remaining = (totalSize - downloaded) / rate
-        
-        process.stdout.write(`\r  Downloading: ${percent}% (${this._formatSize(downloaded)}/${this._formatSize(totalSize)}) - ${this._formatTime(remaining)} remaining`)
-        lastProgressUpdate = now
-      }
-    }
-    
     if (totalSize > 0) {
       process.stdout.write('\r' + ' '.repeat(80) + '\r')
     }
-    
-    const buffer = Buffer.concat(chunks)
-    fs.writeFileSync(destPath, buffer)
   }
 
   _formatSize(bytes) {
@@ -1,5 +1,9 @@
 const { DownloaderModule } = require('./downloader')
+const { ChecksumVerifierModule } = require('./checksum-verifier')
+const { SignatureVerifierModule } = require('./signature-verifier')
 
 module.exports = {
-  DownloaderModule
+  DownloaderModule,
+  ChecksumVerifierModule,
+  SignatureVerifierModule
 }
@@ -0,0 +1,78 @@
+const path = require('path')
+const { Module } = require('../../core/module')
+const { getGitHubAssetDownload } = require('../../github')
+const { downloadFromUrl, getGitHubReadme } = require('../../sources')
+const { findSignatureAsset, getTrustId, describeKey, verifyReleaseSignature } = require('../../signatures')
+
+class SignatureVerifierModule extends Module {
+  static name = 'SignatureVerifier'
+  static phase = 'download'
+  static priority = 80
+  static dependencies = ['ChecksumVerifier']
+
+  async shouldRun() {
+    return !!(this.context.selectedSource && this.context.downloadPath && this.context.signingAssets.length > 0)
+  }
+
+  async run() {
+    const source = this.context.selectedSource
+    const trustSource = this._getTrustSource()
+    if (!trustSource) return
+
+    let target = { name: source.name, filePath: this.context.downloadPath }
+    const checksumFile = this.context.checksum?.file
+    if (!findSignatureAsset(this.context.signingAssets, source.name) && checksumFile) {
+      // A signed checksum list covers the asset it verified
+      const checksumAsset = this.context.checksumAssets.find(asset => asset.name === checksumFile)
+      if (checksumAsset && findSignatureAsset(this.context.signingAssets, checksumAsset.name)) {
+        target = { name: checksumAsset.name, filePath: await this._fetchAsset(checksumAsset, checksumAsset.name) }
+      }
+    }
+    
+    const trustId = getTrustId(trustSource)
+    const result = await verifyReleaseSignature({
+      ...target,
+      signingAssets: this.context.signingAssets,
+      trustId,
+      fetchAsset: asset => this._fetchAsset(asset, `signing-${asset.name}`),
+      getKeyTexts: async () => {
+        const texts = [this._getReleaseBody()]
+        if (trustSource.type === 'github') {
+          texts.push(await getGitHubReadme(trustSource.owner, trustSource.repo, trustSource.host) || '')
+        }
+        return texts
+      }
+    }, this)
+    
+    if (!result) return
+    if (result.pinned) {
+      this.log(`Pinned ${describeKey(result)} for ${trustId} (trusted on first use)`)
+    }
+    this.context.signature = { type: result.type, key: result.keyId || result.fingerprint, file: result.file }
+    this.log(`Verified ${result.type} signature from ${result.file}`)
+  }
+
+  _getTrustSource() {
+    const { github, gitlab, gitea } = this.context
+    if (github) return { type: 'github', ...github }
+    if (gitlab) return { type: 'gitlab', ...gitlab }
+    if (gitea) return { type: 'gitea', ...gitea }
+    return null
+  }
+
+  _getReleaseBody() {
+    const { github, gitlab, gitea } = this.context
+    return (github || gitlab || gitea)?.releaseInfo?.body || ''
+  }
+
+  async _fetchAsset(asset, fileName) {
+    const filePath = path.join(this.context.createTmpDir(), fileName)
+    const { url, headers } = asset.url
+      ? getGitHubAssetDownload(asset)
+      : { url: asset.browser_download_url, headers: {} }
+    await downloadFromUrl(url, filePath, null, headers, asset.browser_download_url)
+    return filePath
+  }
+}
+
+module.exports = { SignatureVerifierModule }
@@ -1,11 +1,11 @@
 const { ModuleRegistry } = require('../core/registry')
 
-const { GitHubDetectorModule, LinkParserModule, LocalFileDetectorModule } = require('./detectors')
-const { GitHubReleasesModule, GitHubReadmeModule, DirectDownloadModule, WebScraperModule, LocalFileModule } = require('./sources')
+const { GitHubDetectorModule, GitLabDetectorModule, GiteaDetectorModule, LinkParserModule, LocalFileDetectorModule } = require('./detectors')
+const { GitHubReleasesModule, GitLabReleasesModule, GiteaReleasesModule, GitHubReadmeModule, DirectDownloadModule, WebScraperModule, LocalFileModule } = require('./sources')
 const { ArchFilterModule, ExtensionFilterModule, CapabilityFilterModule, PreReleaseFilterModule } = require('./filters')
 const { AssetSelectorModule, UserConfirmationModule } = require('./selectors')
-const { DownloaderModule } = require('./downloaders')
-const { ScriptInstallerModule, ShellScriptInstallerModule, DMGInstallerModule, PKGInstallerModule, DEBInstallerModule, ArchiveInstallerModule, BinaryInstallerModule } = require('./installers')
+const { DownloaderModule, ChecksumVerifierModule, SignatureVerifierModule } = require('./downloaders')
+const { ScriptInstallerModule, ShellScriptInstallerModule, DMGInstallerModule, PKGInstallerModule, DEBInstallerModule, RPMInstallerModule, AppImageInstallerModule, ArchiveInstallerModule, BinaryInstallerModule } = require('./installers')
 const { GitHubSearchModule, GitHubSerializerModule } = require('./utilities')
 
 function loadModules() {
@@ -13,12 +13,16 @@ function loadModules() {
   
   registry.registerAll([
     GitHubDetectorModule,
+    GitLabDetectorModule,
+    GiteaDetectorModule,
     LinkParserModule,
     LocalFileDetectorModule
   ])
   
   registry.registerAll([
     GitHubReleasesModule,
+    GitLabReleasesModule,
+    GiteaReleasesModule,
     GitHubReadmeModule,
     DirectDownloadModule,
     WebScraperModule,
@@ -38,7 +42,9 @@ function loadModules() {
   ])
   
   registry.registerAll([
-    DownloaderModule
+    DownloaderModule,
+    ChecksumVerifierModule,
+    SignatureVerifierModule
   ])
   
   registry.registerAll([
@@ -47,6 +53,8 @@ function loadModules() {
     DMGInstallerModule,
     PKGInstallerModule,
     DEBInstallerModule,
+    RPMInstallerModule,
+    AppImageInstallerModule,
     ArchiveInstallerModule,
     BinaryInstallerModule
   ])
@@ -78,10 +86,14 @@ module.exports = {
   getUpdateCheckers,
   
   GitHubDetectorModule,
+  GitLabDetectorModule,
+  GiteaDetectorModule,
   LinkParserModule,
   LocalFileDetectorModule,
   
   GitHubReleasesModule,
+  GitLabReleasesModule,
+  GiteaReleasesModule,
   GitHubReadmeModule,
   DirectDownloadModule,
   WebScraperModule,
@@ -96,12 +108,16 @@ module.exports = {
   UserConfirmationModule,
   
   DownloaderModule,
+  ChecksumVerifierModule,
+  SignatureVerifierModule,
   
   ScriptInstallerModule,
   ShellScriptInstallerModule,
   DMGInstallerModule,
   PKGInstallerModule,
   DEBInstallerModule,
+  RPMInstallerModule,
+  AppImageInstallerModule,
   ArchiveInstallerModule,
   BinaryInstallerModule,
   
@@ -0,0 +1,70 @@
+const fs = require('fs')
+const path = require('path')
+const { Module } = require('../../core/module')
+const { safeExecSync, checkPath } = require('../../utils')
+const { extractName, getBinDir, hashFile } = require('../../config')
+const { hasFuse } = require('../../extensions')
+const { getPackageRoot, getVersionDir, isStoreLink, linkBinary } = require('../../store')
+
+class AppImageInstallerModule extends Module {
+  static name = 'AppImageInstaller'
+  static phase = 'install'
+  static priority = 80
+  static dependencies = []
+
+  async shouldRun() {
+    const source = this.context.selectedSource
+    if (!source || source.type === 'script') return false
+    return source.extension === 'AppImage'
+  }
+
+  async run() {
+    const source = this.context.selectedSource
+    const appImagePath = source.localPath || this.context.downloadPath
+    const original = path.basename(source.name)
+    const command = (extractName({ name: original }) || original).toLowerCase()
+    const fileName = `${command}.AppImage`
+    const name = this.context.options.name || command
+
+    const version = this.context.github?.releaseInfo?.tag || this.context.version ||
+      hashFile(appImagePath).slice(0, 12)
+    const versionDir = getVersionDir(name, version)
+    const binDir = getBinDir(name)
+    const destPath = path.join(binDir, command)
+
+    if (!isStoreLink(destPath, getPackageRoot(name))) {
+      await checkPath(destPath, this.utils.yesFlag)
+    }
+
+    fs.rmSync(versionDir, { recursive: true, force: true })
+    fs.mkdirSync(versionDir, { recursive: true })
+    const installedPath = path.join(versionDir, fileName)
+    fs.copyFileSync(appImagePath, installedPath)
+    fs.chmodSync(installedPath, 0o755)
+
+    // Without FUSE the AppImage can't mount itself; run its extracted AppRun
+    let target = fileName
+    if (!hasFuse()) {
+      this.log(`FUSE isn't available, extracting ${fileName} to run it without mounting`)
+      safeExecSync(installedPath, ['--appimage-extract'], { cwd: versionDir, stdio: 'ignore' })
+      target = path.join('squashfs-root', 'AppRun')
+    }
+    fs.symlinkSync(target, path.join(versionDir, command))
+
+    fs.mkdirSync(binDir, { recursive: true })
+    linkBinary(path.join(versionDir, command), destPath)
+
+    this.context.installedName = command
+
+    this.log(`Installed ${command} to ${destPath}`)
+
+    this.context.installResult = {
+      method: 'appimage',
+      destinations: [destPath, getPackageRoot(name)],
+      binaries: [command],
+      binDir
+    }
+  }
+}
+
+module.exports = { AppImageInstallerModule }
@@ -1,10 +1,9 @@
 const fs = require('fs')
 const path = require('path')
-const os = require('os')
 const { Module } = require('../../core/module')
 const { safeExecSync, checkPath } = require('../../utils')
 const { extractArchive, isArchive } = require('../../extensions')
-const { extractName } = require('../../config')
+const { extractName, getBinDir } = require('../../config')
 
 class ArchiveInstallerModule extends Module {
   static name = 'ArchiveInstaller'
@@ -136,7 +135,7 @@ class ArchiveInstallerModule extends Module {
   }
 
   async _installBinaries(binaries, outputDir, sourceName) {
-    const binDir = path.join(os.homedir(), '.local', 'bin')
+    const binDir = getBinDir(this.context.options.name)
     fs.mkdirSync(binDir, { recursive: true })
     
     const destinations = []
@@ -166,7 +165,8 @@ class ArchiveInstallerModule extends Module {
     return {
       method: 'binary',
       destinations,
-      binaries: installedNames
+      binaries: installedNames,
+      binDir
     }
   }
 }
@@ -1,9 +1,8 @@
 const fs = require('fs')
 const path = require('path')
-const os = require('os')
 const { Module } = require('../../core/module')
 const { safeExecSync, checkPath } = require('../../utils')
-const { extractName } = require('../../config')
+const { extractName, getBinDir } = require('../../config')
 
 class BinaryInstallerModule extends Module {
   static name = 'BinaryInstaller'
@@ -26,7 +25,7 @@ class BinaryInstallerModule extends Module {
     const source = this.context.selectedSource
     const srcPath = source.localPath || this.context.downloadPath
     
-    const binDir = path.join(os.homedir(), '.local', 'bin')
+    const binDir = getBinDir(this.context.options.name)
     fs.mkdirSync(binDir, { recursive: true })
     
     const originalName = source.name
@@ -45,7 +44,8 @@ class BinaryInstallerModule extends Module {
     this.context.installResult = {
       method: 'binary',
       destinations: [destPath],
-      binaries: [cleanName]
+      binaries: [cleanName],
+      binDir
     }
   }
 }
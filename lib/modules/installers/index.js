@@ -3,6 +3,8 @@ const { ShellScriptInstallerModule } = require('./shell-script-installer')
 const { DMGInstallerModule } = require('./dmg-installer')
 const { PKGInstallerModule } = require('./pkg-installer')
 const { DEBInstallerModule } = require('./deb-installer')
+const { RPMInstallerModule } = require('./rpm-installer')
+const { AppImageInstallerModule } = require('./appimage-installer')
 const { ArchiveInstallerModule } = require('./archive-installer')
 const { BinaryInstallerModule } = require('./binary-installer')
 
@@ -12,6 +14,8 @@ module.exports = {
   DMGInstallerModule,
   PKGInstallerModule,
   DEBInstallerModule,
+  RPMInstallerModule,
+  AppImageInstallerModule,
   ArchiveInstallerModule,
   BinaryInstallerModule
 }
@@ -0,0 +1,40 @@
+const { Module } = require('../../core/module')
+const { installRpm } = require('../../installers')
+
+class RPMInstallerModule extends Module {
+  static name = 'RPMInstaller'
+  static phase = 'install'
+  static priority = 80
+  static dependencies = []
+
+  async shouldRun() {
+    const source = this.context.selectedSource
+    if (!source || source.type === 'script') return false
+    return source.extension === 'rpm'
+  }
+
+  async run() {
+    const source = this.context.selectedSource
+    const rpmPath = source.localPath || this.context.downloadPath
+
+    this.log(`Installing RPM package: ${source.name}`)
+    const rpmPackage = await installRpm(rpmPath, this.utils)
+
+    this.context.installedName = rpmPackage.name
+
+    this.context.installResult = {
+      method: 'rpm',
+      destinations: ['System-wide rpm installation'],
+      binaries: [rpmPackage.name],
+      systemPackage: {
+        type: 'rpm',
+        name: rpmPackage.name,
+        version: `${rpmPackage.version}-${rpmPackage.release}`
+      }
+    }
+
+    this.log(`Successfully installed ${rpmPackage.name}`)
+  }
+}
+
+module.exports = { RPMInstallerModule }
@@ -0,0 +1,65 @@
+const { createSource, SOURCE_TYPES } = require('../../core/types')
+const { GitHubReleasesModule } = require('./github-releases')
+
+/**
+ * Release source for self-hostable forges. Subclasses set `static forge` to
+ * { type, getRelease }: the URL type their detector sets, and a function
+ * taking that detector's context entry and resolving to the release in the
+ * shape lib/sources returns for every forge.
+ */
+class ForgeReleasesModule extends GitHubReleasesModule {
+  static forge = null
+
+  async shouldRun() {
+    const { type } = this.constructor.forge
+    return this.context.urlType === type && this.context[type] !== null
+  }
+
+  async run() {
+    const { type, getRelease } = this.constructor.forge
+    const repo = this.context[type]
+
+    try {
+      const release = await getRelease(repo)
+
+      repo.releaseInfo = {
+        tag: release.tag,
+        body: release.body || '',
+        commit: release.commit,
+        prerelease: release.prerelease
+      }
+
+      this.context.checksumAssets = release.checksums || []
+      this.context.signingAssets = release.signatures || []
+      this.debug(`Found ${release.assets.length} assets in release ${release.tag}`)
+
+      for (const asset of release.assets) {
+        const source = createSource({
+          url: asset.browser_download_url,
+          type: SOURCE_TYPES.ASSET,
+          name: asset.name,
+          size: asset.size,
+          extension: asset.extension,
+          priority: this._calculatePriority(asset, asset.extension),
+          confidence: 80,
+          module: this.constructor.name,
+          prerelease: release.prerelease
+        })
+
+        this.context.addSource(source)
+      }
+
+      if (release.prerelease) {
+        this.warn(`Using prerelease version: ${release.tag}`)
+      }
+    } catch (error) {
+      if (error.message.includes('No releases found')) {
+        this.debug('No releases found, will try other sources')
+      } else {
+        throw error
+      }
+    }
+  }
+}
+
+module.exports = { ForgeReleasesModule }
@@ -0,0 +1,16 @@
+const { URL_TYPES } = require('../../core/types')
+const { getGiteaAssets } = require('../../sources')
+const { ForgeReleasesModule } = require('./forge-releases')
+
+class GiteaReleasesModule extends ForgeReleasesModule {
+  static name = 'GiteaReleases'
+  static phase = 'source'
+  static priority = 100
+  static dependencies = ['GiteaDetector']
+  static forge = {
+    type: URL_TYPES.GITEA,
+    getRelease: ({ host, owner, repo, tag }) => getGiteaAssets(host, owner, repo, tag)
+  }
+}
+
+module.exports = { GiteaReleasesModule }
@@ -1,5 +1,6 @@
 const { Module } = require('../../core/module')
 const { createSource, SOURCE_TYPES } = require('../../core/types')
+const { getGitHubEndpoints, githubFetch } = require('../../github')
 
 class GitHubReadmeModule extends Module {
   static name = 'GitHubReadme'
@@ -23,10 +24,10 @@ class GitHubReadmeModule extends Module {
   }
 
   async run() {
-    const { owner, repo } = this.context.github
+    const { owner, repo, host } = this.context.github
     const body = this.context.github.releaseInfo?.body || ''
     
-    const scripts = await this._findInstallScripts(owner, repo, body)
+    const scripts = await this._findInstallScripts(owner, repo, body, host)
     
     this.debug(`Found ${scripts.length} install scripts`)
     
@@ -47,7 +48,7 @@ class GitHubReadmeModule extends Module {
     }
   }
 
-  async _findInstallScripts(owner, repo, releaseBody) {
+  async _findInstallScripts(owner, repo, releaseBody, host) {
     const scripts = []
     
     if (releaseBody) {
@@ -55,7 +56,7 @@ class GitHubReadmeModule extends Module {
       scripts.push(...releaseScripts)
     }
     
-    const readme = await this._fetchReadme(owner, repo)
+    const readme = await this._fetchReadme(owner, repo, host)
     if (readme) {
       const readmeScripts = this._extractScriptsFromMarkdown(readme, 'readme')
       scripts.push(...readmeScripts)
@@ -70,13 +71,14 @@ class GitHubReadmeModule extends Module {
     }).sort((a, b) => b.score - a.score)
   }
 
-  async _fetchReadme(owner, repo) {
+  async _fetchReadme(owner, repo, host) {
     const branches = ['main', 'master']
+    const { raw } = getGitHubEndpoints(host)
     
     for (const branch of branches) {
       try {
-        const url = `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/README.md`
-        const response = await fetch(url)
+        const url = `${raw}/${owner}/${repo}/${branch}/README.md`
+        const response = await githubFetch(url)
         if (response.ok) {
           return response.text()
         }
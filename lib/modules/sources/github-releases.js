@@ -1,6 +1,10 @@
 const { Module } = require('../../core/module')
 const { createSource, SOURCE_TYPES } = require('../../core/types')
 const { getExtension } = require('../../extensions')
+const { getGitHubEndpoints, githubFetch } = require('../../github')
+const { getPinOptions, maxSatisfying } = require('../../versions')
+const { isChecksumAsset } = require('../../checksums')
+const { isSigningAsset } = require('../../signatures')
 
 class GitHubReleasesModule extends Module {
   static name = 'GitHubReleases'
@@ -13,10 +17,10 @@ class GitHubReleasesModule extends Module {
   }
 
   async run() {
-    const { owner, repo, tag } = this.context.github
+    const { owner, repo, tag, host, pin } = this.context.github
     
     try {
-      const releaseData = await this._fetchRelease(owner, repo, tag)
+      const releaseData = await this._fetchRelease(owner, repo, tag, host, getPinOptions(pin))
       
       this.context.github.releaseInfo = {
         tag: releaseData.tag_name,
@@ -26,7 +30,10 @@ class GitHubReleasesModule extends Module {
         published_at: releaseData.published_at
       }
       
-      const assets = releaseData.assets || []
+      const releaseAssets = releaseData.assets || []
+      const assets = releaseAssets.filter(asset => !isChecksumAsset(asset.name) && !isSigningAsset(asset.name))
+      this.context.checksumAssets = releaseAssets.filter(asset => isChecksumAsset(asset.name))
+      this.context.signingAssets = releaseAssets.filter(asset => isSigningAsset(asset.name))
       this.debug(`Found ${assets.length} assets in release ${releaseData.tag_name}`)
       
       for (const asset of assets) {
@@ -35,6 +42,8 @@ class GitHubReleasesModule extends Module {
         
         const source = createSource({
           url: asset.browser_download_url,
+          apiUrl: asset.url,
+          digest: asset.digest || null,
           type: SOURCE_TYPES.ASSET,
           name: asset.name,
           size: asset.size,
@@ -60,28 +69,53 @@ class GitHubReleasesModule extends Module {
     }
   }
 
-  async _fetchRelease(owner, repo, specificTag) {
+  async _fetchRelease(owner, repo, specificTag, host, { prerelease: includePrereleases = false, range = null } = {}) {
+    const { api } = getGitHubEndpoints(host)
     const headers = {
       'Accept': 'application/vnd.github.v3+json',
       'User-Agent': 'justinstall'
     }
     
-    if (process.env.GITHUB_TOKEN) {
-      headers['Authorization'] = `token ${process.env.GITHUB_TOKEN}`
+    let url
+    if (range && !specificTag) {
+      const releases = await this._fetchAllReleases(api, owner, repo, headers)
+      const match = maxSatisfying(releases.map(r => r.tag_name), range)
+      
+      if (!match) {
+        throw new Error(`No release matching "${range}" found`)
+      }
+      
+      return releases.find(r => r.tag_name === match)
+    }
+    
+    if (includePrereleases && !specificTag) {
+      url = `${api}/repos/${owner}/${repo}/releases`
+      const response = await githubFetch(url, { headers })
+      
+      if (!response.ok) {
+        throw new Error(`Failed to fetch releases: ${response.status}`)
+      }
+      
+      const releases = (await response.json()).filter(r => !r.draft)
+      
+      if (releases.length === 0) {
+        throw new Error('No releases found in GitHub repository')
+      }
+      
+      return releases[0]
     }
     
-    let url
     if (specificTag) {
-      url = `https://api.github.com/repos/${owner}/${repo}/releases/tags/${specificTag}`
+      url = `${api}/repos/${owner}/${repo}/releases/tags/${specificTag}`
     } else {
-      url = `https://api.github.com/repos/${owner}/${repo}/releases/latest`
+      url = `${api}/repos/${owner}/${repo}/releases/latest`
     }
     
-    let response = await fetch(url, { headers })
+    let response = await githubFetch(url, { headers })
     
     if (response.status === 404 && !specificTag) {
-      const allReleasesUrl = `https://api.github.com/repos/${owner}/${repo}/releases`
-      response = await fetch(allReleasesUrl, { headers })
+      const allReleasesUrl = `${api}/repos/${owner}/${repo}/releases`
+      response = await githubFetch(allReleasesUrl, { headers })
       
       if (!response.ok) {
         throw new Error(`Failed to fetch releases: ${response.status}`)
@@ -104,6 +138,28 @@ class GitHubReleasesModule extends Module {
     return response.json()
   }
 
+  async _fetchAllReleases(api, owner, repo, headers) {
+    const releases = []
+    
+    for (let page = 1; ; page++) {
+      const response = await githubFetch(`${api}/repos/${owner}/${repo}/releases?per_page=100&page=${page}`, { headers })
+      
+      if (!response.ok) {
+        throw new Error(`Failed to fetch releases: ${response.status}`)
+      }
+      
+      const batch = await response.json()
+      releases.push(...batch.filter(r => !r.draft))
+      if (batch.length < 100) break
+    }
+    
+    if (releases.length === 0) {
+      throw new Error('No releases found in GitHub repository')
+    }
+    
+    return releases
+  }
+
   _calculatePriority(asset, extension) {
     let priority = 400
     
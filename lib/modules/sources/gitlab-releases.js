@@ -0,0 +1,16 @@
+const { URL_TYPES } = require('../../core/types')
+const { getGitLabAssets } = require('../../sources')
+const { ForgeReleasesModule } = require('./forge-releases')
+
+class GitLabReleasesModule extends ForgeReleasesModule {
+  static name = 'GitLabReleases'
+  static phase = 'source'
+  static priority = 100
+  static dependencies = ['GitLabDetector']
+  static forge = {
+    type: URL_TYPES.GITLAB,
+    getRelease: ({ host, project, tag }) => getGitLabAssets(host, project, tag)
+  }
+}
+
+module.exports = { GitLabReleasesModule }
@@ -1,4 +1,6 @@
 const { GitHubReleasesModule } = require('./github-releases')
+const { GitLabReleasesModule } = require('./gitlab-releases')
+const { GiteaReleasesModule } = require('./gitea-releases')
 const { GitHubReadmeModule } = require('./github-readme')
 const { DirectDownloadModule } = require('./direct-download')
 const { WebScraperModule } = require('./web-scraper')
@@ -6,6 +8,8 @@ const { LocalFileModule } = require('./local-file')
 
 module.exports = {
   GitHubReleasesModule,
+  GitLabReleasesModule,
+  GiteaReleasesModule,
   GitHubReadmeModule,
   DirectDownloadModule,
   WebScraperModule,
@@ -1,6 +1,7 @@
 const { Module } = require('../../core/module')
 const { createSource, SOURCE_TYPES } = require('../../core/types')
 const { getExtension, isInstallable } = require('../../extensions')
+const { cachedFetch } = require('../../cache')
 
 class WebScraperModule extends Module {
   static name = 'WebScraper'
@@ -16,7 +17,7 @@ class WebScraperModule extends Module {
     const url = this.context.originalInput
     
     try {
-      const response = await fetch(url)
+      const response = await cachedFetch(url)
       if (!response.ok) {
         throw new Error(`Failed to fetch: ${response.status}`)
       }
@@ -1,4 +1,5 @@
 const { Module } = require('../../core/module')
+const { getGitHubEndpoints, githubFetch } = require('../../github')
 
 class GitHubSearchModule extends Module {
   static name = 'GitHubSearch'
@@ -61,18 +62,14 @@ class GitHubSearchModule extends Module {
   }
 
   async _searchGitHub(query) {
-    const url = `https://api.github.com/search/repositories?q=${encodeURIComponent(query)}&sort=stars&order=desc&per_page=20`
+    const url = `${getGitHubEndpoints().api}/search/repositories?q=${encodeURIComponent(query)}&sort=stars&order=desc&per_page=20`
     
     const headers = {
       'Accept': 'application/vnd.github.v3+json',
       'User-Agent': 'justinstall'
     }
     
-    if (process.env.GITHUB_TOKEN) {
-      headers['Authorization'] = `token ${process.env.GITHUB_TOKEN}`
-    }
-    
-    const response = await fetch(url, { headers })
+    const response = await githubFetch(url, { headers })
     
     if (!response.ok) {
       throw new Error(`GitHub search failed: ${response.status}`)
@@ -1,5 +1,7 @@
 const { Module } = require('../../core/module')
 const { hashFile, extractName } = require('../../config')
+const { getGitHubEndpoints, isDefaultGitHubHost, githubFetch } = require('../../github')
+const { isExactPin, compareVersions } = require('../../versions')
 
 class GitHubSerializerModule extends Module {
   static name = 'GitHubSerializer'
@@ -34,6 +36,8 @@ class GitHubSerializerModule extends Module {
         url: context.originalInput,
         owner: context.github?.owner,
         repo: context.github?.repo,
+        host: isDefaultGitHubHost(context.github?.host) ? undefined : context.github.host,
+        pin: context.github?.pin || undefined,
         originalArgs: context.originalInput
       },
       selected: {
@@ -41,12 +45,16 @@ class GitHubSerializerModule extends Module {
         size: source.size,
         extension: source.extension,
         downloadUrl: source.url,
-        hash: downloadPath ? hashFile(downloadPath) : null
+        hash: downloadPath ? hashFile(downloadPath) : null,
+        checksum: context.checksum,
+        signature: context.signature
       },
       installation: {
         method: context.installResult?.method,
         binaries: context.installResult?.binaries || [],
-        destinations: context.installResult?.destinations || []
+        destinations: context.installResult?.destinations || [],
+        binDir: context.installResult?.binDir || null,
+        systemPackage: context.installResult?.systemPackage || null
       },
       version: context.github?.releaseInfo?.tag || context.version,
       commit: context.github?.releaseInfo?.commit,
@@ -60,6 +68,8 @@ class GitHubSerializerModule extends Module {
     return {
       owner: record.source?.owner,
       repo: record.source?.repo,
+      host: record.source?.host,
+      pin: record.source?.pin,
       version: record.version,
       commit: record.commit,
       installMethod: record.installation?.method,
@@ -73,7 +83,7 @@ class GitHubSerializerModule extends Module {
       return { hasUpdate: false, canUpdate: false, reason: 'Not a GitHub installation' }
     }
     
-    const { owner, repo } = record.source
+    const { owner, repo, host } = record.source
     const currentVersion = record.version
     
     if (!owner || !repo) {
@@ -81,7 +91,7 @@ class GitHubSerializerModule extends Module {
     }
     
     try {
-      const latestRelease = await this._fetchLatestRelease(owner, repo)
+      const latestRelease = await this._fetchLatestRelease(owner, repo, host)
       
       if (!latestRelease) {
         return { hasUpdate: undefined, canUpdate: false, error: true, reason: 'Could not fetch latest release' }
@@ -89,10 +99,25 @@ class GitHubSerializerModule extends Module {
       
       const latestVersion = latestRelease.tag_name
       
-      if (latestVersion === currentVersion) {
+      const comparison = compareVersions(latestVersion, currentVersion)
+      const isNewer = comparison === null ? latestVersion !== currentVersion : comparison > 0
+      
+      if (!isNewer) {
         return { hasUpdate: false, canUpdate: false, reason: 'Already up to date' }
       }
       
+      if (isExactPin(record.source.pin)) {
+        return {
+          hasUpdate: true,
+          canUpdate: false,
+          pinned: true,
+          currentVersion,
+          latestVersion,
+          reason: `pinned to ${record.source.pin} (latest is ${latestVersion})`,
+          name: record.name
+        }
+      }
+      
       return {
         hasUpdate: true,
         canUpdate: true,
@@ -107,20 +132,17 @@ class GitHubSerializerModule extends Module {
     }
   }
 
-  async _fetchLatestRelease(owner, repo) {
+  async _fetchLatestRelease(owner, repo, host) {
+    const { api } = getGitHubEndpoints(host)
     const headers = {
       'Accept': 'application/vnd.github.v3+json',
       'User-Agent': 'justinstall'
     }
     
-    if (process.env.GITHUB_TOKEN) {
-      headers['Authorization'] = `token ${process.env.GITHUB_TOKEN}`
-    }
-    
-    const response = await fetch(`https://api.github.com/repos/${owner}/${repo}/releases/latest`, { headers })
+    const response = await githubFetch(`${api}/repos/${owner}/${repo}/releases/latest`, { headers })
     
     if (response.status === 404) {
-      const allResponse = await fetch(`https://api.github.com/repos/${owner}/${repo}/releases`, { headers })
+      const allResponse = await githubFetch(`${api}/repos/${owner}/${repo}/releases`, { headers })
       if (!allResponse.ok) return null
       const releases = await allResponse.json()
       return releases[0] || null
@@ -0,0 +1,247 @@
+const { loadSettings } = require("./config");
+const { createLogger, sleep } = require("./utils");
+
+// Defaults, overridable with the "retries", "connectTimeoutSeconds" and
+// "idleTimeoutSeconds" settings or JUSTINSTALL_RETRIES,
+// JUSTINSTALL_CONNECT_TIMEOUT and JUSTINSTALL_IDLE_TIMEOUT
+const DEFAULT_RETRIES = 3;
+const DEFAULT_CONNECT_TIMEOUT_SECONDS = 30;
+const DEFAULT_IDLE_TIMEOUT_SECONDS = 60;
+
+// Backoff doubles from BASE_DELAY_MS up to MAX_DELAY_MS between attempts
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+// Server responses worth another try; anything else is returned as-is
+const RETRYABLE_STATUSES = [408, 500, 502, 503, 504];
+
+// Error codes that mean the network (rather than the server) is the problem
+const NETWORK_ERROR_CODES = [
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "ETIMEDOUT",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_SOCKET",
+  "ConnectionRefused",
+  "FailedToOpenSocket",
+];
+
+const isNetworkError = (error) => {
+  const code = error?.cause?.code || error?.code;
+  return (
+    NETWORK_ERROR_CODES.includes(code) ||
+    (error?.name === "TypeError" && /fetch failed/i.test(error.message))
+  );
+};
+
+/**
+ * Whether a failed request or download is worth trying elsewhere: a network
+ * error or timeout, a transfer that broke off, or a retryable status that
+ * persisted through the retries. Refusals (404, 403, bad checksums) aren't.
+ */
+const isTransientError = (error) => {
+  return isNetworkError(error) || Boolean(error?.interrupted) || RETRYABLE_STATUSES.includes(error?.status);
+};
+
+// The subset that means the machine has no network at all, rather than one
+// host being down or dropping the connection
+const OFFLINE_ERROR_CODES = ["ENOTFOUND", "EAI_AGAIN", "ENETUNREACH"];
+
+const isOfflineError = (error) => {
+  return OFFLINE_ERROR_CODES.includes(error?.cause?.code || error?.code);
+};
+
+let retriesOverride = null;
+
+/**
+ * Override the configured retry count for the rest of the run (--retries)
+ */
+const setRetries = (retries) => {
+  retriesOverride = retries;
+};
+
+const readNumber = (...values) => {
+  for (const value of values) {
+    if (value === undefined || value === null || value === "") continue;
+    const number = Number(value);
+    if (Number.isFinite(number) && number >= 0) return number;
+  }
+  return null;
+};
+
+/**
+ * The active retry policy: { retries, connectTimeout, idleTimeout }, with
+ * timeouts in milliseconds
+ */
+const getRetryPolicy = () => {
+  const settings = loadSettings();
+  return {
+    retries: readNumber(
+      retriesOverride,
+      process.env.JUSTINSTALL_RETRIES,
+      settings.retries,
+      DEFAULT_RETRIES,
+    ),
+    connectTimeout:
+      readNumber(
+        process.env.JUSTINSTALL_CONNECT_TIMEOUT,
+        settings.connectTimeoutSeconds,
+        DEFAULT_CONNECT_TIMEOUT_SECONDS,
+      ) * 1000,
+    idleTimeout:
+      readNumber(
+        process.env.JUSTINSTALL_IDLE_TIMEOUT,
+        settings.idleTimeoutSeconds,
+        DEFAULT_IDLE_TIMEOUT_SECONDS,
+      ) * 1000,
+  };
+};
+
+/**
+ * Delay before retry number `attempt` (1-based), with jitter so parallel
+ * clients don't hammer a recovering server in lockstep
+ */
+const getBackoffDelay = (attempt, baseDelay = BASE_DELAY_MS) => {
+  const delay = Math.min(baseDelay * 2 ** (attempt - 1), MAX_DELAY_MS);
+  return Math.round(delay / 2 + (Math.random() * delay) / 2);
+};
+
+const createTimeoutError = (message) => {
+  const error = new Error(message);
+  error.code = "ETIMEDOUT";
+  return error;
+};
+
+const describeFailure = (failure) => {
+  if (failure instanceof Response) {
+    return `${failure.status} ${failure.statusText}`.trim();
+  }
+  return failure?.cause?.code || failure?.code || failure?.message;
+};
+
+/**
+ * Run attempt(number) until it succeeds, retrying with exponential backoff
+ * while shouldRetry(error) is true. `retries` is the number of extra tries
+ * after the first.
+ */
+const withRetry = async (
+  attempt,
+  { retries = getRetryPolicy().retries, baseDelay, shouldRetry = isNetworkError, label = "Request" } = {},
+) => {
+  for (let number = 1; ; number++) {
+    try {
+      return await attempt(number);
+    } catch (error) {
+      if (number > retries || !shouldRetry(error)) throw error;
+      const delay = getBackoffDelay(number, baseDelay);
+      createLogger().warn(
+        `${label} failed (${describeFailure(error)}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${number + 1} of ${retries + 1})`
+      );
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * fetch() with a connect timeout and retries. Network errors and 408/5xx
+ * responses are retried with exponential backoff; once the attempts run out
+ * the last error is thrown, or the last failed response returned for the
+ * caller to report. The connect timeout only covers waiting for response
+ * headers, so slow but steady downloads are never cut off. Aborting
+ * options.signal stops the request without further attempts.
+ */
+const fetchWithRetry = async (url, options = {}, policy = {}) => {
+  const {
+    retries,
+    connectTimeout,
+    baseDelay,
+    fetchImpl = fetch,
+  } = { ...getRetryPolicy(), ...policy };
+  const host = new URL(url).host;
+
+  let lastResponse = null;
+  try {
+    return await withRetry(
+      async () => {
+        const controller = new AbortController();
+        const timer = connectTimeout
+          ? setTimeout(() => controller.abort(), connectTimeout)
+          : null;
+
+        // The caller's own signal (e.g. a shorter deadline) still applies
+        const signal = options.signal
+          ? AbortSignal.any([options.signal, controller.signal])
+          : controller.signal;
+
+        let response;
+        try {
+          response = await fetchImpl(url, { ...options, signal });
+        } catch (error) {
+          if (options.signal?.aborted) throw error;
+          if (controller.signal.aborted) {
+            throw createTimeoutError(
+              `Connection to ${host} timed out after ${connectTimeout / 1000}s`
+            );
+          }
+          throw error;
+        } finally {
+          clearTimeout(timer);
+        }
+
+        if (RETRYABLE_STATUSES.includes(response.status)) {
+          lastResponse = response;
+          throw response;
+        }
+        return response;
+      },
+      {
+        retries,
+        baseDelay,
+        label: `Request to ${host}`,
+        shouldRetry: (failure) =>
+          !options.signal?.aborted && (failure instanceof Response || isNetworkError(failure)),
+      },
+    );
+  } catch (failure) {
+    if (failure === lastResponse) return lastResponse;
+    throw failure;
+  }
+};
+
+/**
+ * reader.read() that gives up when no data arrives within idleTimeout ms
+ */
+const readWithIdleTimeout = async (reader, idleTimeout = getRetryPolicy().idleTimeout) => {
+  if (!idleTimeout) return reader.read();
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(createTimeoutError(`No data received for ${idleTimeout / 1000}s`));
+      reader.cancel().catch(() => {});
+    }, idleTimeout);
+  });
+
+  try {
+    return await Promise.race([reader.read(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+module.exports = {
+  RETRYABLE_STATUSES,
+  isNetworkError,
+  isOfflineError,
+  isTransientError,
+  setRetries,
+  getRetryPolicy,
+  getBackoffDelay,
+  withRetry,
+  fetchWithRetry,
+  readWithIdleTimeout,
+};
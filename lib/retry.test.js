@@ -0,0 +1,215 @@
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  isNetworkError,
+  isTransientError,
+  setRetries,
+  getRetryPolicy,
+  getBackoffDelay,
+  withRetry,
+  fetchWithRetry,
+  readWithIdleTimeout,
+} = require("./retry");
+const { clearSettingsCache } = require("./config");
+
+const unreachable = () => {
+  throw new TypeError("fetch failed", { cause: { code: "ECONNRESET" } });
+};
+
+describe("retry policy", () => {
+  let configHome;
+  const originalConfigHome = process.env.XDG_CONFIG_HOME;
+  const originalRetries = process.env.JUSTINSTALL_RETRIES;
+
+  beforeAll(() => {
+    configHome = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-config-"));
+    process.env.XDG_CONFIG_HOME = configHome;
+    delete process.env.JUSTINSTALL_RETRIES;
+  });
+
+  afterAll(() => {
+    setRetries(null);
+    for (const [name, value] of [
+      ["XDG_CONFIG_HOME", originalConfigHome],
+      ["JUSTINSTALL_RETRIES", originalRetries],
+    ]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    fs.rmSync(configHome, { recursive: true, force: true });
+  });
+
+  test("has sensible defaults", () => {
+    expect(getRetryPolicy()).toEqual({ retries: 3, connectTimeout: 30000, idleTimeout: 60000 });
+  });
+
+  test("reads settings.json, then the environment, then --retries", () => {
+    fs.mkdirSync(path.join(configHome, "justinstall"), { recursive: true });
+    fs.writeFileSync(
+      path.join(configHome, "justinstall", "settings.json"),
+      JSON.stringify({ retries: 5, connectTimeoutSeconds: 10 }),
+    );
+    clearSettingsCache();
+    expect(getRetryPolicy().retries).toBe(5);
+    expect(getRetryPolicy().connectTimeout).toBe(10000);
+
+    process.env.JUSTINSTALL_RETRIES = "1";
+    expect(getRetryPolicy().retries).toBe(1);
+
+    setRetries(0);
+    expect(getRetryPolicy().retries).toBe(0);
+  });
+
+  test("backs off exponentially up to a cap", () => {
+    expect(getBackoffDelay(1, 1000)).toBeLessThanOrEqual(1000);
+    expect(getBackoffDelay(3, 1000)).toBeGreaterThanOrEqual(2000);
+    expect(getBackoffDelay(20, 1000)).toBeLessThanOrEqual(8000);
+  });
+});
+
+describe("withRetry", () => {
+  test("retries network errors until an attempt succeeds", async () => {
+    let calls = 0;
+    const result = await withRetry(
+      () => {
+        calls++;
+        if (calls < 3) unreachable();
+        return "ok";
+      },
+      { retries: 3, baseDelay: 0 },
+    );
+    expect(result).toBe("ok");
+    expect(calls).toBe(3);
+  });
+
+  test("gives up after the configured retries", async () => {
+    let calls = 0;
+    await expect(
+      withRetry(() => {
+        calls++;
+        unreachable();
+      }, { retries: 2, baseDelay: 0 }),
+    ).rejects.toThrow("fetch failed");
+    expect(calls).toBe(3);
+  });
+
+  test("does not retry other errors", async () => {
+    let calls = 0;
+    await expect(
+      withRetry(() => {
+        calls++;
+        throw new Error("Release not found");
+      }, { retries: 2, baseDelay: 0 }),
+    ).rejects.toThrow("Release not found");
+    expect(calls).toBe(1);
+  });
+});
+
+describe("isTransientError", () => {
+  test("treats network errors, broken transfers and 5xx as transient", () => {
+    expect(isTransientError({ code: "ETIMEDOUT" })).toBe(true);
+    expect(isTransientError({ interrupted: true })).toBe(true);
+    expect(isTransientError({ status: 502 })).toBe(true);
+  });
+
+  test("treats refusals as final", () => {
+    expect(isTransientError({ status: 404 })).toBe(false);
+    expect(isTransientError({ status: 403 })).toBe(false);
+    expect(isTransientError(new Error("Checksum mismatch"))).toBe(false);
+  });
+});
+
+describe("fetchWithRetry", () => {
+  const url = "https://cdn.example.com/tool.tar.gz";
+
+  test("retries 5xx responses", async () => {
+    const statuses = [502, 503, 200];
+    const response = await fetchWithRetry(url, {}, {
+      retries: 3,
+      baseDelay: 0,
+      fetchImpl: async () => new Response("body", { status: statuses.shift() }),
+    });
+    expect(response.status).toBe(200);
+    expect(statuses).toEqual([]);
+  });
+
+  test("returns the last failed response once retries run out", async () => {
+    let calls = 0;
+    const response = await fetchWithRetry(url, {}, {
+      retries: 1,
+      baseDelay: 0,
+      fetchImpl: async () => {
+        calls++;
+        return new Response("bad gateway", { status: 502, statusText: "Bad Gateway" });
+      },
+    });
+    expect(response.status).toBe(502);
+    expect(calls).toBe(2);
+  });
+
+  test("returns client errors without retrying", async () => {
+    let calls = 0;
+    const response = await fetchWithRetry(url, {}, {
+      retries: 3,
+      baseDelay: 0,
+      fetchImpl: async () => {
+        calls++;
+        return new Response("missing", { status: 404 });
+      },
+    });
+    expect(response.status).toBe(404);
+    expect(calls).toBe(1);
+  });
+
+  test("times out connections that never answer", async () => {
+    const hang = (_, options) =>
+      new Promise((_, reject) => {
+        options.signal.addEventListener("abort", () => reject(new Error("aborted")));
+      });
+
+    const error = await fetchWithRetry(url, {}, {
+      retries: 0,
+      connectTimeout: 20,
+      fetchImpl: hang,
+    }).catch((e) => e);
+    expect(error.message).toBe("Connection to cdn.example.com timed out after 0.02s");
+    expect(isNetworkError(error)).toBe(true);
+  });
+
+  test("stops at the caller's abort signal without retrying", async () => {
+    let calls = 0;
+    const hang = (_, options) =>
+      new Promise((_, reject) => {
+        calls++;
+        options.signal.addEventListener("abort", () => reject(new Error("aborted")));
+      });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    const error = await fetchWithRetry(url, { signal: controller.signal }, {
+      retries: 3,
+      baseDelay: 0,
+      connectTimeout: 5000,
+      fetchImpl: hang,
+    }).catch((e) => e);
+    expect(error.message).toBe("aborted");
+    expect(calls).toBe(1);
+  });
+});
+
+describe("readWithIdleTimeout", () => {
+  test("fails when a stream stalls", async () => {
+    const stalled = new ReadableStream({ pull() {} });
+    await expect(readWithIdleTimeout(stalled.getReader(), 20)).rejects.toThrow(
+      "No data received for 0.02s",
+    );
+  });
+
+  test("passes chunks through", async () => {
+    const reader = new Response("data").body.getReader();
+    const { value } = await readWithIdleTimeout(reader, 1000);
+    expect(new TextDecoder().decode(value)).toBe("data");
+  });
+});
@@ -1,23 +1,20 @@
 const readline = require("readline");
 const { createLogger } = require("./utils");
+const { getGitHubEndpoints, githubFetch } = require("./github");
 
 /**
  * Search GitHub repositories
  */
 const searchRepositories = async (query, options = {}) => {
-  const { sort = "stars", order = "desc", per_page = 30 } = options;
+  const { sort = "stars", order = "desc", per_page = 30, host } = options;
 
-  const url = new URL("https://api.github.com/search/repositories");
+  const url = new URL(`${getGitHubEndpoints(host).api}/search/repositories`);
   url.searchParams.set("q", query);
   url.searchParams.set("sort", sort);
   url.searchParams.set("order", order);
   url.searchParams.set("per_page", per_page);
 
-  const response = await fetch(url.toString(), {
-    headers: {
-      "User-Agent": "justinstall/1.2.0",
-    },
-  });
+  const response = await githubFetch(url.toString());
 
   if (!response.ok) {
     throw new Error(`GitHub API error: ${response.statusText}`);
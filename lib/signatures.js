@@ -0,0 +1,455 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { getConfigDir, ensureConfigDir, hashFile } = require("./config");
+const { safeExecSync } = require("./utils");
+
+// Preferred first when an asset has several signatures
+const SIGNATURE_EXTENSIONS = ["minisig", "sig", "asc"];
+
+// Public keys published as release assets: minisign.pub, KEYS,
+// release-key.asc, signing-key.gpg
+const PUBLIC_KEY_PATTERNS = [
+  /\.(?:pub|gpg|key)$/i,
+  /^KEYS(?:\.txt)?$/i,
+  /(?:^|[-_.])(?:public|pub|signing|release)[-_]?keys?\.asc$/i,
+];
+
+// base64 of "Ed" + 8-byte key ID + 32-byte Ed25519 key
+const MINISIGN_KEY_PATTERN = /RW[A-Za-z0-9+/]{54}/g;
+
+const isPublicKeyAsset = (name) => {
+  return PUBLIC_KEY_PATTERNS.some((pattern) => pattern.test(name));
+};
+
+const isSignatureAsset = (name) => {
+  return !isPublicKeyAsset(name) && /\.(?:minisig|sig|asc)$/i.test(name);
+};
+
+const isSigningAsset = (name) => isSignatureAsset(name) || isPublicKeyAsset(name);
+
+/**
+ * The detached signature published for targetName, if any
+ */
+const findSignatureAsset = (signingAssets, targetName) => {
+  for (const extension of SIGNATURE_EXTENSIONS) {
+    const asset = signingAssets.find((a) => a.name === `${targetName}.${extension}`);
+    if (asset) return asset;
+  }
+  return null;
+};
+
+// Minisign prints key IDs as the little-endian 64-bit number
+const formatMinisignKeyId = (bytes) => Buffer.from(bytes).reverse().toString("hex").toUpperCase();
+
+/**
+ * Parse a minisign public key (the "RW..." line on its own or a .pub file).
+ * Returns { type, keyId, key, publicKey } or null.
+ */
+const parseMinisignPublicKey = (text) => {
+  const match = (text || "").match(new RegExp(MINISIGN_KEY_PATTERN.source));
+  if (!match) return null;
+
+  const bytes = Buffer.from(match[0], "base64");
+  if (bytes.length !== 42 || bytes.subarray(0, 2).toString() !== "Ed") return null;
+
+  return {
+    type: "minisign",
+    keyId: formatMinisignKeyId(bytes.subarray(2, 10)),
+    key: match[0],
+    publicKey: bytes.subarray(10),
+  };
+};
+
+/**
+ * Every minisign public key mentioned in some text, e.g. a README that says
+ * "minisign -Vm file -P RWQ..."
+ */
+const findMinisignKeys = (text) => {
+  const keys = new Set((text || "").match(MINISIGN_KEY_PATTERN) || []);
+  return [...keys].map(parseMinisignPublicKey).filter(Boolean);
+};
+
+const parseMinisignSignature = (text) => {
+  const lines = text.split(/\r?\n/);
+  if (!lines[0]?.startsWith("untrusted comment:")) return null;
+
+  const signature = Buffer.from(lines[1] || "", "base64");
+  if (signature.length !== 74) return null;
+
+  const trustedComment = lines[2]?.startsWith("trusted comment: ") ? lines[2].slice(17) : null;
+  return {
+    algorithm: signature.subarray(0, 2).toString(),
+    keyId: formatMinisignKeyId(signature.subarray(2, 10)),
+    signature: signature.subarray(10),
+    trustedComment,
+    globalSignature: lines[3] ? Buffer.from(lines[3], "base64") : null,
+  };
+};
+
+const toEd25519Key = (publicKey) => {
+  return crypto.createPublicKey({
+    key: { kty: "OKP", crv: "Ed25519", x: Buffer.from(publicKey).toString("base64url") },
+    format: "jwk",
+  });
+};
+
+/**
+ * Check a minisign signature (parsed with parseMinisignSignature) over
+ * filePath. Throws when the file or its trusted comment doesn't match.
+ */
+const verifyMinisign = (filePath, signature, publicKey) => {
+  const key = toEd25519Key(publicKey.publicKey);
+  const name = path.basename(filePath);
+
+  // "ED" signatures cover the BLAKE2b-512 hash, legacy "Ed" ones the raw file
+  const message =
+    signature.algorithm === "ED"
+      ? Buffer.from(hashFile(filePath, "blake2b512"), "hex")
+      : fs.readFileSync(filePath);
+
+  if (!crypto.verify(null, message, key, signature.signature)) {
+    throw new Error(`Bad minisign signature for ${name}`);
+  }
+
+  if (signature.trustedComment !== null && signature.globalSignature) {
+    const signed = Buffer.concat([signature.signature, Buffer.from(signature.trustedComment)]);
+    if (!crypto.verify(null, signed, key, signature.globalSignature)) {
+      throw new Error(`Bad minisign signature for ${name} (trusted comment was altered)`);
+    }
+  }
+};
+
+const hasGpg = () => {
+  try {
+    safeExecSync("gpg", ["--version"], { stdio: "ignore" });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Run fn(homedir) against a throwaway keyring, so verification never
+// depends on (or changes) the user's own keys
+const withGpgHome = (fn) => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-gpg-"));
+  fs.chmodSync(home, 0o700);
+  try {
+    return fn(home);
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+};
+
+const isArmoredGpgKey = (text) => /-----BEGIN PGP PUBLIC KEY BLOCK-----/.test(text || "");
+
+/**
+ * Fingerprint of the primary key in an armored GPG public key, or null
+ */
+const getGpgFingerprint = (armoredKey) => {
+  return withGpgHome((home) => {
+    const keyPath = path.join(home, "key.asc");
+    fs.writeFileSync(keyPath, armoredKey);
+    try {
+      const output = safeExecSync("gpg", [
+        "--homedir", home, "--batch", "--with-colons",
+        "--import-options", "show-only", "--import", keyPath,
+      ]);
+      return output.match(/^fpr:+([0-9A-F]{40}):/m)?.[1] || null;
+    } catch {
+      return null;
+    }
+  });
+};
+
+/**
+ * Verify a detached GPG signature with a single armored key. Returns
+ * { fingerprint } for a good signature, or { missingKey } when the
+ * signature was made by a different key; throws on a bad signature.
+ */
+const verifyGpg = (filePath, signaturePath, armoredKey) => {
+  return withGpgHome((home) => {
+    const keyPath = path.join(home, "key.asc");
+    fs.writeFileSync(keyPath, armoredKey);
+    try {
+      safeExecSync("gpg", ["--homedir", home, "--batch", "--import", keyPath]);
+    } catch (error) {
+      throw new Error(`Couldn't import GPG key: ${error.message}`);
+    }
+
+    let status;
+    try {
+      status = safeExecSync("gpg", [
+        "--homedir", home, "--batch", "--status-fd", "1",
+        "--verify", signaturePath, filePath,
+      ]);
+    } catch (error) {
+      // gpg exits non-zero for bad or unverifiable signatures; the status
+      // lines on stdout say which
+      status = error.stdout?.toString() || "";
+    }
+
+    const valid = status.match(/^\[GNUPG:\] VALIDSIG (?:\S+ ){9}([0-9A-F]{40})/m);
+    if (valid) return { fingerprint: valid[1] };
+
+    if (/^\[GNUPG:\] BADSIG/m.test(status)) {
+      throw new Error(`Bad GPG signature for ${path.basename(filePath)}`);
+    }
+
+    const missing = status.match(/^\[GNUPG:\] (?:ERRSIG|NO_PUBKEY) ([0-9A-F]+)/m);
+    if (missing) return { missingKey: missing[1] };
+
+    throw new Error(`Couldn't verify the GPG signature for ${path.basename(filePath)}`);
+  });
+};
+
+const getTrustStorePath = () => {
+  return path.join(getConfigDir(), "trusted-keys.json");
+};
+
+const loadTrustStore = () => {
+  try {
+    return JSON.parse(fs.readFileSync(getTrustStorePath(), "utf8"));
+  } catch (e) {
+    return {};
+  }
+};
+
+const getTrustedKey = (trustId, type) => {
+  return loadTrustStore()[trustId]?.[type] || null;
+};
+
+/**
+ * Pin a key for a repository, replacing any earlier key of the same type
+ */
+const trustKey = (trustId, entry) => {
+  const store = loadTrustStore();
+  store[trustId] = {
+    ...store[trustId],
+    [entry.type]: { ...entry, added: new Date().toISOString() },
+  };
+  ensureConfigDir();
+  fs.writeFileSync(getTrustStorePath(), JSON.stringify(store, null, 2));
+};
+
+/**
+ * Trust store key for a parsed source, e.g. "github.com/owner/repo"
+ */
+const getTrustId = (source) => {
+  const hostOf = (url, fallback) => {
+    try {
+      return new URL(url).host;
+    } catch {
+      return fallback;
+    }
+  };
+
+  switch (source.type) {
+    case "github":
+      return `${hostOf(source.host, "github.com")}/${source.owner}/${source.repo}`;
+    case "gitlab":
+      return `${hostOf(source.host)}/${source.project}`;
+    case "gitea":
+      return `${hostOf(source.host)}/${source.owner}/${source.repo}`;
+    default:
+      return hostOf(source.url, source.url);
+  }
+};
+
+/**
+ * Turn a key given to --trust-key (a minisign key, a .pub file's contents or
+ * an armored GPG key) into a trust store entry
+ */
+const parseTrustedKey = (text) => {
+  const minisign = parseMinisignPublicKey(text);
+  if (minisign) {
+    return { type: "minisign", keyId: minisign.keyId, key: minisign.key };
+  }
+
+  if (isArmoredGpgKey(text)) {
+    if (!hasGpg()) throw new Error("gpg is required to trust a GPG key");
+    const fingerprint = getGpgFingerprint(text);
+    if (!fingerprint) throw new Error("Couldn't read the GPG key");
+    return { type: "gpg", fingerprint, key: text };
+  }
+
+  throw new Error("Not a minisign public key or an armored GPG public key");
+};
+
+const describeKey = (entry) => {
+  return entry.type === "minisign" ? `minisign key ${entry.keyId}` : `GPG key ${entry.fingerprint}`;
+};
+
+const createKeyChangedError = (trustId, trusted, signedBy) => {
+  return new Error(
+    `The signing key for ${trustId} has changed: ${describeKey(trusted)} is trusted, ` +
+    `but this release is signed by ${signedBy}. This can mean the release was tampered with. ` +
+    `If the project rotated its key, approve the new one with: justinstall --trust-key ${trustId} <key or key file>`
+  );
+};
+
+const createSignatureMissingError = (trustId, trusted, problem) => {
+  return new Error(
+    `The signing key for ${trustId} is ${describeKey(trusted)}, but ${problem}. This can mean the release was tampered with. ` +
+    `If the project stopped signing releases, remove the key from ${getTrustStorePath()} to install it anyway.`
+  );
+};
+
+/**
+ * Return the key pinned for trustId, preferring the given type, or null.
+ */
+const getPinnedKey = (trustId, type) => {
+  const other = type === "gpg" ? "minisign" : "gpg";
+  return getTrustedKey(trustId, type) || getTrustedKey(trustId, other);
+};
+
+/**
+ * Verify filePath against the detached signature published next to it.
+ *
+ * Keys are looked up in the trust store under trustId. Without one, a key is
+ * taken from the release (minisign .pub, armored GPG keys), the release
+ * notes or README text, or getGpgKeys(), and pinned on first use if it
+ * verifies the file. Once a key is pinned, a missing signature, a signature
+ * of the other type or by a different key, and a missing gpg are errors.
+ *
+ * fetchAsset(asset) downloads a release asset and resolves to its local
+ * path; getKeyTexts() and getGpgKeys() resolve to extra text to search for
+ * keys. Returns { type, keyId|fingerprint, file, pinned } or null when
+ * the file isn't signed or can't be checked.
+ */
+const verifyReleaseSignature = async (
+  { filePath, name, signingAssets = [], trustId, fetchAsset, getKeyTexts = async () => [], getGpgKeys = async () => [] },
+  log,
+) => {
+  const signatureAsset = findSignatureAsset(signingAssets, name);
+  if (!signatureAsset) {
+    const pinned = getPinnedKey(trustId, "minisign");
+    if (pinned) {
+      throw createSignatureMissingError(trustId, pinned, `no signature was published for ${name}`);
+    }
+    log.debug(`No signature published for ${name}`);
+    return null;
+  }
+
+  const signaturePath = await fetchAsset(signatureAsset);
+  const signatureText = fs.readFileSync(signaturePath, "utf8");
+
+  const readKeyAssets = async () => {
+    const texts = [];
+    for (const asset of signingAssets.filter((a) => isPublicKeyAsset(a.name))) {
+      try {
+        texts.push(fs.readFileSync(await fetchAsset(asset), "utf8"));
+      } catch (error) {
+        log.debug(`Couldn't fetch ${asset.name}: ${error.message}`);
+      }
+    }
+    return texts;
+  };
+
+  const minisignSignature = parseMinisignSignature(signatureText);
+  if (minisignSignature) {
+    const trusted = getTrustedKey(trustId, "minisign");
+    if (trusted) {
+      if (trusted.keyId !== minisignSignature.keyId) {
+        throw createKeyChangedError(trustId, trusted, `minisign key ${minisignSignature.keyId}`);
+      }
+      verifyMinisign(filePath, minisignSignature, parseMinisignPublicKey(trusted.key));
+      return { type: "minisign", keyId: trusted.keyId, file: signatureAsset.name, pinned: false };
+    }
+    const pinnedGpg = getTrustedKey(trustId, "gpg");
+    if (pinnedGpg) {
+      throw createKeyChangedError(trustId, pinnedGpg, `minisign key ${minisignSignature.keyId}`);
+    }
+
+    const texts = [...(await readKeyAssets()), ...(await getKeyTexts())];
+    const key = texts
+      .flatMap(findMinisignKeys)
+      .find((candidate) => candidate.keyId === minisignSignature.keyId);
+    if (!key) {
+      log.warn(
+        `${signatureAsset.name} was found, but not the minisign key ${minisignSignature.keyId} it was made with. ` +
+        `Pin it with --trust-key ${trustId} <key> to verify future installs.`
+      );
+      return null;
+    }
+
+    verifyMinisign(filePath, minisignSignature, key);
+    trustKey(trustId, { type: "minisign", keyId: key.keyId, key: key.key, source: "first use" });
+    return { type: "minisign", keyId: key.keyId, file: signatureAsset.name, pinned: true };
+  }
+
+  if (!/-----BEGIN PGP SIGNATURE-----/.test(signatureText) && !/\.(?:sig|asc)$/i.test(signatureAsset.name)) {
+    const pinned = getPinnedKey(trustId, "minisign");
+    if (pinned) {
+      throw createSignatureMissingError(trustId, pinned, `${signatureAsset.name} isn't a signature it can check`);
+    }
+    log.debug(`Unrecognized signature format: ${signatureAsset.name}`);
+    return null;
+  }
+
+  const trusted = getTrustedKey(trustId, "gpg");
+  const pinnedMinisign = getTrustedKey(trustId, "minisign");
+  if (!trusted && pinnedMinisign) {
+    throw createKeyChangedError(trustId, pinnedMinisign, `a GPG key (${signatureAsset.name})`);
+  }
+
+  if (!hasGpg()) {
+    if (trusted) {
+      throw new Error(`Install gpg to verify ${signatureAsset.name}; ${describeKey(trusted)} is pinned for ${trustId}`);
+    }
+    log.warn(`Install gpg to verify ${signatureAsset.name}; skipping signature verification`);
+    return null;
+  }
+
+  if (trusted) {
+    const result = verifyGpg(filePath, signaturePath, trusted.key);
+    if (!result.fingerprint) {
+      throw createKeyChangedError(trustId, trusted, `GPG key ${result.missingKey}`);
+    }
+    return { type: "gpg", fingerprint: result.fingerprint, file: signatureAsset.name, pinned: false };
+  }
+
+  const candidates = [...(await readKeyAssets()), ...(await getGpgKeys())].filter(isArmoredGpgKey);
+  for (const armoredKey of candidates) {
+    const result = verifyGpg(filePath, signaturePath, armoredKey);
+    if (result.fingerprint) {
+      trustKey(trustId, { type: "gpg", fingerprint: result.fingerprint, key: armoredKey, source: "first use" });
+      return { type: "gpg", fingerprint: result.fingerprint, file: signatureAsset.name, pinned: true };
+    }
+  }
+
+  // Cosign and other tools also publish ".sig" files; only warn about
+  // signatures gpg could have checked with the right key
+  if (candidates.length > 0 || /-----BEGIN PGP SIGNATURE-----/.test(signatureText)) {
+    log.warn(
+      `${signatureAsset.name} was found, but no published GPG key verifies it. ` +
+      `Pin the project's key with --trust-key ${trustId} <key file> to verify future installs.`
+    );
+  } else {
+    log.debug(`No GPG key found for ${signatureAsset.name}`);
+  }
+  return null;
+};
+
+module.exports = {
+  isSignatureAsset,
+  isPublicKeyAsset,
+  isSigningAsset,
+  findSignatureAsset,
+  parseMinisignPublicKey,
+  findMinisignKeys,
+  parseMinisignSignature,
+  verifyMinisign,
+  hasGpg,
+  getGpgFingerprint,
+  verifyGpg,
+  getTrustStorePath,
+  loadTrustStore,
+  getTrustedKey,
+  trustKey,
+  getTrustId,
+  parseTrustedKey,
+  describeKey,
+  verifyReleaseSignature,
+};
@@ -0,0 +1,262 @@
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  isSignatureAsset,
+  isPublicKeyAsset,
+  findSignatureAsset,
+  parseMinisignPublicKey,
+  findMinisignKeys,
+  parseMinisignSignature,
+  verifyMinisign,
+  getTrustedKey,
+  trustKey,
+  getTrustId,
+  parseTrustedKey,
+  verifyReleaseSignature,
+} = require("./signatures");
+
+// A minisign key pair, producing the same files as `minisign -G` / `-S`
+const createMinisignKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const keyId = crypto.randomBytes(8);
+  const raw = Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url");
+
+  const sign = (content, trustedComment = "timestamp:1700000000") => {
+    const message = crypto.createHash("blake2b512").update(content).digest();
+    const signature = crypto.sign(null, message, privateKey);
+    const global = crypto.sign(null, Buffer.concat([signature, Buffer.from(trustedComment)]), privateKey);
+    return [
+      "untrusted comment: signature from minisign secret key",
+      Buffer.concat([Buffer.from("ED"), keyId, signature]).toString("base64"),
+      `trusted comment: ${trustedComment}`,
+      global.toString("base64"),
+      "",
+    ].join("\n");
+  };
+
+  return {
+    key: Buffer.concat([Buffer.from("Ed"), keyId, raw]).toString("base64"),
+    sign,
+  };
+};
+
+const silentLog = () => {
+  const warnings = [];
+  return { warnings, debug: () => {}, log: () => {}, warn: (message) => warnings.push(message) };
+};
+
+describe("signature assets", () => {
+  test("tells signatures from public keys", () => {
+    expect(isSignatureAsset("tool.tar.gz.minisig")).toBe(true);
+    expect(isSignatureAsset("tool.tar.gz.asc")).toBe(true);
+    expect(isSignatureAsset("checksums.txt.sig")).toBe(true);
+    expect(isSignatureAsset("release-key.asc")).toBe(false);
+    expect(isPublicKeyAsset("release-key.asc")).toBe(true);
+    expect(isPublicKeyAsset("minisign.pub")).toBe(true);
+    expect(isPublicKeyAsset("KEYS")).toBe(true);
+    expect(isPublicKeyAsset("tool.tar.gz")).toBe(false);
+  });
+
+  test("prefers minisign signatures", () => {
+    const assets = [{ name: "tool.tar.gz.asc" }, { name: "tool.tar.gz.minisig" }, { name: "other.zip.sig" }];
+    expect(findSignatureAsset(assets, "tool.tar.gz").name).toBe("tool.tar.gz.minisig");
+    expect(findSignatureAsset(assets, "other.zip").name).toBe("other.zip.sig");
+    expect(findSignatureAsset(assets, "missing.zip")).toBeNull();
+  });
+});
+
+describe("minisign", () => {
+  let workDir;
+  let filePath;
+  const signer = createMinisignKey();
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-minisign-"));
+    filePath = path.join(workDir, "tool.tar.gz");
+    fs.writeFileSync(filePath, "tool contents");
+  });
+
+  afterAll(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("parses public keys from .pub files and README text", () => {
+    const pub = `untrusted comment: minisign public key\n${signer.key}\n`;
+    expect(parseMinisignPublicKey(pub).key).toBe(signer.key);
+    expect(findMinisignKeys(`Verify with \`minisign -Vm tool.tar.gz -P ${signer.key}\``).length).toBe(1);
+    expect(parseMinisignPublicKey("no key here")).toBeNull();
+  });
+
+  test("reads the key ID from signatures", () => {
+    const signature = parseMinisignSignature(signer.sign("tool contents"));
+    expect(signature.algorithm).toBe("ED");
+    expect(signature.keyId).toBe(parseMinisignPublicKey(signer.key).keyId);
+    expect(parseMinisignSignature("-----BEGIN PGP SIGNATURE-----")).toBeNull();
+  });
+
+  test("accepts a good signature", () => {
+    const signature = parseMinisignSignature(signer.sign("tool contents"));
+    expect(() => verifyMinisign(filePath, signature, parseMinisignPublicKey(signer.key))).not.toThrow();
+  });
+
+  test("rejects a modified file", () => {
+    const signature = parseMinisignSignature(signer.sign("other contents"));
+    expect(() => verifyMinisign(filePath, signature, parseMinisignPublicKey(signer.key))).toThrow(
+      "Bad minisign signature",
+    );
+  });
+
+  test("rejects an altered trusted comment", () => {
+    const signature = parseMinisignSignature(signer.sign("tool contents"));
+    signature.trustedComment = "timestamp:0";
+    expect(() => verifyMinisign(filePath, signature, parseMinisignPublicKey(signer.key))).toThrow(
+      "trusted comment was altered",
+    );
+  });
+});
+
+describe("trust store", () => {
+  let configHome;
+  const originalConfigHome = process.env.XDG_CONFIG_HOME;
+
+  beforeAll(() => {
+    configHome = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-config-"));
+    process.env.XDG_CONFIG_HOME = configHome;
+  });
+
+  afterAll(() => {
+    if (originalConfigHome === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = originalConfigHome;
+    }
+    fs.rmSync(configHome, { recursive: true, force: true });
+  });
+
+  test("identifies repositories by host and path", () => {
+    expect(getTrustId({ type: "github", owner: "a", repo: "b" })).toBe("github.com/a/b");
+    expect(getTrustId({ type: "github", owner: "a", repo: "b", host: "https://ghe.corp" })).toBe("ghe.corp/a/b");
+    expect(getTrustId({ type: "gitlab", host: "https://gitlab.com", project: "g/p" })).toBe("gitlab.com/g/p");
+  });
+
+  test("stores keys per repository and type", () => {
+    const { key } = createMinisignKey();
+    const entry = parseTrustedKey(key);
+    trustKey("github.com/a/b", { ...entry, source: "manual" });
+
+    expect(getTrustedKey("github.com/a/b", "minisign").keyId).toBe(entry.keyId);
+    expect(getTrustedKey("github.com/a/b", "gpg")).toBeNull();
+    expect(getTrustedKey("github.com/a/c", "minisign")).toBeNull();
+  });
+
+  test("rejects input that isn't a key", () => {
+    expect(() => parseTrustedKey("hello")).toThrow("Not a minisign public key");
+  });
+});
+
+describe("verifyReleaseSignature", () => {
+  let configHome;
+  let workDir;
+  let filePath;
+  const originalConfigHome = process.env.XDG_CONFIG_HOME;
+  const signer = createMinisignKey();
+  const trustId = "github.com/acme/tool";
+
+  const verify = (files, log, extra = {}) => {
+    const signingAssets = Object.keys(files).map((name) => ({ name }));
+    return verifyReleaseSignature(
+      {
+        filePath,
+        name: "tool.tar.gz",
+        signingAssets,
+        trustId,
+        fetchAsset: async (asset) => {
+          const assetPath = path.join(workDir, asset.name);
+          fs.writeFileSync(assetPath, files[asset.name]);
+          return assetPath;
+        },
+        ...extra,
+      },
+      log,
+    );
+  };
+
+  beforeAll(() => {
+    configHome = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-config-"));
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-signed-"));
+    process.env.XDG_CONFIG_HOME = configHome;
+    filePath = path.join(workDir, "tool.tar.gz");
+    fs.writeFileSync(filePath, "tool contents");
+  });
+
+  afterAll(() => {
+    if (originalConfigHome === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = originalConfigHome;
+    }
+    fs.rmSync(configHome, { recursive: true, force: true });
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("returns null for unsigned releases", async () => {
+    expect(await verify({}, silentLog())).toBeNull();
+  });
+
+  test("warns when no key for the signature can be found", async () => {
+    const log = silentLog();
+    const result = await verify({ "tool.tar.gz.minisig": signer.sign("tool contents") }, log);
+    expect(result).toBeNull();
+    expect(log.warnings[0]).toContain("--trust-key github.com/acme/tool");
+    expect(getTrustedKey(trustId, "minisign")).toBeNull();
+  });
+
+  test("pins the key on first use", async () => {
+    const result = await verify(
+      { "tool.tar.gz.minisig": signer.sign("tool contents") },
+      silentLog(),
+      { getKeyTexts: async () => [`minisign -Vm tool.tar.gz -P ${signer.key}`] },
+    );
+    expect(result.pinned).toBe(true);
+    expect(getTrustedKey(trustId, "minisign").key).toBe(signer.key);
+  });
+
+  test("verifies later releases with the pinned key", async () => {
+    const result = await verify({ "tool.tar.gz.minisig": signer.sign("tool contents") }, silentLog());
+    expect(result).toMatchObject({ type: "minisign", pinned: false, file: "tool.tar.gz.minisig" });
+  });
+
+  test("refuses a bad signature", async () => {
+    await expect(
+      verify({ "tool.tar.gz.minisig": signer.sign("tampered") }, silentLog()),
+    ).rejects.toThrow("Bad minisign signature");
+  });
+
+  test("refuses a release signed by a different key", async () => {
+    const other = createMinisignKey();
+    await expect(
+      verify(
+        { "tool.tar.gz.minisig": other.sign("tool contents"), "minisign.pub": other.key },
+        silentLog(),
+      ),
+    ).rejects.toThrow("The signing key for github.com/acme/tool has changed");
+    expect(getTrustedKey(trustId, "minisign").key).toBe(signer.key);
+  });
+
+  test("refuses a release whose signature was removed", async () => {
+    await expect(verify({}, silentLog())).rejects.toThrow(
+      "The signing key for github.com/acme/tool is minisign key",
+    );
+  });
+
+  test("refuses a release switched to the other signature type", async () => {
+    const signature = "-----BEGIN PGP SIGNATURE-----\n\niQEzBAABCAAdFiEE\n-----END PGP SIGNATURE-----\n";
+    await expect(verify({ "tool.tar.gz.asc": signature }, silentLog())).rejects.toThrow(
+      "The signing key for github.com/acme/tool has changed",
+    );
+    expect(getTrustedKey(trustId, "gpg")).toBeNull();
+  });
+});
@@ -1,6 +1,32 @@
 const fs = require("fs");
 const path = require("path");
 const { getInstallableExtensions } = require("./extensions");
+const { getHostProvider } = require("./config");
+const {
+  DEFAULT_GITHUB_HOST,
+  isGitHubHost,
+  getGitHubEndpoints,
+  isDefaultGitHubHost,
+  githubFetch,
+  getGitHubToken,
+  getGitHubHostname,
+} = require("./github");
+const { isExactPin, splitPin, maxSatisfying } = require("./versions");
+const {
+  cachedFetch,
+  isOffline,
+  isNetworkError,
+  goOffline,
+  createOfflineError,
+  readMetadataEntry,
+  writeMetadataEntry,
+  getCachedDownload,
+  storeDownload,
+} = require("./cache");
+const { streamDownload } = require("./download");
+const { fetchWithRetry } = require("./retry");
+const { isChecksumAsset } = require("./checksums");
+const { isSigningAsset } = require("./signatures");
 
 const IGNORE = [
   "Applications",
@@ -21,7 +47,21 @@ const IGNORE = [
 ];
 
 const isIgnored = (filename) => {
-  return IGNORE.find((p) => filename.toLowerCase().includes(p.toLowerCase()));
+  return (
+    IGNORE.find((p) => filename.toLowerCase().includes(p.toLowerCase())) ||
+    isChecksumAsset(path.basename(filename)) ||
+    isSigningAsset(path.basename(filename))
+  );
+};
+
+// Checksum files, signatures and public keys are never installed, but are
+// kept aside to verify the downloaded asset against
+const getChecksumAssets = (assets) => {
+  return assets.filter((asset) => isChecksumAsset(asset.name));
+};
+
+const getSigningAssets = (assets) => {
+  return assets.filter((asset) => isSigningAsset(asset.name));
 };
 
 const parseSource = (input) => {
@@ -40,32 +80,43 @@ const parseSource = (input) => {
   }
 
   if (isURL) {
-    if (input.includes("github.com")) {
-      // Check if it's a specific release URL
-      const releaseMatch = input.match(
-        /github\.com\/([^\/]+)\/([^\/]+)\/releases\/tag\/([^\/]+)/i,
-      );
-      if (releaseMatch) {
-        const [, owner, repo, tag] = releaseMatch;
-        return {
-          type: "github",
-          url: input,
-          owner,
-          repo,
-          specificTag: tag,
-          originalArgs: [input],
-        };
-      }
+    const gitlab = parseGitLabUrl(input);
+    if (gitlab) {
+      return {
+        type: "gitlab",
+        url: input,
+        host: gitlab.host,
+        project: gitlab.project,
+        owner: gitlab.project.split("/").slice(0, -1).join("/"),
+        repo: gitlab.project.split("/").pop(),
+        ...(gitlab.tag && { specificTag: gitlab.tag }),
+        originalArgs: [input],
+      };
+    }
 
-      // Regular GitHub repo URL
-      const [owner, repo] = input
-        .replace(/(?:https?:\/\/)?github\.com\//i, "")
-        .split("/");
+    const gitea = parseGiteaUrl(input);
+    if (gitea) {
+      return {
+        type: "gitea",
+        url: input,
+        host: gitea.host,
+        owner: gitea.owner,
+        repo: gitea.repo,
+        ...(gitea.tag && { specificTag: gitea.tag }),
+        originalArgs: [input],
+      };
+    }
+
+    const github = parseGitHubUrl(input);
+    if (github) {
       return {
         type: "github",
         url: input,
-        owner,
-        repo,
+        owner: github.owner,
+        repo: github.repo,
+        // Only Enterprise hosts are recorded; a missing host means github.com
+        ...(!isDefaultGitHubHost(github.host) && { host: github.host }),
+        ...(github.tag && { specificTag: github.tag }),
         originalArgs: [input],
       };
     }
@@ -78,14 +129,18 @@ const parseSource = (input) => {
     };
   }
 
-  // Assume it's a shorthand GitHub repo
-  if (/^[a-z_\-0-9]+\/[a-z_\-0-9]+$/i.test(input)) {
-    const [owner, repo] = input.split("/");
+  // Assume it's a shorthand GitHub repo, optionally pinned with
+  // @<tag>, @latest or @prerelease
+  const { target, pin } = splitPin(input);
+  if (/^[a-z_\-0-9]+\/[a-z_\-0-9]+$/i.test(target)) {
+    const [owner, repo] = target.split("/");
     return {
       type: "github",
-      url: `https://github.com/${input}`,
+      url: `https://github.com/${target}`,
       owner,
       repo,
+      ...(pin && { pin }),
+      ...(isExactPin(pin) && { specificTag: pin }),
       originalArgs: [input],
     };
   }
@@ -93,72 +148,309 @@ const parseSource = (input) => {
   throw new Error(`Invalid source: ${input}`);
 };
 
-const getGitHubAssets = async (owner, repo, specificTag = null) => {
+/**
+ * Parse a github.com or GitHub Enterprise repository URL, including
+ * /releases/tag/<tag> links. Returns null for other hosts.
+ */
+const parseGitHubUrl = (input) => {
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    return null;
+  }
+
+  if (!isGitHubHost(url.hostname)) return null;
+
+  const [owner, repo, section, kind, tag] = url.pathname
+    .split("/")
+    .filter(Boolean);
+  if (!owner || !repo) return null;
+
+  return {
+    host: url.origin,
+    owner,
+    repo: repo.replace(/\.git$/i, ""),
+    tag:
+      section === "releases" && kind === "tag" && tag
+        ? decodeURIComponent(tag)
+        : null,
+  };
+};
+
+const getGitHubAssets = async (
+  owner,
+  repo,
+  specificTag = null,
+  host = DEFAULT_GITHUB_HOST,
+  { prerelease: includePrereleases = false, range = null } = {},
+) => {
+  const { api } = getGitHubEndpoints(host);
   let release;
 
   if (specificTag) {
     // Fetch specific release by tag
-    const response = await fetch(
-      `https://api.github.com/repos/${owner}/${repo}/releases/tags/${specificTag}`,
-      {
-        headers: {
-          "User-Agent": "justinstall/1.2.0",
-        },
-      },
+    const response = await githubFetch(
+      `${api}/repos/${owner}/${repo}/releases/tags/${specificTag}`,
     );
     if (!response.ok) {
       throw new Error(`Release with tag "${specificTag}" not found`);
     }
     release = await response.json();
+  } else if (range) {
+    const releases = await listGitHubReleases(api, owner, repo);
+    const tag = maxSatisfying(
+      releases.map((r) => r.tag_name),
+      range,
+    );
+    if (!tag) {
+      throw new Error(`No release matching "${range}" found`);
+    }
+    release = releases.find((r) => r.tag_name === tag);
+  } else if (includePrereleases) {
+    release = await getNewestGitHubRelease(api, owner, repo);
   } else {
     // Try to get the latest stable release first
-    let response = await fetch(
-      `https://api.github.com/repos/${owner}/${repo}/releases/latest`,
-      {
-        headers: {
-          "User-Agent": "justinstall/1.2.0",
-        },
-      },
+    let response = await githubFetch(
+      `${api}/repos/${owner}/${repo}/releases/latest`,
     );
 
     if (response.ok) {
       release = await response.json();
     } else if (response.status === 404) {
-      // No stable releases found, get all releases and find the latest prerelease
-      const allReleasesResponse = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/releases`,
-        {
-          headers: {
-            "User-Agent": "justinstall/1.2.0",
-          },
-        },
+      // No stable releases found, fall back to the latest prerelease
+      release = await getNewestGitHubRelease(api, owner, repo);
+    } else {
+      throw new Error(
+        `Failed to fetch GitHub releases: ${response.statusText}`,
       );
+    }
+  }
 
-      if (!allReleasesResponse.ok) {
-        throw new Error("No releases found in GitHub repository");
-      }
+  if (!release.assets) {
+    throw new Error("No assets found in GitHub release");
+  }
+
+  const assets = release.assets
+    .filter((asset) => !isIgnored(asset.name))
+    .map((asset) => ({
+      ...asset,
+      segments: asset.name.split(/[_ \.\-]/).map((s) => s.toLowerCase()),
+      extension: getExtension(asset.name),
+    }));
+
+  return {
+    assets,
+    checksums: getChecksumAssets(release.assets),
+    signatures: getSigningAssets(release.assets),
+    body: release.body,
+    tag: release.tag_name,
+    commit: release.target_commitish,
+    prerelease: release.prerelease,
+  };
+};
+
+/**
+ * The releases list only 404s when the repository itself is missing, which
+ * for an anonymous request usually means it's private
+ */
+const getRepoNotFoundMessage = (api, owner, repo) => {
+  const hint = getGitHubToken(getGitHubHostname(api))
+    ? ""
+    : " (set GITHUB_TOKEN or run 'gh auth login' if it is private)";
+  return `GitHub repository ${owner}/${repo} not found${hint}`;
+};
 
-      const allReleases = await allReleasesResponse.json();
+/**
+ * Fetch every published release of a repository, following pagination
+ */
+const listGitHubReleases = async (api, owner, repo) => {
+  const perPage = 100;
+  const releases = [];
 
-      if (allReleases.length === 0) {
+  for (let page = 1; ; page++) {
+    const response = await githubFetch(
+      `${api}/repos/${owner}/${repo}/releases?per_page=${perPage}&page=${page}`,
+    );
+
+    if (response.status === 404 && page === 1) {
+      throw new Error(getRepoNotFoundMessage(api, owner, repo));
+    }
+
+    if (!response.ok) {
+      if (page === 1) {
         throw new Error("No releases found in GitHub repository");
       }
-
-      // Find the most recent release (including prereleases)
-      // Releases are already sorted by created_at in descending order
-      release = allReleases[0];
-    } else {
       throw new Error(
         `Failed to fetch GitHub releases: ${response.statusText}`,
       );
     }
+
+    const batch = await response.json();
+    releases.push(...batch.filter((r) => !r.draft));
+    if (batch.length < perPage) break;
   }
 
-  if (!release.assets) {
-    throw new Error("No assets found in GitHub release");
+  if (releases.length === 0) {
+    throw new Error("No releases found in GitHub repository");
   }
 
-  const assets = release.assets
+  return releases;
+};
+
+/**
+ * Fetch the most recent release of a repository, prereleases included.
+ * Releases are already sorted by created_at in descending order.
+ */
+const getNewestGitHubRelease = async (api, owner, repo) => {
+  const response = await githubFetch(`${api}/repos/${owner}/${repo}/releases`);
+
+  if (response.status === 404) {
+    throw new Error(getRepoNotFoundMessage(api, owner, repo));
+  }
+
+  if (!response.ok) {
+    throw new Error("No releases found in GitHub repository");
+  }
+
+  const releases = (await response.json()).filter((r) => !r.draft);
+
+  if (releases.length === 0) {
+    throw new Error("No releases found in GitHub repository");
+  }
+
+  return releases[0];
+};
+
+const isGitLabHost = (hostname) =>
+  /(^|\.)gitlab\./i.test(hostname) || getHostProvider(hostname) === "gitlab";
+
+/**
+ * Parse a GitLab project URL, including nested groups and self-hosted
+ * instances (any host named gitlab.* or configured in settings.json).
+ * Returns null for non-GitLab URLs.
+ */
+const parseGitLabUrl = (input) => {
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    return null;
+  }
+
+  if (!isGitLabHost(url.hostname)) return null;
+
+  // Everything after "/-/" is a project sub-page (releases, tags, tree, ...)
+  const [projectPath, subPath = ""] = url.pathname.split("/-/");
+  const project = projectPath
+    .split("/")
+    .filter(Boolean)
+    .join("/")
+    .replace(/\.git$/i, "");
+
+  if (project.split("/").length < 2) return null;
+
+  const tagMatch = subPath.match(/^(?:releases|tags)\/([^\/]+)/);
+  const tag =
+    tagMatch && tagMatch[1] !== "permalink"
+      ? decodeURIComponent(tagMatch[1])
+      : null;
+
+  return { host: url.origin, project, tag };
+};
+
+const getGitLabHeaders = () => ({
+  "User-Agent": "justinstall/1.2.0",
+  ...(process.env.GITLAB_TOKEN && { "PRIVATE-TOKEN": process.env.GITLAB_TOKEN }),
+});
+
+/**
+ * Collect downloadable files from a GitLab release: its asset links plus any
+ * files uploaded into the release description.
+ */
+const getGitLabReleaseFiles = (release, host, project) => {
+  const files = (release.assets?.links || []).map((link) => {
+    const url = link.direct_asset_url || link.url;
+    let fileName = "";
+    try {
+      fileName = decodeURIComponent(path.basename(new URL(url).pathname));
+    } catch {}
+    return {
+      id: link.id,
+      name: getExtension(fileName) || !link.name ? fileName : link.name,
+      browser_download_url: url,
+      size: null,
+      link_type: link.link_type,
+    };
+  });
+
+  const uploadRegex = /\[[^\]]*\]\((\/uploads\/[^)\s]+)\)/g;
+  let match;
+  while ((match = uploadRegex.exec(release.description || "")) !== null) {
+    files.push({
+      name: decodeURIComponent(path.basename(match[1])),
+      browser_download_url: `${host}/${project}${match[1]}`,
+      size: null,
+    });
+  }
+
+  return files.filter(
+    (file, index, array) =>
+      file.name &&
+      array.findIndex(
+        (f) => f.browser_download_url === file.browser_download_url,
+      ) === index,
+  );
+};
+
+const getGitLabAssets = async (host, project, specificTag = null) => {
+  const apiBase = `${host}/api/v4/projects/${encodeURIComponent(project)}`;
+  const headers = getGitLabHeaders();
+  let release;
+
+  if (specificTag) {
+    const response = await cachedFetch(
+      `${apiBase}/releases/${encodeURIComponent(specificTag)}`,
+      { headers },
+    );
+    if (!response.ok) {
+      throw new Error(`Release with tag "${specificTag}" not found`);
+    }
+    release = await response.json();
+  } else {
+    // Releases are sorted by release date; upcoming releases are GitLab's
+    // prereleases, so keep paging until a released one turns up
+    const perPage = 20;
+    const releases = [];
+
+    for (let page = 1; !release; page++) {
+      const response = await cachedFetch(
+        `${apiBase}/releases?per_page=${perPage}&page=${page}`,
+        { headers },
+      );
+
+      if (response.status === 404 && page === 1) {
+        throw new Error(`GitLab project "${project}" not found on ${host}`);
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to fetch GitLab releases: ${response.statusText}`);
+      }
+
+      const batch = await response.json();
+      if (!Array.isArray(batch)) break;
+      releases.push(...batch);
+      release = batch.find((r) => !r.upcoming_release);
+      if (batch.length < perPage) break;
+    }
+
+    if (releases.length === 0) {
+      throw new Error("No releases found in GitLab project");
+    }
+    release = release || releases[0];
+  }
+
+  const files = getGitLabReleaseFiles(release, host, project);
+  const assets = files
     .filter((asset) => !isIgnored(asset.name))
     .map((asset) => ({
       ...asset,
@@ -168,6 +460,102 @@ const getGitHubAssets = async (owner, repo, specificTag = null) => {
 
   return {
     assets,
+    checksums: getChecksumAssets(files),
+    signatures: getSigningAssets(files),
+    body: release.description,
+    tag: release.tag_name,
+    commit: release.commit?.id,
+    prerelease: !!release.upcoming_release,
+  };
+};
+
+const isGiteaHost = (hostname) =>
+  /(^|\.)(gitea|forgejo)\./i.test(hostname) ||
+  getHostProvider(hostname) === "gitea";
+
+/**
+ * Parse a repository URL on a Gitea-compatible host (Codeberg, Forgejo,
+ * Gitea). Returns null for other hosts.
+ */
+const parseGiteaUrl = (input) => {
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    return null;
+  }
+
+  if (!isGiteaHost(url.hostname)) return null;
+
+  const [owner, repo, section, kind, tag] = url.pathname
+    .split("/")
+    .filter(Boolean);
+  if (!owner || !repo) return null;
+
+  return {
+    host: url.origin,
+    owner,
+    repo: repo.replace(/\.git$/i, ""),
+    tag:
+      section === "releases" && kind === "tag" && tag
+        ? decodeURIComponent(tag)
+        : null,
+  };
+};
+
+const getGiteaHeaders = () => ({
+  "User-Agent": "justinstall/1.2.0",
+  Accept: "application/json",
+  ...(process.env.GITEA_TOKEN && {
+    Authorization: `token ${process.env.GITEA_TOKEN}`,
+  }),
+});
+
+const getGiteaAssets = async (host, owner, repo, specificTag = null) => {
+  const apiBase = `${host}/api/v1/repos/${owner}/${repo}`;
+  const headers = getGiteaHeaders();
+  let release;
+
+  if (specificTag) {
+    const response = await cachedFetch(
+      `${apiBase}/releases/tags/${encodeURIComponent(specificTag)}`,
+      { headers },
+    );
+    if (!response.ok) {
+      throw new Error(`Release with tag "${specificTag}" not found`);
+    }
+    release = await response.json();
+  } else {
+    // Older Gitea versions have no /releases/latest, so list releases instead
+    const response = await cachedFetch(`${apiBase}/releases?limit=20`, { headers });
+
+    if (response.status === 404) {
+      throw new Error(`Repository "${owner}/${repo}" not found on ${host}`);
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch releases: ${response.statusText}`);
+    }
+
+    const releases = (await response.json()).filter((r) => !r.draft);
+    if (releases.length === 0) {
+      throw new Error("No releases found in repository");
+    }
+
+    release = releases.find((r) => !r.prerelease) || releases[0];
+  }
+
+  const assets = (release.assets || [])
+    .filter((asset) => !isIgnored(asset.name))
+    .map((asset) => ({
+      ...asset,
+      segments: asset.name.split(/[_ \.\-]/).map((s) => s.toLowerCase()),
+      extension: getExtension(asset.name),
+    }));
+
+  return {
+    assets,
+    checksums: getChecksumAssets(release.assets || []),
+    signatures: getSigningAssets(release.assets || []),
     body: release.body,
     tag: release.tag_name,
     commit: release.target_commitish,
@@ -276,13 +664,53 @@ const isHtmlResponse = (response, content) => {
   return false;
 };
 
+/**
+ * Replay a smart download from the cache: a previously downloaded file, or
+ * the previously scraped page
+ */
+const trySmartDownloadOffline = async (url) => {
+  const cached = getCachedDownload(url);
+  if (cached) {
+    const tempPath = path.join(
+      require("os").tmpdir(),
+      `justinstall-${Date.now()}-${cached.name}`,
+    );
+    fs.copyFileSync(cached.path, tempPath);
+    return {
+      type: "direct_download",
+      filename: cached.name,
+      size: cached.size,
+      url,
+      localPath: tempPath,
+    };
+  }
+
+  const page = readMetadataEntry(url);
+  if (page) {
+    return await scrapeHtmlForAssets(url, page.body);
+  }
+
+  throw createOfflineError(url);
+};
+
+const SMART_DOWNLOAD_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (compatible; justinstall/1.2.0)",
+  Accept: "*/*",
+};
+
 const trySmartDownload = async (url, log) => {
-  const response = await fetch(url, {
-    headers: {
-      "User-Agent": "Mozilla/5.0 (compatible; justinstall/1.2.0)",
-      Accept: "*/*",
-    },
-  });
+  if (isOffline()) {
+    return await trySmartDownloadOffline(url);
+  }
+
+  let response;
+  try {
+    response = await fetchWithRetry(url, { headers: SMART_DOWNLOAD_HEADERS });
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    goOffline(error);
+    return await trySmartDownloadOffline(url);
+  }
 
   if (!response.ok) {
     throw new Error(`Failed to fetch URL: ${response.statusText}`);
@@ -311,19 +739,19 @@ const trySmartDownload = async (url, log) => {
     }
 
     const fullContent = new TextDecoder().decode(Buffer.concat(chunks));
+    writeMetadataEntry(url, {
+      status: response.status,
+      headers: { "content-type": response.headers.get("content-type") || "" },
+      body: fullContent,
+      date: new Date().toISOString(),
+    });
     return await scrapeHtmlForAssets(url, fullContent);
   } else {
     log.debug("URL appears to be a direct download");
 
-    // It's a binary file, reconstruct the response for download
-    const allChunks = [firstChunk];
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      allChunks.push(value);
-    }
-
-    const fullBuffer = Buffer.concat(allChunks);
+    // Stream the rest of this response to disk through downloadFromUrl
+    // (resume and idle timeouts) rather than requesting the URL again,
+    // which one-time signed links wouldn't allow
     const contentDisposition = response.headers.get("Content-Disposition");
     const filenameRegex = /filename="?([^;"]+)"/;
     const match = contentDisposition && contentDisposition.match(filenameRegex);
@@ -334,13 +762,16 @@ const trySmartDownload = async (url, log) => {
       require("os").tmpdir(),
       `justinstall-${Date.now()}-${filename}`,
     );
-    fs.writeFileSync(tempPath, fullBuffer);
+    const { size } = await downloadFromUrl(url, tempPath, log, SMART_DOWNLOAD_HEADERS, url, {
+      response,
+      reader,
+      chunks: [firstChunk],
+    });
 
     return {
       type: "direct_download",
       filename,
-      buffer: fullBuffer,
-      size: fullBuffer.length,
+      size,
       url,
       localPath: tempPath,
     };
@@ -395,7 +826,7 @@ const scrapeHtmlForAssets = async (url, html) => {
 };
 
 const getWebsiteAssets = async (url) => {
-  const response = await fetch(url, {
+  const response = await cachedFetch(url, {
     headers: {
       "User-Agent": "Mozilla/5.0 (compatible; justinstall/1.2.0)",
       Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
@@ -410,86 +841,141 @@ const getWebsiteAssets = async (url) => {
   return await scrapeHtmlForAssets(url, html);
 };
 
-const downloadFromUrl = async (url, destPath, logger = null) => {
+/**
+ * Copy a previously downloaded artifact into place instead of fetching it
+ */
+const restoreCachedDownload = (cacheKey, destPath, logger) => {
+  const cached = getCachedDownload(cacheKey);
+  if (!cached) throw createOfflineError(cacheKey);
+
+  fs.copyFileSync(cached.path, destPath);
+  if (logger) {
+    logger.log(`Using cached download: ${cached.name}`);
+  }
+  return { filename: cached.name, size: cached.size };
+};
+
+/**
+ * Download a file, keeping a copy in the download cache under cacheKey
+ * (normally the URL itself). While offline, or when the network turns out
+ * to be unreachable, the cached copy is used instead. opened is a response
+ * to url that was already started, passed on to streamDownload.
+ */
+const downloadFromUrl = async (
+  url,
+  destPath,
+  logger = null,
+  headers = {},
+  cacheKey = url,
+  opened = null,
+) => {
   const cliProgress = require("cli-progress");
   const { fileSize } = require("./utils");
 
-  const response = await fetch(url, {
-    headers: {
-      ...(getOrigin(url) && { origin: getOrigin(url) }),
-    },
-    referrer: getOrigin(url) || url,
-  });
-
-  if (!response.ok) {
-    throw new Error(`Failed to download: ${response.statusText}`);
+  if (isOffline()) {
+    return restoreCachedDownload(cacheKey, destPath, logger);
   }
 
-  const totalSize = parseInt(response.headers.get("Content-Length") || "0");
+  const formatTime = (seconds) => {
+    if (seconds < 60) return `${Math.round(seconds)}s`;
+    if (seconds < 3600)
+      return `${Math.round(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+    return `${Math.round(seconds / 3600)}h ${Math.round(
+      (seconds % 3600) / 60,
+    )}m`;
+  };
 
-  // Create progress bar if we have a logger and total size
   let progressBar;
-  if (logger && totalSize > 0) {
-    progressBar = new cliProgress.SingleBar({
-      format:
-        "Downloading |{bar}| {percentage}% | {downloaded}/{totalSize} | {speed} | ETA: {eta}",
-      barCompleteChar: "\u2588",
-      barIncompleteChar: "\u2591",
-      hideCursor: true,
-    });
-    progressBar.start(totalSize, 0, {
-      downloaded: fileSize(0, true),
-      totalSize: fileSize(totalSize, true),
-      speed: "0 B/s",
-      eta: "calculating...",
-    });
-  }
-
-  const reader = response.body.getReader();
-  const chunks = [];
-  let receivedBytes = 0;
+  let totalSize = 0;
+  let resumedFrom = 0;
   let startTime = Date.now();
   let lastUpdateTime = startTime;
   let lastReceivedBytes = 0;
 
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-
-    chunks.push(value);
-    receivedBytes += value.length;
-
-    if (progressBar) {
-      const now = Date.now();
-      const timeDiff = (now - lastUpdateTime) / 1000; // seconds
-
-      if (timeDiff >= 0.2) {
-        // Update every 200ms for smoother display
-        const speed = (receivedBytes - lastReceivedBytes) / timeDiff;
-        const avgSpeed = receivedBytes / ((now - startTime) / 1000);
-        const remainingBytes = totalSize - receivedBytes;
-        const etaSeconds = avgSpeed > 0 ? remainingBytes / avgSpeed : 0;
-
-        const formatTime = (seconds) => {
-          if (seconds < 60) return `${Math.round(seconds)}s`;
-          if (seconds < 3600)
-            return `${Math.round(seconds / 60)}m ${Math.round(seconds % 60)}s`;
-          return `${Math.round(seconds / 3600)}h ${Math.round(
-            (seconds % 3600) / 60,
-          )}m`;
-        };
-
-        progressBar.update(receivedBytes, {
-          downloaded: fileSize(receivedBytes, true),
-          totalSize: fileSize(totalSize, true),
-          speed: `${fileSize(speed, true)}/s`,
-          eta: formatTime(etaSeconds),
-        });
-
-        lastUpdateTime = now;
-        lastReceivedBytes = receivedBytes;
-      }
+  const onStart = (info) => {
+    // A retried transfer starts again with a fresh bar
+    if (progressBar) progressBar.stop();
+    totalSize = info.totalSize;
+    resumedFrom = info.resumedFrom;
+    lastReceivedBytes = resumedFrom;
+    startTime = Date.now();
+    lastUpdateTime = startTime;
+
+    if (logger && resumedFrom > 0) {
+      logger.log(`Resuming download from ${fileSize(resumedFrom, true)}`);
+    }
+
+    // Create progress bar if we have a logger and total size
+    if (logger && totalSize > 0) {
+      progressBar = new cliProgress.SingleBar({
+        format:
+          "Downloading |{bar}| {percentage}% | {downloaded}/{totalSize} | {speed} | ETA: {eta}",
+        barCompleteChar: "\u2588",
+        barIncompleteChar: "\u2591",
+        hideCursor: true,
+      });
+      progressBar.start(totalSize, resumedFrom, {
+        downloaded: fileSize(resumedFrom, true),
+        totalSize: fileSize(totalSize, true),
+        speed: "0 B/s",
+        eta: "calculating...",
+      });
+    }
+  };
+
+  const onProgress = (receivedBytes) => {
+    if (!progressBar) return;
+
+    const now = Date.now();
+    const timeDiff = (now - lastUpdateTime) / 1000; // seconds
+
+    if (timeDiff >= 0.2) {
+      // Update every 200ms for smoother display
+      const speed = (receivedBytes - lastReceivedBytes) / timeDiff;
+      const avgSpeed = (receivedBytes - resumedFrom) / ((now - startTime) / 1000);
+      const remainingBytes = totalSize - receivedBytes;
+      const etaSeconds = avgSpeed > 0 ? remainingBytes / avgSpeed : 0;
+
+      progressBar.update(receivedBytes, {
+        downloaded: fileSize(receivedBytes, true),
+        totalSize: fileSize(totalSize, true),
+        speed: `${fileSize(speed, true)}/s`,
+        eta: formatTime(etaSeconds),
+      });
+
+      lastUpdateTime = now;
+      lastReceivedBytes = receivedBytes;
     }
+  };
+
+  let result;
+  try {
+    result = await streamDownload(url, destPath, {
+      headers: {
+        ...(getOrigin(url) && { origin: getOrigin(url) }),
+        ...headers,
+      },
+      cacheKey,
+      fetchOptions: { referrer: getOrigin(url) || url },
+      onStart,
+      onProgress,
+      opened,
+    });
+  } catch (error) {
+    if (progressBar) progressBar.stop();
+    // Interrupted transfers keep their .part file; only a failure to
+    // connect at all means we're offline
+    if (error.interrupted || !isNetworkError(error)) throw error;
+    goOffline(error);
+    return restoreCachedDownload(cacheKey, destPath, logger);
+  }
+
+  const { response, size } = result;
+
+  if (!response.ok) {
+    const error = new Error(`Failed to download: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
   }
 
   if (progressBar) {
@@ -502,26 +988,25 @@ const downloadFromUrl = async (url, destPath, logger = null) => {
     progressBar.stop();
   }
 
-  const buffer = Buffer.concat(chunks);
-  fs.writeFileSync(destPath, buffer);
-
   const disposition = response.headers.get("Content-Disposition");
   const filenameRegex = /filename="?([^;"]+)"/;
   const match = disposition && disposition.match(filenameRegex);
   const filename = match?.[1] || url.substring(url.lastIndexOf("/") + 1);
 
+  storeDownload(cacheKey, destPath, filename);
+
   if (logger) {
     const totalTime = (Date.now() - startTime) / 1000;
-    const avgSpeed = fileSize(receivedBytes / totalTime, true);
+    const avgSpeed = fileSize((size - resumedFrom) / totalTime, true);
     logger.log(
       `Downloaded file: ${path.resolve(destPath)} (${fileSize(
-        buffer.byteLength,
+        size,
         true,
       )}) in ${totalTime.toFixed(1)}s (avg: ${avgSpeed}/s)`,
     );
   }
 
-  return { filename, size: buffer.byteLength };
+  return { filename, size };
 };
 
 const getOrigin = (url) => {
@@ -821,34 +1306,57 @@ const createScriptSnippet = (code, source) => {
   };
 };
 
-const fetchReadmeFromBranch = async (owner, repo, branch) => {
+const fetchReadmeText = async (
+  owner,
+  repo,
+  branch,
+  host = DEFAULT_GITHUB_HOST,
+) => {
   try {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 5000);
 
-    const response = await fetch(
-      `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/README.md`,
+    const response = await githubFetch(
+      `${getGitHubEndpoints(host).raw}/${owner}/${repo}/${branch}/README.md`,
       {
         signal: controller.signal,
-        headers: {
-          "User-Agent": "justinstall/1.2.0",
-        },
       },
     );
 
     clearTimeout(timeoutId);
 
     if (!response.ok) return null;
-
-    const readme = await response.text();
-    return extractCodeBlocks(readme)
-      .filter(isInstallScript)
-      .map((code) => createScriptSnippet(code, `readme (${branch})`));
+    return await response.text();
   } catch (error) {
     return null;
   }
 };
 
+const fetchReadmeFromBranch = async (
+  owner,
+  repo,
+  branch,
+  host = DEFAULT_GITHUB_HOST,
+) => {
+  const readme = await fetchReadmeText(owner, repo, branch, host);
+  if (readme === null) return null;
+
+  return extractCodeBlocks(readme)
+    .filter(isInstallScript)
+    .map((code) => createScriptSnippet(code, `readme (${branch})`));
+};
+
+/**
+ * The README of a GitHub repository's default branch, or null
+ */
+const getGitHubReadme = async (owner, repo, host = DEFAULT_GITHUB_HOST) => {
+  for (const branch of DEFAULT_BRANCHES) {
+    const readme = await fetchReadmeText(owner, repo, branch, host);
+    if (readme !== null) return readme;
+  }
+  return null;
+};
+
 const PLATFORM_SCRIPT_PATTERNS = {
   darwin: {
     compatible: [
@@ -1012,7 +1520,12 @@ const filterScriptsByPlatform = (scripts) => {
     .sort((a, b) => b.adjustedScore - a.adjustedScore);
 };
 
-const findInstallScripts = async (owner, repo, body) => {
+const findInstallScripts = async (
+  owner,
+  repo,
+  body,
+  host = DEFAULT_GITHUB_HOST,
+) => {
   const snippets = [];
 
   const releaseCode = getCodeFromMarkdown(body)?.trim();
@@ -1021,9 +1534,16 @@ const findInstallScripts = async (owner, repo, body) => {
   }
 
   for (const branch of DEFAULT_BRANCHES) {
-    const branchSnippets = await fetchReadmeFromBranch(owner, repo, branch);
+    const branchSnippets = await fetchReadmeFromBranch(
+      owner,
+      repo,
+      branch,
+      host,
+    );
     if (branchSnippets) {
       snippets.push(...branchSnippets);
+      // Repositories rarely keep both branches; stop at the first README
+      break;
     }
   }
 
@@ -1076,12 +1596,18 @@ const hasHighPriorityInstallScript = (installScripts, binaryScore = 0) => {
 
 module.exports = {
   parseSource,
+  parseGitHubUrl,
+  parseGitLabUrl,
+  parseGiteaUrl,
   getGitHubAssets,
+  getGitLabAssets,
+  getGiteaAssets,
   getWebsiteAssets,
   trySmartDownload,
   downloadFromUrl,
   getExtension,
   findInstallScripts,
+  getGitHubReadme,
   scoreSnippet,
   isInstallScript,
   isIgnored,
@@ -1,11 +1,41 @@
-const { describe, test, expect } = require("bun:test");
+const { describe, test, expect, beforeAll, afterAll, beforeEach } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const {
   parseSource,
   isIgnored,
   isInstallScript,
   scoreSnippet,
   removeCommentLines,
+  getGitLabAssets,
 } = require("./sources");
+const { getGitHubEndpoints } = require("./github");
+
+/**
+ * Point XDG_CONFIG_HOME at a temporary directory holding the given
+ * settings.json for the tests in the enclosing describe block
+ */
+const useSettings = (settings) => {
+  let configHome;
+  const originalConfigHome = process.env.XDG_CONFIG_HOME;
+
+  beforeAll(() => {
+    configHome = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-test-"));
+    process.env.XDG_CONFIG_HOME = configHome;
+    fs.mkdirSync(path.join(configHome, "justinstall"));
+    fs.writeFileSync(path.join(configHome, "justinstall", "settings.json"), JSON.stringify(settings));
+  });
+
+  afterAll(() => {
+    if (originalConfigHome === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = originalConfigHome;
+    }
+    fs.rmSync(configHome, { recursive: true, force: true });
+  });
+};
 
 describe("parseSource", () => {
   describe("GitHub URLs", () => {
@@ -53,6 +83,164 @@ describe("parseSource", () => {
     });
   });
 
+  describe("version pins", () => {
+    test("parses an exact tag pin", () => {
+      const result = parseSource("junegunn/fzf@v0.54.0");
+      expect(result.type).toBe("github");
+      expect(result.owner).toBe("junegunn");
+      expect(result.repo).toBe("fzf");
+      expect(result.url).toBe("https://github.com/junegunn/fzf");
+      expect(result.pin).toBe("v0.54.0");
+      expect(result.specificTag).toBe("v0.54.0");
+      expect(result.originalArgs).toEqual(["junegunn/fzf@v0.54.0"]);
+    });
+
+    test("parses release channels without a specific tag", () => {
+      const latest = parseSource("junegunn/fzf@latest");
+      expect(latest.pin).toBe("latest");
+      expect(latest.specificTag).toBeUndefined();
+
+      const prerelease = parseSource("junegunn/fzf@prerelease");
+      expect(prerelease.pin).toBe("prerelease");
+      expect(prerelease.specificTag).toBeUndefined();
+    });
+
+    test("parses a version range without a specific tag", () => {
+      const result = parseSource("junegunn/fzf@^0.54");
+      expect(result.pin).toBe("^0.54");
+      expect(result.specificTag).toBeUndefined();
+    });
+
+    test("leaves unpinned sources without a pin", () => {
+      expect(parseSource("junegunn/fzf").pin).toBeUndefined();
+    });
+
+    test("rejects an empty pin", () => {
+      expect(() => parseSource("junegunn/fzf@")).toThrow("Invalid source");
+    });
+  });
+
+  describe("GitLab URLs", () => {
+    test("parses gitlab.com project URL", () => {
+      const result = parseSource("https://gitlab.com/gitlab-org/cli");
+      expect(result.type).toBe("gitlab");
+      expect(result.host).toBe("https://gitlab.com");
+      expect(result.project).toBe("gitlab-org/cli");
+      expect(result.repo).toBe("cli");
+    });
+
+    test("parses nested group projects", () => {
+      const result = parseSource("https://gitlab.com/group/subgroup/tool/");
+      expect(result.type).toBe("gitlab");
+      expect(result.project).toBe("group/subgroup/tool");
+      expect(result.owner).toBe("group/subgroup");
+      expect(result.repo).toBe("tool");
+    });
+
+    test("parses self-hosted instances", () => {
+      const result = parseSource("https://gitlab.example.com/team/tool.git");
+      expect(result.type).toBe("gitlab");
+      expect(result.host).toBe("https://gitlab.example.com");
+      expect(result.project).toBe("team/tool");
+    });
+
+    test("needs a settings entry for self-hosted instances without gitlab in their name", () => {
+      expect(parseSource("https://code.example.com/team/tool").type).toBe("smart_url");
+    });
+
+    describe("with a hosts entry", () => {
+      useSettings({ hosts: { "code.example.com": "gitlab" } });
+
+      test("parses the configured host", () => {
+        const result = parseSource("https://code.example.com/team/tool");
+        expect(result.type).toBe("gitlab");
+        expect(result.project).toBe("team/tool");
+      });
+    });
+
+    test("parses release URL with specific tag", () => {
+      const result = parseSource("https://gitlab.com/group/tool/-/releases/v1.2.0");
+      expect(result.type).toBe("gitlab");
+      expect(result.project).toBe("group/tool");
+      expect(result.specificTag).toBe("v1.2.0");
+    });
+
+    test("ignores the releases index page", () => {
+      const result = parseSource("https://gitlab.com/group/tool/-/releases");
+      expect(result.project).toBe("group/tool");
+      expect(result.specificTag).toBeUndefined();
+    });
+  });
+
+  describe("Gitea URLs", () => {
+    useSettings({ hosts: { "git.example.org": "gitea" } });
+
+    test("parses Codeberg repo URL", () => {
+      const result = parseSource("https://codeberg.org/forgejo/forgejo");
+      expect(result.type).toBe("gitea");
+      expect(result.host).toBe("https://codeberg.org");
+      expect(result.owner).toBe("forgejo");
+      expect(result.repo).toBe("forgejo");
+    });
+
+    test("parses release URL with specific tag", () => {
+      const result = parseSource("https://codeberg.org/owner/tool/releases/tag/v2.0.1");
+      expect(result.type).toBe("gitea");
+      expect(result.specificTag).toBe("v2.0.1");
+    });
+
+    test("parses hosts configured in settings", () => {
+      const result = parseSource("https://git.example.org/team/tool");
+      expect(result.type).toBe("gitea");
+      expect(result.owner).toBe("team");
+      expect(result.repo).toBe("tool");
+    });
+
+    test("leaves unconfigured hosts as smart_url", () => {
+      const result = parseSource("https://git.example.net/team/tool");
+      expect(result.type).toBe("smart_url");
+    });
+  });
+
+  describe("GitHub Enterprise URLs", () => {
+    useSettings({
+      hosts: {
+        "github.mycorp.com": "github",
+        "ghe.example.org": { type: "github", api: "https://api.ghe.example.org/" },
+      },
+    });
+
+    test("parses hosts configured in settings", () => {
+      const result = parseSource("https://github.mycorp.com/team/tool/releases/tag/v3.1.0");
+      expect(result.type).toBe("github");
+      expect(result.host).toBe("https://github.mycorp.com");
+      expect(result.owner).toBe("team");
+      expect(result.repo).toBe("tool");
+      expect(result.specificTag).toBe("v3.1.0");
+    });
+
+    test("does not record a host for github.com", () => {
+      const result = parseSource("https://github.com/junegunn/fzf");
+      expect(result.host).toBeUndefined();
+    });
+
+    test("resolves Enterprise API and raw endpoints", () => {
+      const endpoints = getGitHubEndpoints("https://github.mycorp.com");
+      expect(endpoints.api).toBe("https://github.mycorp.com/api/v3");
+      expect(endpoints.raw).toBe("https://github.mycorp.com/raw");
+    });
+
+    test("honors API overrides from settings", () => {
+      const endpoints = getGitHubEndpoints("https://ghe.example.org");
+      expect(endpoints.api).toBe("https://api.ghe.example.org");
+      expect(endpoints.web).toBe("https://ghe.example.org");
+    });
+
+    test("uses the public API for github.com", () => {
+      expect(getGitHubEndpoints().api).toBe("https://api.github.com");
+    });
+  });
+
   describe("direct URLs", () => {
     test("parses non-GitHub URLs as smart_url", () => {
       const result = parseSource("https://example.com/downloads/app.dmg");
@@ -77,6 +265,144 @@ describe("parseSource", () => {
   });
 });
 
+describe("getGitLabAssets", () => {
+  let cacheHome;
+  let requests;
+  const originalCacheHome = process.env.XDG_CACHE_HOME;
+  const originalFetch = globalThis.fetch;
+  const api = "https://gitlab.com/api/v4/projects/group%2Ftool";
+
+  // Answer each API URL with its JSON body, and everything else with a 404
+  const stubApi = (routes) => {
+    globalThis.fetch = async (url) => {
+      requests.push(url);
+      if (!(url in routes)) return new Response("{}", { status: 404, statusText: "Not Found" });
+      return new Response(JSON.stringify(routes[url]), {
+        status: 200,
+        headers: { "content-type": "application/json" },
+      });
+    };
+  };
+
+  const release = (tag, links = [], extra = {}) => ({
+    tag_name: tag,
+    description: "",
+    commit: { id: `${tag}-sha` },
+    assets: { links },
+    ...extra,
+  });
+
+  beforeAll(() => {
+    cacheHome = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-cache-"));
+    process.env.XDG_CACHE_HOME = cacheHome;
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterAll(() => {
+    globalThis.fetch = originalFetch;
+    if (originalCacheHome === undefined) {
+      delete process.env.XDG_CACHE_HOME;
+    } else {
+      process.env.XDG_CACHE_HOME = originalCacheHome;
+    }
+    fs.rmSync(cacheHome, { recursive: true, force: true });
+  });
+
+  test("maps release links to assets, preferring direct_asset_url", async () => {
+    stubApi({
+      [`${api}/releases?per_page=20&page=1`]: [
+        release("v1.0.0", [
+          {
+            id: 1,
+            name: "Linux build",
+            url: "https://gitlab.com/group/tool/-/jobs/9/artifacts/raw/tool-linux-amd64.tar.gz",
+            direct_asset_url: "https://gitlab.com/group/tool/-/releases/v1.0.0/downloads/tool-linux-amd64.tar.gz",
+            link_type: "package",
+          },
+          { id: 2, name: "tool-darwin-arm64.zip", url: "https://cdn.example.com/dl?id=42" },
+          { id: 3, name: "checksums.txt", url: "https://cdn.example.com/v1.0.0/checksums.txt" },
+        ], { description: "Also [tool.deb](/uploads/abc123/tool_1.0.0_amd64.deb)" }),
+      ],
+    });
+
+    const result = await getGitLabAssets("https://gitlab.com", "group/tool");
+    expect(result.tag).toBe("v1.0.0");
+    expect(result.commit).toBe("v1.0.0-sha");
+    expect(result.prerelease).toBe(false);
+    expect(result.assets.map((asset) => [asset.name, asset.browser_download_url])).toEqual([
+      ["tool-linux-amd64.tar.gz", "https://gitlab.com/group/tool/-/releases/v1.0.0/downloads/tool-linux-amd64.tar.gz"],
+      ["tool-darwin-arm64.zip", "https://cdn.example.com/dl?id=42"],
+      ["tool_1.0.0_amd64.deb", "https://gitlab.com/group/tool/uploads/abc123/tool_1.0.0_amd64.deb"],
+    ]);
+    expect(result.assets[0].extension).toBe("tar.gz");
+    expect(result.assets[0].link_type).toBe("package");
+    expect(result.checksums.map((asset) => asset.name)).toEqual(["checksums.txt"]);
+  });
+
+  test("pages past upcoming releases to the newest released one", async () => {
+    const upcoming = Array.from({ length: 20 }, (_, i) =>
+      release(`v2.0.0-rc.${20 - i}`, [], { upcoming_release: true }),
+    );
+    stubApi({
+      [`${api}/releases?per_page=20&page=1`]: upcoming,
+      [`${api}/releases?per_page=20&page=2`]: [
+        release("v1.9.0", [{ id: 1, name: "tool.tar.gz", url: "https://cdn.example.com/tool-1.9.0.tar.gz" }]),
+      ],
+    });
+
+    const result = await getGitLabAssets("https://gitlab.com", "group/tool");
+    expect(result.tag).toBe("v1.9.0");
+    expect(result.prerelease).toBe(false);
+    expect(requests).toHaveLength(2);
+  });
+
+  test("stops at the first page once it holds a released version", async () => {
+    stubApi({
+      [`${api}/releases?per_page=20&page=1`]: [
+        release("v2.0.0-rc.1", [], { upcoming_release: true }),
+        ...Array.from({ length: 19 }, (_, i) => release(`v1.${19 - i}.0`)),
+      ],
+    });
+
+    const result = await getGitLabAssets("https://gitlab.com", "group/tool");
+    expect(result.tag).toBe("v1.19.0");
+    expect(requests).toHaveLength(1);
+  });
+
+  test("falls back to an upcoming release when nothing else is published", async () => {
+    stubApi({
+      [`${api}/releases?per_page=20&page=1`]: [release("v0.1.0-rc.1", [], { upcoming_release: true })],
+    });
+
+    const result = await getGitLabAssets("https://gitlab.com", "group/tool");
+    expect(result.tag).toBe("v0.1.0-rc.1");
+    expect(result.prerelease).toBe(true);
+  });
+
+  test("fetches a pinned tag directly", async () => {
+    stubApi({ [`${api}/releases/v1.0.0%2Bbuild`]: release("v1.0.0+build") });
+
+    const result = await getGitLabAssets("https://gitlab.com", "group/tool", "v1.0.0+build");
+    expect(result.tag).toBe("v1.0.0+build");
+  });
+
+  test("reports missing releases and projects", async () => {
+    stubApi({ [`${api}/releases?per_page=20&page=1`]: [] });
+    await expect(getGitLabAssets("https://gitlab.com", "group/tool")).rejects.toThrow(
+      "No releases found in GitLab project",
+    );
+    await expect(getGitLabAssets("https://gitlab.com", "group/tool", "v9.9.9")).rejects.toThrow(
+      'Release with tag "v9.9.9" not found',
+    );
+    await expect(getGitLabAssets("https://gitlab.com", "group/gone")).rejects.toThrow(
+      'GitLab project "group/gone" not found on https://gitlab.com',
+    );
+  });
+});
+
 describe("isIgnored", () => {
   describe("system files", () => {
     test("ignores __MACOSX directory", () => {
@@ -132,6 +458,11 @@ describe("isIgnored", () => {
       expect(isIgnored("checksums.txt")).toBeTruthy();
       expect(isIgnored("SHA256CHECKSUMS")).toBeTruthy();
     });
+
+    test("ignores per-asset and SHA*SUMS checksum files", () => {
+      expect(isIgnored("tool-linux-amd64.tar.gz.sha256")).toBeTruthy();
+      expect(isIgnored("SHA512SUMS")).toBeTruthy();
+    });
   });
 
   describe("internal directories", () => {
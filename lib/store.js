@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+const { getDataDir, getBinDir, loadConfig, saveConfig } = require("./config");
+
+// Binaries are installed into pkgs/<name>/<version> under the data directory
+// (~/.local/share/justinstall) and symlinked into the bin directory, so
+// several versions of a package can sit side by side.
+const getStoreDir = () => path.join(getDataDir(), "pkgs");
+
+// Package names and tags become directory names
+const toDirName = (value) => String(value).replace(/[^A-Za-z0-9._+-]/g, "_").replace(/^\.+/, "_");
+
+const getPackageRoot = (name) => path.join(getStoreDir(), toDirName(name));
+
+const getVersionDir = (name, version) => path.join(getPackageRoot(name), toDirName(version));
+
+/**
+ * Whether p is a symlink into root (the whole store by default), i.e. a
+ * binary justinstall linked and can relink without asking
+ */
+const isStoreLink = (p, root = getStoreDir()) => {
+  try {
+    if (!fs.lstatSync(p).isSymbolicLink()) return false;
+    const target = path.resolve(path.dirname(p), fs.readlinkSync(p));
+    return target.startsWith(root + path.sep);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Point dest at target. The new link is renamed over the old one, so dest
+ * never goes missing while switching versions.
+ */
+const linkBinary = (target, dest) => {
+  const tmp = `${dest}.justinstall-${process.pid}`;
+  fs.rmSync(tmp, { force: true });
+  fs.symlinkSync(target, tmp);
+  fs.renameSync(tmp, dest);
+};
+
+const sameVersion = (a, b) => String(a).replace(/^v/, "") === String(b).replace(/^v/, "");
+
+const findVersion = (versions, version) => versions.find((entry) => sameVersion(entry.version, version)) || null;
+
+/**
+ * Record that a package was installed into versionDir: the version becomes
+ * active and joins the versions already installed side by side (from
+ * previous, the package's old record). Versions whose directory is gone are
+ * dropped. The package's store directory is added to the destinations so
+ * uninstall removes every version.
+ */
+const addVersion = (record, versionDir, previous = null) => {
+  const entry = {
+    version: path.basename(versionDir),
+    tag: record.version || null,
+    commit: record.commit || null,
+    source: record.source,
+    dir: versionDir,
+    binaries: record.installation.binaries,
+    selected: record.selected,
+    date: record.date,
+  };
+  const others = (previous?.installation?.versions || []).filter(
+    (item) => item.dir !== versionDir && fs.existsSync(item.dir),
+  );
+
+  record.installation.versions = [...others, entry];
+  record.installation.activeVersion = entry.version;
+  record.installation.destinations = [
+    ...record.installation.destinations,
+    path.dirname(versionDir),
+  ];
+  return record;
+};
+
+/**
+ * Drop an inactive version from a record. Returns its entry, so its
+ * directory can be deleted once the record is saved, or null.
+ */
+const forgetVersion = (record, version) => {
+  const entry = findVersion(record.installation?.versions || [], version);
+  if (!entry || entry.version === record.installation.activeVersion) return null;
+
+  record.installation.versions = record.installation.versions.filter((item) => item !== entry);
+  return entry;
+};
+
+/**
+ * Make an installed version of a package the active one by relinking its
+ * binaries, and point the package's record at it. Throws if that version
+ * isn't installed.
+ */
+const useVersion = (name, version) => {
+  const config = loadConfig();
+  const record = config.find((item) => item.name === name);
+  if (!record) {
+    throw new Error(`${name} isn't installed. Run 'justinstall --list' to see installed packages.`);
+  }
+
+  const versions = record.installation?.versions || [];
+  const entry = findVersion(versions, version);
+  if (!entry) {
+    const installed = versions.map((item) => item.version).join(", ") || "none side by side";
+    throw new Error(
+      `${name} ${version} isn't installed (installed: ${installed}). ` +
+      `Install it next to the others with 'justinstall <source>@${version}'.`
+    );
+  }
+  if (!fs.existsSync(entry.dir)) {
+    throw new Error(`${entry.dir} is missing; reinstall ${name} ${entry.version}`);
+  }
+
+  const links = linkVersion(record, entry, record.installation.binDir || getBinDir(name));
+
+  record.version = entry.tag;
+  record.commit = entry.commit;
+  // The pin it was installed with, so --update treats it the same way
+  record.source = entry.source || record.source;
+  record.selected = entry.selected;
+  record.installation.binaries = entry.binaries;
+  // Completions and man pages aren't versioned; they stay as installed
+  record.installation.destinations = [...links, ...(record.installation.extras || []), getPackageRoot(name)];
+  record.installation.activeVersion = entry.version;
+  saveConfig(config);
+  return entry;
+};
+
+/**
+ * Link a version's binaries into binDir, replacing the record's current
+ * links, and remove links only the current version had. With a transaction
+ * the changes are staged for its commit instead. Returns the links.
+ */
+const linkVersion = (record, entry, binDir, transaction = null) => {
+  fs.mkdirSync(binDir, { recursive: true });
+  const links = entry.binaries.map((binary) => path.join(binDir, binary));
+  entry.binaries.forEach((binary, index) => {
+    const target = path.join(entry.dir, binary);
+    if (transaction) {
+      fs.symlinkSync(target, transaction.stage(links[index]));
+    } else {
+      linkBinary(target, links[index]);
+    }
+  });
+
+  const root = getPackageRoot(record.name);
+  for (const dest of record.installation?.destinations || []) {
+    if (!links.includes(dest) && isStoreLink(dest, root)) {
+      if (transaction) {
+        transaction.remove(dest);
+      } else {
+        fs.rmSync(dest, { force: true });
+      }
+    }
+  }
+  return links;
+};
+
+/**
+ * Move a binary install from before versions were kept in the store into
+ * it, so an update can keep it for --rollback. Its binaries are copied into
+ * a version directory and replaced by links. Returns false for installs
+ * that aren't plain binaries or are already in the store.
+ */
+const adoptInstallation = (name) => {
+  const config = loadConfig();
+  const record = config.find((item) => item.name === name);
+  const installation = record?.installation;
+  if (!installation || installation.method !== "binary" || installation.versions) return false;
+
+  const files = installation.destinations || [];
+  const isFile = (file) => fs.existsSync(file) && fs.lstatSync(file).isFile();
+  if (files.length === 0 || !files.every(isFile)) return false;
+
+  const versionDir = getVersionDir(name, record.version || record.selected?.hash?.slice(0, 12) || "previous");
+  fs.mkdirSync(versionDir, { recursive: true });
+  for (const file of files) {
+    fs.copyFileSync(file, path.join(versionDir, path.basename(file)));
+    fs.chmodSync(path.join(versionDir, path.basename(file)), 0o755);
+    linkBinary(path.join(versionDir, path.basename(file)), file);
+  }
+
+  installation.binaries = files.map((file) => path.basename(file));
+  installation.binDir = installation.binDir || path.dirname(files[0]);
+  addVersion(record, versionDir);
+  saveConfig(config);
+  return true;
+};
+
+module.exports = {
+  getStoreDir,
+  getPackageRoot,
+  getVersionDir,
+  isStoreLink,
+  linkBinary,
+  findVersion,
+  addVersion,
+  forgetVersion,
+  useVersion,
+  linkVersion,
+  adoptInstallation,
+};
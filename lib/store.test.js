@@ -0,0 +1,138 @@
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { saveConfig, loadConfig } = require("./config");
+const {
+  getStoreDir,
+  getVersionDir,
+  isStoreLink,
+  linkBinary,
+  findVersion,
+  addVersion,
+  forgetVersion,
+  useVersion,
+  adoptInstallation,
+} = require("./store");
+
+describe("side-by-side versions", () => {
+  let workDir;
+  let binDir;
+  const originalEnv = {
+    XDG_CONFIG_HOME: process.env.XDG_CONFIG_HOME,
+    XDG_DATA_HOME: process.env.XDG_DATA_HOME,
+  };
+
+  // A record as performInstallation creates it after linking name into binDir
+  const install = (tag, previous = null, binaries = ["tf"]) => {
+    const versionDir = getVersionDir("terraform", tag);
+    fs.mkdirSync(versionDir, { recursive: true });
+    for (const binary of binaries) {
+      fs.writeFileSync(path.join(versionDir, binary), `#!/bin/sh\necho ${tag}\n`);
+      linkBinary(path.join(versionDir, binary), path.join(binDir, binary));
+    }
+    const record = {
+      name: "terraform",
+      version: tag,
+      commit: null,
+      date: new Date().toISOString(),
+      source: { type: "github", owner: "hashicorp", repo: "terraform", pin: tag === "v1.5.7" ? tag : undefined },
+      selected: { name: `terraform_${tag}_linux_amd64.zip` },
+      installation: {
+        method: "binary",
+        binaries,
+        destinations: binaries.map((binary) => path.join(binDir, binary)),
+        binDir,
+      },
+    };
+    return addVersion(record, versionDir, previous);
+  };
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-store-"));
+    process.env.XDG_CONFIG_HOME = path.join(workDir, "config");
+    process.env.XDG_DATA_HOME = path.join(workDir, "data");
+    binDir = path.join(workDir, "bin");
+    fs.mkdirSync(binDir);
+  });
+
+  afterAll(() => {
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("keeps each version in its own directory", () => {
+    expect(getVersionDir("terraform", "v1.5.7")).toBe(path.join(getStoreDir(), "terraform", "v1.5.7"));
+    expect(path.basename(getVersionDir("tool", "release/1.0"))).toBe("release_1.0");
+  });
+
+  test("adds new versions next to the installed ones", () => {
+    const first = install("v1.5.7");
+    const second = install("v1.6.0", first);
+
+    expect(second.installation.versions.map((entry) => entry.version)).toEqual(["v1.5.7", "v1.6.0"]);
+    expect(second.installation.activeVersion).toBe("v1.6.0");
+    expect(second.installation.destinations).toContain(path.join(getStoreDir(), "terraform"));
+    expect(fs.readlinkSync(path.join(binDir, "tf"))).toBe(path.join(getVersionDir("terraform", "v1.6.0"), "tf"));
+    expect(findVersion(second.installation.versions, "1.5.7").version).toBe("v1.5.7");
+
+    saveConfig([second]);
+  });
+
+  test("recognizes links into the store", () => {
+    expect(isStoreLink(path.join(binDir, "tf"))).toBe(true);
+    expect(isStoreLink(path.join(binDir, "tf"), path.join(getStoreDir(), "other"))).toBe(false);
+
+    fs.writeFileSync(path.join(binDir, "plain"), "");
+    expect(isStoreLink(path.join(binDir, "plain"))).toBe(false);
+  });
+
+  test("switches the active version", () => {
+    expect(useVersion("terraform", "1.5.7").version).toBe("v1.5.7");
+    expect(fs.readlinkSync(path.join(binDir, "tf"))).toBe(path.join(getVersionDir("terraform", "v1.5.7"), "tf"));
+
+    const [record] = loadConfig();
+    expect(record.version).toBe("v1.5.7");
+    expect(record.selected.name).toBe("terraform_v1.5.7_linux_amd64.zip");
+    expect(record.source.pin).toBe("v1.5.7");
+    expect(record.installation.activeVersion).toBe("v1.5.7");
+  });
+
+  test("refuses versions that aren't installed", () => {
+    expect(() => useVersion("terraform", "v2.0.0")).toThrow("installed: v1.5.7, v1.6.0");
+    expect(() => useVersion("kubectl", "v1.30.0")).toThrow("isn't installed");
+  });
+
+  test("forgets only inactive versions", () => {
+    const [record] = loadConfig();
+    expect(forgetVersion(record, "v1.5.7")).toBeNull();
+    expect(forgetVersion(record, "v1.6.0").dir).toBe(getVersionDir("terraform", "v1.6.0"));
+    expect(record.installation.versions.map((entry) => entry.version)).toEqual(["v1.5.7"]);
+  });
+
+  test("moves binaries installed before the store into it", () => {
+    const dest = path.join(binDir, "jq");
+    fs.writeFileSync(dest, "#!/bin/sh\necho jq\n");
+    saveConfig([
+      {
+        name: "jq",
+        version: "jq-1.7.1",
+        selected: { name: "jq-linux-amd64" },
+        installation: { method: "binary", binaries: ["jq"], destinations: [dest] },
+      },
+    ]);
+
+    expect(adoptInstallation("jq")).toBe(true);
+    const [record] = loadConfig();
+    expect(isStoreLink(dest, path.join(getStoreDir(), "jq"))).toBe(true);
+    expect(fs.readFileSync(dest, "utf8")).toContain("echo jq");
+    expect(record.installation.activeVersion).toBe("jq-1.7.1");
+    expect(record.installation.binDir).toBe(binDir);
+
+    // Already in the store
+    expect(adoptInstallation("jq")).toBe(false);
+  });
+});
@@ -368,6 +368,42 @@ const completePkgUninstall = async (packageName, log) => {
   return removedPaths;
 };
 
+/**
+ * The name, version and release of an .rpm file
+ */
+const getRpmPackage = (rpmPath) => {
+  const output = safeExecSync("rpm", ["-qp", "--queryformat", "%{NAME} %{VERSION} %{RELEASE}", rpmPath]);
+  const [name, version, release] = output.toString().trim().split(" ");
+  return { name, version, release };
+};
+
+/**
+ * The version and release of an installed RPM package, or null if it isn't
+ * installed (or this system has no rpm)
+ */
+const getInstalledRpm = (name) => {
+  if (!name) return null;
+  try {
+    const output = safeExecSync("rpm", ["-q", "--queryformat", "%{VERSION} %{RELEASE}", name]);
+    const [version, release] = output.toString().trim().split(" ");
+    return { version, release };
+  } catch {
+    return null;
+  }
+};
+
+const completeRpmUninstall = async (rpmName, log) => {
+  if (!getInstalledRpm(rpmName)) {
+    log.warn(`  Package ${rpmName || "(unknown)"} isn't installed anymore`);
+    return [];
+  }
+
+  await requestSudoAccess("package removal");
+  runWithSudo("rpm", ["-e", rpmName], { stdio: "inherit" });
+  log.log(`  Removed package ${rpmName}`);
+  return [rpmName];
+};
+
 const detectOrphanedInstallations = (installations) => {
   const orphaned = [];
 
@@ -382,6 +418,11 @@ const detectOrphanedInstallations = (installations) => {
           isOrphaned = false;
           break;
         }
+      } else if (dest === "System-wide rpm installation") {
+        if (getInstalledRpm(installation.installation.systemPackage?.name)) {
+          isOrphaned = false;
+          break;
+        }
       } else if (fs.existsSync(dest)) {
         isOrphaned = false;
         break;
@@ -389,9 +430,12 @@ const detectOrphanedInstallations = (installations) => {
     }
 
     if (isOrphaned && destinations.length > 0) {
+      const binDir = installation.installation?.binDir;
       orphaned.push({
         ...installation,
-        reason: "No installed files found",
+        reason: binDir && !fs.existsSync(binDir)
+          ? `Bin directory ${binDir} no longer exists`
+          : "No installed files found",
       });
     }
   }
@@ -415,5 +459,8 @@ module.exports = {
   unloadLaunchAgent,
   completeAppUninstall,
   completePkgUninstall,
+  getRpmPackage,
+  getInstalledRpm,
+  completeRpmUninstall,
   detectOrphanedInstallations,
 };
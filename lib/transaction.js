@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getDataDir, addInstallation } = require("./config");
+const { createLogger } = require("./utils");
+
+// An install writes every file it replaces next to its destination first
+// (the staged copy), then commits them with renames: existing files are
+// backed up, staged files are renamed into place and the installation
+// records are saved. Each step is written to a journal, so a run that dies
+// halfway can be rolled back or finished the next time.
+const getJournalDir = () => path.join(getDataDir(), "transactions");
+
+const getJournalPath = (id) => path.join(getJournalDir(), `${id}.json`);
+
+const writeJournal = (journal) => {
+  fs.mkdirSync(getJournalDir(), { recursive: true });
+  const journalPath = getJournalPath(journal.id);
+  fs.writeFileSync(`${journalPath}.tmp`, JSON.stringify(journal, null, 2));
+  fs.renameSync(`${journalPath}.tmp`, journalPath);
+};
+
+const removeJournal = (journal) => {
+  fs.rmSync(getJournalPath(journal.id), { force: true });
+};
+
+// Like fs.existsSync, but true for dangling symlinks too
+const exists = (p) => {
+  try {
+    fs.lstatSync(p);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const remove = (p) => fs.rmSync(p, { recursive: true, force: true });
+
+/**
+ * Keep a copy of dest at backup. Files and symlinks are copied (hard linked
+ * where possible) so dest stays in place until the staged file is renamed
+ * over it. A rename can't replace a directory, or a file with one, so
+ * then dest is moved aside instead.
+ */
+const backUp = (dest, staged, backup) => {
+  const stat = fs.lstatSync(dest);
+  if (stat.isDirectory() || fs.lstatSync(staged).isDirectory()) {
+    fs.renameSync(dest, backup);
+  } else if (stat.isSymbolicLink()) {
+    fs.symlinkSync(fs.readlinkSync(dest), backup);
+  } else {
+    try {
+      fs.linkSync(dest, backup);
+    } catch {
+      fs.copyFileSync(dest, backup);
+    }
+  }
+};
+
+/**
+ * Put every destination back the way it was. Before the commit started only
+ * staged files exist; after, a missing staged file means it was already
+ * renamed into place. Removals only ever moved dest to its backup.
+ */
+const undo = (journal) => {
+  for (const op of [...journal.ops].reverse()) {
+    if (op.remove) {
+      // Nothing to discard
+    } else if (exists(op.staged)) {
+      remove(op.staged);
+    } else if (journal.state === "committing") {
+      remove(op.dest);
+    }
+    if (journal.state === "committing" && exists(op.backup)) {
+      // A hard-linked backup is the same file as dest, which rename ignores
+      remove(op.dest);
+      fs.renameSync(op.backup, op.dest);
+    }
+  }
+  removeJournal(journal);
+};
+
+const finish = (journal) => {
+  for (const record of journal.records || []) {
+    addInstallation(record);
+  }
+  for (const op of journal.ops) {
+    // A removal the interrupted commit didn't get to
+    if (op.remove) remove(op.dest);
+    remove(op.backup);
+  }
+  removeJournal(journal);
+};
+
+/**
+ * Start a transaction for installing label. stage(dest) returns the path to
+ * write dest's new content to and remove(dest) marks dest for removal;
+ * commit(records) moves everything into place and saves the records;
+ * rollback() discards the staged files.
+ */
+const beginTransaction = (label) => {
+  const id = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`;
+  const journal = { id, pid: process.pid, label, state: "staging", ops: [], records: [] };
+  let done = false;
+
+  return {
+    stage: (dest) => {
+      const op = {
+        dest,
+        staged: `${dest}.justinstall-${id}`,
+        backup: `${dest}.justinstall-${id}-old`,
+      };
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      journal.ops.push(op);
+      writeJournal(journal);
+      return op.staged;
+    },
+
+    remove: (dest) => {
+      journal.ops.push({ dest, backup: `${dest}.justinstall-${id}-old`, remove: true });
+      writeJournal(journal);
+    },
+
+    commit: (records = []) => {
+      if (done) return;
+      const missing = journal.ops.find((op) => !op.remove && !exists(op.staged));
+      if (missing) {
+        throw new Error(`Nothing was staged for ${missing.dest}`);
+      }
+
+      journal.state = "committing";
+      journal.records = records;
+      writeJournal(journal);
+      try {
+        for (const op of journal.ops) {
+          if (op.remove) {
+            if (exists(op.dest)) fs.renameSync(op.dest, op.backup);
+            continue;
+          }
+          if (exists(op.dest)) backUp(op.dest, op.staged, op.backup);
+          fs.renameSync(op.staged, op.dest);
+        }
+      } catch (error) {
+        undo(journal);
+        done = true;
+        throw error;
+      }
+      finish(journal);
+      done = true;
+    },
+
+    rollback: () => {
+      if (done) return;
+      undo(journal);
+      done = true;
+    },
+  };
+};
+
+const isRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+};
+
+/**
+ * Finish or roll back transactions left by runs that were interrupted. One
+ * that got as far as renaming every staged file is finished, saving its
+ * records; anything else is rolled back.
+ */
+const recoverTransactions = (log = createLogger()) => {
+  let files;
+  try {
+    files = fs.readdirSync(getJournalDir()).filter((file) => file.endsWith(".json"));
+  } catch {
+    return [];
+  }
+
+  const recovered = [];
+  for (const file of files) {
+    let journal;
+    try {
+      journal = JSON.parse(fs.readFileSync(path.join(getJournalDir(), file), "utf8"));
+    } catch {
+      continue;
+    }
+    if (journal.pid !== process.pid && isRunning(journal.pid)) continue;
+
+    try {
+      if (journal.state === "committing" && journal.ops.every((op) => op.remove || !exists(op.staged))) {
+        finish(journal);
+        log.warn(`Finished the interrupted install of ${journal.label}`);
+        recovered.push({ label: journal.label, action: "finished" });
+      } else {
+        undo(journal);
+        log.warn(`Rolled back the interrupted install of ${journal.label}`);
+        recovered.push({ label: journal.label, action: "rolled back" });
+      }
+    } catch (error) {
+      log.warn(`Couldn't recover the interrupted install of ${journal.label}: ${error.message}`);
+    }
+  }
+  return recovered;
+};
+
+module.exports = {
+  getJournalDir,
+  beginTransaction,
+  recoverTransactions,
+};
@@ -0,0 +1,137 @@
+const { describe, test, expect, beforeAll, afterAll, beforeEach } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig, saveConfig } = require("./config");
+const { getJournalDir, beginTransaction, recoverTransactions } = require("./transaction");
+
+describe("transactions", () => {
+  let workDir;
+  let binDir;
+  const originalEnv = {
+    XDG_CONFIG_HOME: process.env.XDG_CONFIG_HOME,
+    XDG_DATA_HOME: process.env.XDG_DATA_HOME,
+  };
+  const silentLog = { log: () => {}, debug: () => {}, warn: () => {} };
+  const read = (name) => fs.readFileSync(path.join(binDir, name), "utf8");
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-transaction-"));
+    process.env.XDG_CONFIG_HOME = path.join(workDir, "config");
+    process.env.XDG_DATA_HOME = path.join(workDir, "data");
+    binDir = path.join(workDir, "bin");
+  });
+
+  afterAll(() => {
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(binDir, { recursive: true, force: true });
+    fs.mkdirSync(binDir, { recursive: true });
+    fs.writeFileSync(path.join(binDir, "tool"), "old");
+    saveConfig([]);
+  });
+
+  test("replaces files and saves records on commit", () => {
+    const tx = beginTransaction("tool");
+    fs.writeFileSync(tx.stage(path.join(binDir, "tool")), "new");
+    fs.writeFileSync(tx.stage(path.join(binDir, "helper")), "new");
+    expect(read("tool")).toBe("old");
+
+    tx.commit([{ name: "tool", version: "v2" }]);
+    expect(read("tool")).toBe("new");
+    expect(read("helper")).toBe("new");
+    expect(fs.readdirSync(binDir).sort()).toEqual(["helper", "tool"]);
+    expect(loadConfig()).toEqual([{ name: "tool", version: "v2" }]);
+    expect(fs.readdirSync(getJournalDir())).toEqual([]);
+  });
+
+  test("replaces directories such as app bundles", () => {
+    const app = path.join(binDir, "Tool.app");
+    fs.mkdirSync(path.join(app, "Contents"), { recursive: true });
+    fs.writeFileSync(path.join(app, "Contents", "old"), "old");
+
+    const tx = beginTransaction("Tool.app");
+    const staged = tx.stage(app);
+    fs.mkdirSync(path.join(staged, "Contents"), { recursive: true });
+    fs.writeFileSync(path.join(staged, "Contents", "new"), "new");
+    tx.commit();
+
+    expect(fs.readdirSync(path.join(app, "Contents"))).toEqual(["new"]);
+    expect(fs.readdirSync(binDir).sort()).toEqual(["Tool.app", "tool"]);
+  });
+
+  test("leaves everything as it was on rollback", () => {
+    const tx = beginTransaction("tool");
+    fs.writeFileSync(tx.stage(path.join(binDir, "tool")), "new");
+    tx.rollback();
+
+    expect(fs.readdirSync(binDir)).toEqual(["tool"]);
+    expect(read("tool")).toBe("old");
+    expect(loadConfig()).toEqual([]);
+  });
+
+  test("removes files only once the commit goes through", () => {
+    let tx = beginTransaction("tool");
+    tx.remove(path.join(binDir, "tool"));
+    tx.rollback();
+    expect(read("tool")).toBe("old");
+
+    tx = beginTransaction("tool");
+    fs.writeFileSync(tx.stage(path.join(binDir, "helper")), "new");
+    tx.remove(path.join(binDir, "tool"));
+    tx.commit([]);
+    expect(fs.readdirSync(binDir)).toEqual(["helper"]);
+    expect(fs.readdirSync(getJournalDir())).toEqual([]);
+  });
+
+  test("refuses to commit files that were never staged", () => {
+    const tx = beginTransaction("tool");
+    tx.stage(path.join(binDir, "tool"));
+    expect(() => tx.commit()).toThrow("Nothing was staged");
+    tx.rollback();
+    expect(read("tool")).toBe("old");
+  });
+
+  // Journals as a run that died at some point would have left them
+  const interrupt = (state, renamed) => {
+    const dest = path.join(binDir, "tool");
+    const op = { dest, staged: `${dest}.justinstall-x`, backup: `${dest}.justinstall-x-old` };
+    fs.writeFileSync(op.staged, "new");
+    if (state === "committing") {
+      fs.linkSync(dest, op.backup);
+      if (renamed) fs.renameSync(op.staged, dest);
+    }
+    fs.mkdirSync(getJournalDir(), { recursive: true });
+    fs.writeFileSync(
+      path.join(getJournalDir(), "x.json"),
+      JSON.stringify({ id: "x", pid: 2 ** 22 + 1, label: "tool", state, ops: [op], records: [{ name: "tool" }] }),
+    );
+  };
+
+  test("rolls back runs interrupted before or during the commit", () => {
+    interrupt("staging");
+    expect(recoverTransactions(silentLog)).toEqual([{ label: "tool", action: "rolled back" }]);
+    expect(fs.readdirSync(binDir)).toEqual(["tool"]);
+    expect(read("tool")).toBe("old");
+
+    interrupt("committing", false);
+    recoverTransactions(silentLog);
+    expect(fs.readdirSync(binDir)).toEqual(["tool"]);
+    expect(read("tool")).toBe("old");
+    expect(loadConfig()).toEqual([]);
+  });
+
+  test("finishes runs interrupted after every file was moved into place", () => {
+    interrupt("committing", true);
+    expect(recoverTransactions(silentLog)).toEqual([{ label: "tool", action: "finished" }]);
+    expect(fs.readdirSync(binDir)).toEqual(["tool"]);
+    expect(read("tool")).toBe("new");
+    expect(loadConfig()).toEqual([{ name: "tool" }]);
+  });
+});
@@ -4,12 +4,33 @@ const fs = require("fs");
 const path = require("path");
 
 const { loadConfig, addInstallation, hashFile, removeInstallation } = require("./config");
-const { parseSource, getGitHubAssets, downloadFromUrl } = require("./sources");
+const {
+  parseSource,
+  getGitHubAssets,
+  getGitLabAssets,
+  getGiteaAssets,
+  downloadFromUrl,
+} = require("./sources");
+const {
+  isExactPin,
+  getPinOptions,
+  compareVersions,
+  isMajorUpdate,
+} = require("./versions");
 const { createLogger, confirm, fileSize, colors } = require("./utils");
+const {
+  getPackageRoot,
+  findVersion,
+  forgetVersion,
+  linkVersion,
+  adoptInstallation,
+} = require("./store");
+const { beginTransaction } = require("./transaction");
 const {
   requestSudoAccess,
   completeAppUninstall,
   completePkgUninstall,
+  completeRpmUninstall,
 } = require("./system");
 const { createModuleProgress, createSpinner } = require("./progress");
 
@@ -66,6 +87,10 @@ const checkSingleUpdate = async (installation, log, forceCheck = false) => {
   switch (source.type) {
     case "github":
       return await checkGitHubUpdate(installation);
+    case "gitlab":
+      return await checkGitLabUpdate(installation);
+    case "gitea":
+      return await checkGiteaUpdate(installation);
     case "url":
       return await checkUrlUpdate(installation);
     case "file":
@@ -78,18 +103,63 @@ const checkSingleUpdate = async (installation, log, forceCheck = false) => {
 };
 
 const checkGitHubUpdate = async (installation) => {
+  const { source } = installation;
+  return checkReleaseUpdate(installation, "GitHub", () =>
+    getGitHubAssets(
+      source.owner,
+      source.repo,
+      null,
+      source.host,
+      getPinOptions(source.pin)
+    )
+  );
+};
+
+const checkGitLabUpdate = async (installation) => {
+  const { source } = installation;
+  return checkReleaseUpdate(installation, "GitLab", () =>
+    getGitLabAssets(source.host, source.project)
+  );
+};
+
+const checkGiteaUpdate = async (installation) => {
+  const { source } = installation;
+  return checkReleaseUpdate(installation, new URL(source.host).host, () =>
+    getGiteaAssets(source.host, source.owner, source.repo)
+  );
+};
+
+const checkReleaseUpdate = async (installation, providerName, fetchRelease) => {
   const { source, selected, commit: oldCommit, name } = installation;
 
   try {
-    const { assets, tag, commit } = await getGitHubAssets(
-      source.owner,
-      source.repo
-    );
+    const { assets, tag, commit } = await fetchRelease();
 
-    const hasUpdate = tag !== installation.version;
+    // Fall back to a plain comparison for tags that aren't versions
+    const comparison = compareVersions(tag, installation.version);
+    const hasUpdate =
+      comparison === null ? tag !== installation.version : comparison > 0;
 
     if (!hasUpdate) {
-      return { name, hasUpdate: false, reason: "Already up to date" };
+      return {
+        name,
+        hasUpdate: false,
+        reason:
+          comparison < 0
+            ? `Installed ${installation.version} is newer than ${tag}`
+            : "Already up to date",
+      };
+    }
+
+    // Exact pins are never moved by --update, only reported
+    if (isExactPin(source.pin)) {
+      return {
+        name,
+        hasUpdate: true,
+        reason: `pinned to ${source.pin} (latest is ${tag})`,
+        canUpdate: false,
+        pinned: true,
+      };
     }
 
     const newAsset = assets.find(
@@ -105,7 +175,7 @@ const checkGitHubUpdate = async (installation) => {
         return {
           name,
           hasUpdate: true,
-          reason: `${installation.version || "unknown"} → ${tag}`,
+          reason: describeVersionChange(installation.version, tag),
           canUpdate: true,
           currentCommit: oldCommit,
           newCommit: commit,
@@ -117,7 +187,7 @@ const checkGitHubUpdate = async (installation) => {
       return {
         name,
         hasUpdate: true,
-        reason: `${installation.version} → ${tag} (no compatible asset found)`,
+        reason: `${describeVersionChange(installation.version, tag)} (no compatible asset found)`,
         canUpdate: false,
       };
     }
@@ -125,7 +195,7 @@ const checkGitHubUpdate = async (installation) => {
     return {
       name,
       hasUpdate: true,
-      reason: `${installation.version || "unknown"} → ${tag}`,
+      reason: describeVersionChange(installation.version, tag),
       canUpdate: true,
       currentCommit: oldCommit,
       newCommit: commit,
@@ -137,12 +207,17 @@ const checkGitHubUpdate = async (installation) => {
     return {
       name,
       hasUpdate: false,
-      reason: `Failed to check GitHub: ${error.message}`,
+      reason: `Failed to check ${providerName}: ${error.message}`,
       error: true,
     };
   }
 };
 
+const describeVersionChange = (from, to) => {
+  const change = `${from || "unknown"} → ${to}`;
+  return isMajorUpdate(from, to) ? `${change} (new major version)` : change;
+};
+
 const checkUrlUpdate = async (installation) => {
   const { source, selected, name } = installation;
 
@@ -210,18 +285,60 @@ const checkSmartUrlUpdate = async (installation, forceCheck) => {
   };
 };
 
+/**
+ * Point a record at the files an update installed. Returns what the update
+ * left behind: binaries in the old bin directory (the package moved, or a
+ * binary was renamed) and completions or man pages the new version doesn't
+ * ship, to remove so uninstall doesn't miss them.
+ */
+const refreshDestinations = (installation, updated) => {
+  const previous = installation.installation || {};
+  installation.installation = { ...previous, ...updated };
+
+  const isStale = (dest) => !updated.destinations.includes(dest);
+  const extras = (previous.extras || []).filter(isStale);
+  if (!previous.binDir) return extras;
+  return [
+    ...(previous.destinations || []).filter((dest) => path.dirname(dest) === previous.binDir && isStale(dest)),
+    ...extras,
+  ];
+};
+
+/**
+ * Keep the record an update replaced (snapshot) as installation.previous for
+ * --rollback, along with its version's files. Only one version is kept this
+ * way: the one kept by the update before is dropped, unless it's active.
+ * Returns the directories to remove.
+ */
+const keepPreviousVersion = (installation, snapshot) => {
+  const { previous: older, ...replaced } = snapshot;
+  const replacedVersion = replaced.installation?.activeVersion;
+  const activeVersion = installation.installation.activeVersion;
+
+  if (!replacedVersion || replacedVersion === activeVersion) {
+    // Reinstalled over the same version, or not kept in the store
+    if (!replacedVersion) delete installation.previous;
+    return [];
+  }
+
+  installation.previous = replaced;
+  const olderVersion = older?.installation?.activeVersion;
+  const dropped = olderVersion && olderVersion !== replacedVersion && forgetVersion(installation, olderVersion);
+  return dropped ? [dropped.dir] : [];
+};
+
 const performUpdate = async (updateInfo, customFilePath = null, yesFlag = false) => {
   const log = createLogger();
   const { name } = updateInfo;
 
-  let source = updateInfo.source;
+  if (adoptInstallation(name)) {
+    log.debug(`Moved ${name} into ${getPackageRoot(name)} so it can be rolled back`);
+  }
+
+  const record = loadConfig().find((item) => item.name === name);
+  const source = updateInfo.source || record?.source;
   if (!source) {
-    const config = loadConfig();
-    const installation = config.find((item) => item.name === name);
-    if (!installation) {
-      throw new Error(`No installation record found for '${name}'`);
-    }
-    source = installation.source;
+    throw new Error(`No installation record found for '${name}'`);
   }
 
   log.log(`Updating ${name}...`);
@@ -231,14 +348,35 @@ const performUpdate = async (updateInfo, customFilePath = null, yesFlag = false)
 
   const { performInstallation } = require("./installer");
 
+  // The new files and the updated record are committed together
+  const transaction = beginTransaction(name);
   try {
-    await performInstallation(originalArgs, true, yesFlag);
+    // Keep the asset pattern and binaries the package was installed with
+    const overrides = record?.installation?.overrides || {};
+    const result = await performInstallation(originalArgs, true, yesFlag, {
+      name,
+      asset: overrides.asset || undefined,
+      binaries: overrides.binaries || undefined,
+      transaction,
+    });
+
+    const installation = loadConfig().find((item) => item.name === name);
+    let leftovers = [];
+    if (installation && result?.record) {
+      leftovers = [
+        ...refreshDestinations(installation, result.record.installation),
+        ...keepPreviousVersion(installation, record),
+      ];
+    }
 
     if (updateInfo.newTag) {
-      const config = loadConfig();
-      const installation = config.find((item) => item.name === name);
       if (installation) {
         installation.version = updateInfo.newTag;
+        if (result?.hash) {
+          installation.selected.hash = result.hash;
+          installation.selected.checksum = result.checksum || null;
+          installation.selected.signature = result.signature || null;
+        }
         installation.commit = updateInfo.newCommit;
         installation.date = new Date().toISOString();
 
@@ -247,19 +385,89 @@ const performUpdate = async (updateInfo, customFilePath = null, yesFlag = false)
           installation.selected.size = updateInfo.newAsset.size;
           installation.selected.downloadUrl = updateInfo.newAsset.browser_download_url;
         }
-
-        const { saveConfig } = require("./config");
-        saveConfig(config);
       }
     }
 
+    transaction.commit(installation ? [installation] : []);
+
+    for (const leftover of leftovers) {
+      fs.rmSync(leftover, { recursive: true, force: true });
+      log.debug(`Removed ${leftover}`);
+    }
+
     log.log(`${colors.fg.green}✓${colors.reset} Successfully updated ${name}`);
   } catch (error) {
+    transaction.rollback();
     log.error(`Failed to update ${name}: ${error.message}`);
     throw error;
   }
 };
 
+/**
+ * Restore the version and record an update replaced. The binaries are
+ * relinked and the record saved in one transaction, so an interrupted
+ * rollback is undone or finished as a whole; the version rolled back from
+ * becomes the previous one, so a second rollback undoes it.
+ */
+const performRollback = async (packageName, yesFlag = false) => {
+  const log = createLogger();
+  const config = loadConfig();
+  const record = config.find((item) => item.name === packageName);
+  if (!record) {
+    throw new Error(
+      `Package '${packageName}' isn't installed. Run '${colors.fg.cyan}justinstall --list${colors.reset}' to see installed packages.`
+    );
+  }
+
+  const { previous, ...current } = record;
+  if (!previous) {
+    throw new Error(`${packageName} has no previous version to roll back to; only updates keep one`);
+  }
+
+  const entry = findVersion(record.installation.versions || [], previous.installation.activeVersion);
+  if (!entry || !fs.existsSync(entry.dir)) {
+    throw new Error(`The files of ${packageName} ${previous.version || previous.installation.activeVersion} are gone`);
+  }
+
+  const from = current.version || current.installation.activeVersion;
+  const to = previous.version || entry.version;
+  if (!(await confirm(`Roll back ${packageName} from ${from} to ${to}?`, "y", yesFlag))) {
+    throw new Error("Rollback canceled by user");
+  }
+
+  const transaction = beginTransaction(packageName);
+  try {
+    linkVersion(record, entry, previous.installation.binDir || record.installation.binDir, transaction);
+    transaction.commit([
+      {
+        ...previous,
+        installation: { ...previous.installation, versions: record.installation.versions },
+        previous: current,
+      },
+    ]);
+  } catch (error) {
+    transaction.rollback();
+    throw error;
+  }
+
+  log.log(`${colors.fg.green}✓${colors.reset} Rolled back ${packageName} to ${to}`);
+};
+
+const describeSource = (source) => {
+  switch (source.type) {
+    case "github":
+      return source.host
+        ? `${new URL(source.host).host}/${source.owner}/${source.repo}`
+        : `${source.owner}/${source.repo}`;
+    case "gitlab":
+      return `${new URL(source.host).host}/${source.project}`;
+    case "gitea":
+      return `${new URL(source.host).host}/${source.owner}/${source.repo}`;
+    default:
+      return source.url;
+  }
+};
+
 const listInstalled = () => {
   const config = loadConfig();
   const log = createLogger();
@@ -276,15 +484,23 @@ const listInstalled = () => {
   for (const installation of config) {
     const { name, date, source, version, installation: installInfo } = installation;
     const installDate = new Date(date).toLocaleDateString();
-    const sourceInfo =
-      source.type === "github" ? `${source.owner}/${source.repo}` : source.url;
-    const versionInfo = version ? `${colors.fg.green}${version}${colors.reset}` : `${colors.dim}unknown${colors.reset}`;
+    const sourceInfo = describeSource(source);
+    const pinInfo = source.pin ? ` ${colors.dim}(@${source.pin})${colors.reset}` : "";
+    const versionInfo = (version ? `${colors.fg.green}${version}${colors.reset}` : `${colors.dim}unknown${colors.reset}`) + pinInfo;
     const methodInfo = installInfo?.method || "unknown";
 
     log.log(`  ${colors.fg.white}${name}${colors.reset}`);
     log.log(`    Version: ${versionInfo}`);
     log.log(`    Source: ${colors.dim}${sourceInfo}${colors.reset}`);
     log.log(`    Method: ${colors.dim}${methodInfo}${colors.reset}`);
+    if (installInfo?.systemPackage) {
+      const { type, name: packageName, version: packageVersion } = installInfo.systemPackage;
+      log.log(`    Package: ${colors.dim}${packageName} ${packageVersion} (${type})${colors.reset}`);
+    }
+    if (installInfo?.versions?.length > 1) {
+      const versions = installInfo.versions.map((entry) => entry.version).join(", ");
+      log.log(`    Versions: ${colors.dim}${versions} (switch with 'justinstall use ${name}@<version>')${colors.reset}`);
+    }
     log.log(`    Installed: ${colors.dim}${installDate}${colors.reset}`);
     log.log("");
   }
@@ -362,6 +578,10 @@ const performUninstall = async (packageName, yesFlag = false) => {
     progress.startModule("Removing package and receipts");
     await completePkgUninstall(packageName, log);
     progress.completeModule(true);
+  } else if (method === "rpm") {
+    progress.startModule("Removing package");
+    await completeRpmUninstall(installation.installation.systemPackage?.name, log);
+    progress.completeModule(true);
   } else {
     progress.startModule("Removing files");
     for (const dest of destinations) {
@@ -393,4 +613,6 @@ module.exports = {
   listInstalled,
   removePackageHistory,
   performUninstall,
+  performRollback,
+  describeSource,
 };
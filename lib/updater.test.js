@@ -0,0 +1,82 @@
+const { describe, test, expect, beforeAll, afterAll } = require("bun:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { saveConfig, loadConfig } = require("./config");
+const { getVersionDir, getPackageRoot } = require("./store");
+const { performRollback } = require("./updater");
+
+describe("performRollback", () => {
+  let workDir;
+  let binDir;
+  const originalEnv = {
+    XDG_CONFIG_HOME: process.env.XDG_CONFIG_HOME,
+    XDG_DATA_HOME: process.env.XDG_DATA_HOME,
+  };
+
+  const createRecord = (tag, extra = {}) => {
+    const dir = getVersionDir("demo", tag);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "demo"), `#!/bin/sh\necho ${tag}\n`);
+    return {
+      name: "demo",
+      version: tag,
+      selected: { name: `demo-${tag}.tar.gz` },
+      installation: {
+        method: "binary",
+        binaries: ["demo"],
+        destinations: [path.join(binDir, "demo"), getPackageRoot("demo")],
+        binDir,
+        activeVersion: tag,
+      },
+      ...extra,
+    };
+  };
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "justinstall-updater-"));
+    process.env.XDG_CONFIG_HOME = path.join(workDir, "config");
+    process.env.XDG_DATA_HOME = path.join(workDir, "data");
+    binDir = path.join(workDir, "bin");
+    fs.mkdirSync(binDir);
+  });
+
+  afterAll(() => {
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("refuses packages without a previous version", async () => {
+    saveConfig([createRecord("v1.0.0")]);
+    await expect(performRollback("demo", true)).rejects.toThrow("no previous version");
+    await expect(performRollback("other", true)).rejects.toThrow("isn't installed");
+  });
+
+  test("restores the replaced version and record, and can be undone", async () => {
+    const previous = createRecord("v1.0.0");
+    const current = createRecord("v1.1.0", { previous });
+    current.installation.versions = ["v1.0.0", "v1.1.0"].map((tag) => ({
+      version: tag,
+      dir: getVersionDir("demo", tag),
+      binaries: ["demo"],
+    }));
+    fs.symlinkSync(path.join(getVersionDir("demo", "v1.1.0"), "demo"), path.join(binDir, "demo"));
+    saveConfig([current]);
+
+    await performRollback("demo", true);
+    let [record] = loadConfig();
+    expect(record.version).toBe("v1.0.0");
+    expect(record.selected.name).toBe("demo-v1.0.0.tar.gz");
+    expect(record.previous.version).toBe("v1.1.0");
+    expect(record.installation.versions).toHaveLength(2);
+    expect(fs.readFileSync(path.join(binDir, "demo"), "utf8")).toContain("v1.0.0");
+
+    await performRollback("demo", true);
+    [record] = loadConfig();
+    expect(record.version).toBe("v1.1.0");
+    expect(fs.readFileSync(path.join(binDir, "demo"), "utf8")).toContain("v1.1.0");
+  });
+});
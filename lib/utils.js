@@ -1,5 +1,6 @@
 const readline = require("readline");
 const fs = require("fs");
+const path = require("path");
 
 const colors = {
   reset: "\x1b[0m",
@@ -239,16 +240,20 @@ const createLink = (text, url) => {
   return [OSC, "8", SEP, SEP, url, BEL, text, OSC, "8", SEP, SEP, BEL].join("");
 };
 
+// Ask before replacing p, without touching it
+const confirmOverwrite = async (p, yesFlag = false) => {
+  if (fs.existsSync(p) && !(await confirm(`Overwrite ${p}?`, "y", yesFlag))) {
+    throw new Error("Aborted overwrite of file " + p);
+  }
+};
+
 const checkPath = async (p, yesFlag = false) => {
   if (fs.existsSync(p)) {
-    if (!(await confirm(`Overwrite ${p}?`, "y", yesFlag))) {
-      throw new Error("Aborted overwrite of file " + p);
-    } else {
-      try {
-        fs.rmSync(p, { recursive: true, force: true });
-      } catch (e) {
-        // Ignore removal errors
-      }
+    await confirmOverwrite(p, yesFlag);
+    try {
+      fs.rmSync(p, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore removal errors
     }
   }
 };
@@ -291,6 +296,14 @@ const parseFlags = (args) => {
           flags.uninstallPackage = args[i + 1];
           i++; // Skip the package name in next iteration
         }
+      } else if (flagName === "rollback") {
+        // --rollback requires a package name
+        if (i + 1 < args.length && !args[i + 1].startsWith("-")) {
+          flags.rollback = args[i + 1];
+          i++;
+        } else {
+          throw new Error("--rollback requires the name of a package");
+        }
       } else if (flagName === "help") {
         flags.help = true;
       } else if (flagName === "list") {
@@ -310,6 +323,61 @@ const parseFlags = (args) => {
         } else {
           throw new Error("--first requires a search query");
         }
+      } else if (flagName === "cache") {
+        // --cache requires an action
+        const action = args[i + 1];
+        if (!["clean", "list", "size"].includes(action)) {
+          throw new Error("--cache requires an action: clean, list or size");
+        }
+        flags.cache = action;
+        i++;
+      } else if (flagName === "offline") {
+        flags.offline = true;
+      } else if (flagName === "export") {
+        flags.export = true;
+        // Check if next arg is a file to export to
+        if (i + 1 < args.length && !args[i + 1].startsWith("-")) {
+          flags.exportFile = args[i + 1];
+          i++; // Skip the file name in next iteration
+        }
+      } else if (flagName === "import") {
+        // --import requires a file
+        if (i + 1 < args.length && !args[i + 1].startsWith("-")) {
+          flags.import = args[i + 1];
+          i++;
+        } else {
+          throw new Error("--import requires a file exported with --export");
+        }
+      } else if (flagName === "floating") {
+        flags.floating = true;
+      } else if (flagName === "prune") {
+        flags.prune = true;
+      } else if (flagName === "frozen") {
+        flags.frozen = true;
+      } else if (flagName === "trust-key") {
+        // --trust-key requires a repository and a key (or key file)
+        const [target, key] = args.slice(i + 1, i + 3);
+        if (!target || !key || target.startsWith("-")) {
+          throw new Error("--trust-key requires a repository and a public key or key file");
+        }
+        flags.trustKey = { target, key };
+        i += 2;
+      } else if (flagName === "retries") {
+        // --retries requires a non-negative count
+        const count = Number(args[i + 1]);
+        if (!Number.isInteger(count) || count < 0) {
+          throw new Error("--retries requires a number of retries (0 or more)");
+        }
+        flags.retries = count;
+        i++;
+      } else if (flagName === "prefix") {
+        // --prefix requires a directory
+        if (i + 1 < args.length && !args[i + 1].startsWith("-")) {
+          flags.prefix = args[i + 1];
+          i++;
+        } else {
+          throw new Error("--prefix requires a directory (binaries go in <dir>/bin)");
+        }
       } else if (flagName === "yes") {
         flags.yes = true;
       } else if (flagName === "version") {
@@ -423,6 +491,23 @@ const safeExec = (command, args = [], options = {}) => {
   });
 };
 
+/**
+ * Find the first of fileNames in dir or the closest parent directory that
+ * has one, like git or npm do for their project files
+ */
+const findUp = (fileNames, dir = process.cwd()) => {
+  let current = path.resolve(dir);
+  while (true) {
+    for (const name of fileNames) {
+      const candidate = path.join(current, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+};
+
 module.exports = {
   colors,
   createLogger,
@@ -433,9 +518,11 @@ module.exports = {
   fileSize,
   createLink,
   checkPath,
+  confirmOverwrite,
   sleep,
   processInstallSnippetReplacements,
   parseFlags,
   safeExecSync,
   safeExec,
+  findUp,
 };
@@ -131,6 +131,105 @@ describe("parseFlags", () => {
     });
   });
 
+  describe("cache flag", () => {
+    test("parses --cache with an action", () => {
+      expect(parseFlags(["--cache", "clean"]).flags.cache).toBe("clean");
+      expect(parseFlags(["--cache", "list"]).flags.cache).toBe("list");
+      expect(parseFlags(["--cache", "size"]).flags.cache).toBe("size");
+    });
+
+    test("throws on a missing or unknown action", () => {
+      expect(() => parseFlags(["--cache"])).toThrow();
+      expect(() => parseFlags(["--cache", "purge"])).toThrow();
+    });
+  });
+
+  describe("offline flag", () => {
+    test("parses --offline", () => {
+      const { flags, remainingArgs } = parseFlags(["--offline", "junegunn/fzf"]);
+      expect(flags.offline).toBe(true);
+      expect(remainingArgs).toEqual(["junegunn/fzf"]);
+    });
+  });
+
+  describe("export and import flags", () => {
+    test("parses --export with and without a file", () => {
+      expect(parseFlags(["--export"]).flags).toEqual({ export: true });
+      expect(parseFlags(["--export", "tools.json"]).flags).toEqual({ export: true, exportFile: "tools.json" });
+    });
+
+    test("parses --import with a file", () => {
+      expect(parseFlags(["--import", "tools.json"]).flags.import).toBe("tools.json");
+      expect(() => parseFlags(["--import"])).toThrow();
+    });
+  });
+
+  describe("floating flag", () => {
+    test("parses --floating alongside --export", () => {
+      const { flags } = parseFlags(["--export", "--floating"]);
+      expect(flags.export).toBe(true);
+      expect(flags.floating).toBe(true);
+    });
+  });
+
+  describe("prune flag", () => {
+    test("parses --prune alongside sync", () => {
+      const { flags, remainingArgs } = parseFlags(["sync", "--prune"]);
+      expect(flags.prune).toBe(true);
+      expect(remainingArgs).toEqual(["sync"]);
+    });
+  });
+
+  describe("trust-key flag", () => {
+    test("parses --trust-key with a repository and key", () => {
+      const { flags, remainingArgs } = parseFlags(["--trust-key", "owner/repo", "minisign.pub"]);
+      expect(flags.trustKey).toEqual({ target: "owner/repo", key: "minisign.pub" });
+      expect(remainingArgs).toEqual([]);
+    });
+
+    test("throws without a key", () => {
+      expect(() => parseFlags(["--trust-key", "owner/repo"])).toThrow();
+      expect(() => parseFlags(["--trust-key"])).toThrow();
+    });
+  });
+
+  describe("retries flag", () => {
+    test("parses --retries with a count", () => {
+      expect(parseFlags(["--retries", "5"]).flags.retries).toBe(5);
+      expect(parseFlags(["--retries", "0"]).flags.retries).toBe(0);
+    });
+
+    test("throws on a missing or invalid count", () => {
+      expect(() => parseFlags(["--retries"])).toThrow();
+      expect(() => parseFlags(["--retries", "-1"])).toThrow();
+      expect(() => parseFlags(["--retries", "many"])).toThrow();
+    });
+  });
+
+  describe("rollback flag", () => {
+    test("parses --rollback with a package name", () => {
+      expect(parseFlags(["--rollback", "terraform", "--yes"]).flags).toEqual({ rollback: "terraform", yes: true });
+    });
+
+    test("throws without a package name", () => {
+      expect(() => parseFlags(["--rollback"])).toThrow("requires the name");
+    });
+  });
+
+  describe("prefix flag", () => {
+    test("parses --prefix with a directory", () => {
+      expect(parseFlags(["--prefix", "/opt/tools", "junegunn/fzf"])).toEqual({
+        flags: { prefix: "/opt/tools" },
+        remainingArgs: ["junegunn/fzf"],
+      });
+    });
+
+    test("throws without a directory", () => {
+      expect(() => parseFlags(["--prefix"])).toThrow("requires a directory");
+      expect(() => parseFlags(["--prefix", "--yes"])).toThrow();
+    });
+  });
+
   describe("yes flag", () => {
     test("parses --yes", () => {
       const { flags } = parseFlags(["--yes"]);
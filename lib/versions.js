@@ -0,0 +1,282 @@
+/**
+ * Release channels accepted after "@" in a source specifier. Anything else
+ * is treated as a version range or an exact release tag.
+ */
+const RELEASE_CHANNELS = ["latest", "prerelease"];
+
+const PRERELEASE_SUFFIX =
+  /^(?:-?((?:alpha|beta|rc|pre|preview|dev|nightly)[0-9A-Za-z.-]*|[0-9A-Za-z.-]+?))?(?:\+[0-9A-Za-z.-]+)?$/i;
+
+const parsePrerelease = (suffix) => {
+  return suffix
+    ? suffix.split(/[.-]/).filter(Boolean).map((id) => (/^\d+$/.test(id) ? Number(id) : id.toLowerCase()))
+    : [];
+};
+
+/**
+ * Parse a release tag into comparable parts. Copes with "v" prefixes,
+ * tool-name prefixes ("fzf-0.54.0", "cli/v2.1.0", "jq-1.7.1", "go1.21.0"),
+ * arch prefixes ("x86_64-v1.2.3") and date-based tags ("2024-01-15",
+ * "nightly-2024.01.15").
+ * Returns { numbers, prerelease } or null if the tag has no version in it.
+ */
+const parseVersion = (tag) => {
+  if (!tag || typeof tag !== "string") return null;
+
+  const date = tag.match(/(?:^|[^0-9])(\d{4})[-._](\d{2})[-._](\d{2})(?![0-9])/);
+  if (date) {
+    return { numbers: date.slice(1, 4).map(Number), prerelease: [] };
+  }
+
+  // The first dotted number is the version, even right after a letter
+  // ("go1.21.0") or after other numbers ("x86_64-v1.2.3")
+  const dotted = tag.match(/(\d+(?:\.\d+)+)(.*)$/);
+  if (dotted) {
+    const suffix = dotted[2].match(PRERELEASE_SUFFIX);
+    return {
+      numbers: dotted[1].split(".").map(Number),
+      prerelease: parsePrerelease(suffix?.[1]),
+    };
+  }
+
+  const match = tag.match(
+    /(?:^|[^0-9A-Za-z]|v)(\d+)(?:-?((?:alpha|beta|rc|pre|preview|dev|nightly)[0-9A-Za-z.-]*|[0-9A-Za-z.-]+?))?(?:\+[0-9A-Za-z.-]+)?$/i,
+  );
+  if (!match) return null;
+
+  return {
+    numbers: [Number(match[1])],
+    prerelease: parsePrerelease(match[2]),
+  };
+};
+
+const compareNumbers = (a, b) => {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+};
+
+const comparePrerelease = (a, b) => {
+  // A release without a prerelease suffix sorts after any prerelease
+  if (a.length === 0 || b.length === 0) {
+    return a.length === b.length ? 0 : a.length === 0 ? 1 : -1;
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const aNum = typeof a[i] === "number";
+    const bNum = typeof b[i] === "number";
+    if (aNum && bNum) return a[i] > b[i] ? 1 : -1;
+    if (aNum !== bNum) return aNum ? -1 : 1;
+    return a[i] > b[i] ? 1 : -1;
+  }
+  return 0;
+};
+
+/**
+ * Compare two release tags. Returns 1, 0 or -1, or null when either tag
+ * cannot be parsed as a version.
+ */
+const compareVersions = (a, b) => {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) return null;
+
+  return (
+    compareNumbers(left.numbers, right.numbers) ||
+    comparePrerelease(left.prerelease, right.prerelease)
+  );
+};
+
+/**
+ * Check whether an update from one tag to another crosses a major version
+ */
+const isMajorUpdate = (from, to) => {
+  const left = parseVersion(from);
+  const right = parseVersion(to);
+  if (!left || !right) return false;
+  return (right.numbers[0] || 0) > (left.numbers[0] || 0);
+};
+
+/**
+ * Expand a partial version such as "2", "2.3" or "2.x" into its numbers
+ * and the number of components actually given.
+ */
+const parsePartial = (text) => {
+  const parts = text.replace(/^v/i, "").split(".");
+  const numbers = [];
+  for (const part of parts) {
+    if (/^[x*]$/i.test(part)) break;
+    if (!/^\d+$/.test(part)) return null;
+    numbers.push(Number(part));
+  }
+  return { numbers, given: numbers.length };
+};
+
+const bump = (numbers, index) => {
+  const next = numbers.slice(0, index + 1);
+  next[index] = (next[index] || 0) + 1;
+  return next;
+};
+
+/**
+ * Turn one range term into comparators ({ op, numbers })
+ */
+const parseRangeTerm = (term) => {
+  const match = term.match(/^(\^|~|>=|<=|>|<|=)?\s*(.+)$/);
+  if (!match) return null;
+
+  const [, op = "", rest] = match;
+  const partial = parsePartial(rest);
+  if (!partial) return null;
+
+  const { numbers, given } = partial;
+
+  if (given === 0) return op ? null : [];
+
+  if (op === "^") {
+    const index = numbers.findIndex((n, i) => n !== 0 || i === given - 1);
+    return [
+      { op: ">=", numbers },
+      { op: "<", numbers: bump(numbers, index) },
+    ];
+  }
+
+  if (op === "~") {
+    return [
+      { op: ">=", numbers },
+      { op: "<", numbers: bump(numbers, given > 1 ? 1 : 0) },
+    ];
+  }
+
+  if (op === "" || op === "=") {
+    // Partial versions and wildcards ("2.3", "1.x") match the whole series
+    const full = given >= 3 && !/[x*]/i.test(rest);
+    return full
+      ? [{ op: "=", numbers }]
+      : [
+          { op: ">=", numbers },
+          { op: "<", numbers: bump(numbers, given - 1) },
+        ];
+  }
+
+  return [{ op, numbers }];
+};
+
+/**
+ * Parse a version range such as "^2.3", "~1.8", "1.x" or ">=1.2 <2".
+ * Returns a list of comparators that must all hold, or null if the input
+ * is not a range.
+ */
+const parseRange = (range) => {
+  if (!range || typeof range !== "string") return null;
+
+  const terms = range
+    .trim()
+    .replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1")
+    .split(/\s+/);
+  const comparators = [];
+
+  for (const term of terms) {
+    const parsed = parseRangeTerm(term);
+    if (!parsed) return null;
+    comparators.push(...parsed);
+  }
+  return comparators;
+};
+
+/**
+ * Check whether a pin is a version range rather than an exact tag.
+ * Bare versions like "v1.4.2" are exact pins, not ranges.
+ */
+const isVersionRange = (pin) => {
+  if (!pin || RELEASE_CHANNELS.includes(pin)) return false;
+  if (!/^[\^~<>=]/.test(pin) && !/(^|\.)[x*](\.|$)/i.test(pin)) return false;
+  return parseRange(pin) !== null;
+};
+
+/**
+ * Check whether a release tag falls within a range. Prereleases never
+ * satisfy a range.
+ */
+const satisfies = (tag, range) => {
+  const version = parseVersion(tag);
+  const comparators = parseRange(range);
+  if (!version || !comparators || version.prerelease.length > 0) return false;
+
+  return comparators.every(({ op, numbers }) => {
+    const cmp = compareNumbers(version.numbers, numbers);
+    switch (op) {
+      case ">=":
+        return cmp >= 0;
+      case ">":
+        return cmp > 0;
+      case "<=":
+        return cmp <= 0;
+      case "<":
+        return cmp < 0;
+      default:
+        return cmp === 0;
+    }
+  });
+};
+
+/**
+ * Pick the highest tag that satisfies a range, or null if none do
+ */
+const maxSatisfying = (tags, range) => {
+  return tags
+    .filter((tag) => satisfies(tag, range))
+    .reduce((best, tag) => (best === null || compareVersions(tag, best) > 0 ? tag : best), null);
+};
+
+/**
+ * Check whether a pin names one specific release rather than a channel
+ * or a range
+ */
+const isExactPin = (pin) => {
+  return !!pin && !RELEASE_CHANNELS.includes(pin) && !isVersionRange(pin);
+};
+
+/**
+ * Release lookup options implied by a source pin
+ */
+const getPinOptions = (pin) => ({
+  prerelease: pin === "prerelease",
+  range: isVersionRange(pin) ? pin : null,
+});
+
+/**
+ * Split "owner/repo@pin" style input into its target and pin.
+ * Returns { target, pin } where pin is null when none was given.
+ */
+const splitPin = (input) => {
+  const index = input.lastIndexOf("@");
+  if (index <= 0 || index === input.length - 1) {
+    return { target: input, pin: null };
+  }
+  return {
+    target: input.slice(0, index),
+    pin: input.slice(index + 1),
+  };
+};
+
+module.exports = {
+  RELEASE_CHANNELS,
+  parseVersion,
+  compareVersions,
+  isMajorUpdate,
+  parseRange,
+  isVersionRange,
+  satisfies,
+  maxSatisfying,
+  isExactPin,
+  getPinOptions,
+  splitPin,
+};
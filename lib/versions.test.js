@@ -0,0 +1,147 @@
+const { describe, test, expect } = require("bun:test");
+const {
+  parseVersion,
+  compareVersions,
+  isMajorUpdate,
+  isVersionRange,
+  isExactPin,
+  satisfies,
+  maxSatisfying,
+  splitPin,
+} = require("./versions");
+
+describe("parseVersion", () => {
+  test("parses plain and v-prefixed tags", () => {
+    expect(parseVersion("1.2.3").numbers).toEqual([1, 2, 3]);
+    expect(parseVersion("v0.54.0").numbers).toEqual([0, 54, 0]);
+  });
+
+  test("strips tool-name prefixes", () => {
+    expect(parseVersion("jq-1.7.1").numbers).toEqual([1, 7, 1]);
+    expect(parseVersion("cli/v2.1.0").numbers).toEqual([2, 1, 0]);
+    expect(parseVersion("bun-v1.1.0").numbers).toEqual([1, 1, 0]);
+  });
+
+  test("reads versions glued to a tool name", () => {
+    expect(parseVersion("go1.21.0").numbers).toEqual([1, 21, 0]);
+    expect(parseVersion("go1.22rc1")).toEqual({ numbers: [1, 22], prerelease: ["rc1"] });
+    expect(compareVersions("go1.9.0", "go2.0.0")).toBe(-1);
+    expect(compareVersions("go1.21.0", "go1.9.5")).toBe(1);
+  });
+
+  test("skips arch prefixes", () => {
+    expect(parseVersion("x86_64-v1.2.3")).toEqual({ numbers: [1, 2, 3], prerelease: [] });
+    expect(parseVersion("arm64-2.0.1-beta.1")).toEqual({ numbers: [2, 0, 1], prerelease: ["beta", 1] });
+  });
+
+  test("parses prerelease suffixes", () => {
+    expect(parseVersion("v1.2.3-rc.1").prerelease).toEqual(["rc", 1]);
+    expect(parseVersion("0.9.0-alpha").prerelease).toEqual(["alpha"]);
+    expect(parseVersion("v2.0.0+build.5").prerelease).toEqual([]);
+  });
+
+  test("parses date-based tags", () => {
+    expect(parseVersion("2024-01-15").numbers).toEqual([2024, 1, 15]);
+    expect(parseVersion("nightly-2024.01.15").numbers).toEqual([2024, 1, 15]);
+  });
+
+  test("returns null for tags without a version", () => {
+    expect(parseVersion("latest")).toBeNull();
+    expect(parseVersion("")).toBeNull();
+  });
+});
+
+describe("compareVersions", () => {
+  test("compares numerically rather than lexically", () => {
+    expect(compareVersions("v1.10.0", "v1.9.0")).toBe(1);
+    expect(compareVersions("v1.9.0", "v1.10.0")).toBe(-1);
+  });
+
+  test("treats missing components as zero", () => {
+    expect(compareVersions("v2", "2.0.0")).toBe(0);
+  });
+
+  test("orders prereleases before the release", () => {
+    expect(compareVersions("v1.0.0-rc.1", "v1.0.0")).toBe(-1);
+    expect(compareVersions("v1.0.0-rc.2", "v1.0.0-rc.10")).toBe(-1);
+    expect(compareVersions("v1.0.0-beta", "v1.0.0-alpha")).toBe(1);
+  });
+
+  test("compares date-based tags", () => {
+    expect(compareVersions("2024-02-01", "2024-01-15")).toBe(1);
+  });
+
+  test("returns null when a tag cannot be parsed", () => {
+    expect(compareVersions("nightly", "v1.0.0")).toBeNull();
+  });
+});
+
+describe("isMajorUpdate", () => {
+  test("detects a new major version", () => {
+    expect(isMajorUpdate("v1.9.0", "v2.0.0")).toBe(true);
+    expect(isMajorUpdate("v1.9.0", "v1.10.0")).toBe(false);
+  });
+});
+
+describe("ranges", () => {
+  test("recognizes range pins", () => {
+    expect(isVersionRange("^2.3")).toBe(true);
+    expect(isVersionRange("~1.8")).toBe(true);
+    expect(isVersionRange("1.x")).toBe(true);
+    expect(isVersionRange(">=1.2 <2")).toBe(true);
+  });
+
+  test("treats tags and channels as non-ranges", () => {
+    expect(isVersionRange("v1.4.2")).toBe(false);
+    expect(isVersionRange("latest")).toBe(false);
+    expect(isExactPin("v1.4.2")).toBe(true);
+    expect(isExactPin("^2.3")).toBe(false);
+    expect(isExactPin("prerelease")).toBe(false);
+  });
+
+  test("caret ranges stay within the major version", () => {
+    expect(satisfies("v2.3.0", "^2.3")).toBe(true);
+    expect(satisfies("v2.9.1", "^2.3")).toBe(true);
+    expect(satisfies("v2.2.9", "^2.3")).toBe(false);
+    expect(satisfies("v3.0.0", "^2.3")).toBe(false);
+  });
+
+  test("caret ranges on 0.x stay within the minor version", () => {
+    expect(satisfies("0.2.9", "^0.2.3")).toBe(true);
+    expect(satisfies("0.3.0", "^0.2.3")).toBe(false);
+  });
+
+  test("tilde ranges stay within the minor version", () => {
+    expect(satisfies("v1.8.5", "~1.8")).toBe(true);
+    expect(satisfies("v1.9.0", "~1.8")).toBe(false);
+  });
+
+  test("supports wildcards and comparator lists", () => {
+    expect(satisfies("v1.4.0", "1.x")).toBe(true);
+    expect(satisfies("v2.0.0", "1.x")).toBe(false);
+    expect(satisfies("v1.5.0", ">=1.2 <2")).toBe(true);
+    expect(satisfies("v2.0.0", ">=1.2 <2")).toBe(false);
+  });
+
+  test("excludes prereleases", () => {
+    expect(satisfies("v2.4.0-rc.1", "^2.3")).toBe(false);
+  });
+
+  test("picks the highest matching tag", () => {
+    const tags = ["v2.2.0", "v2.3.1", "v2.9.0", "v2.10.0", "v2.11.0-rc.1", "v3.0.0"];
+    expect(maxSatisfying(tags, "^2.3")).toBe("v2.10.0");
+    expect(maxSatisfying(tags, "~2.3")).toBe("v2.3.1");
+    expect(maxSatisfying(tags, "^4")).toBeNull();
+  });
+});
+
+describe("splitPin", () => {
+  test("splits a pinned specifier", () => {
+    expect(splitPin("owner/repo@^2.3")).toEqual({ target: "owner/repo", pin: "^2.3" });
+  });
+
+  test("returns a null pin when none is given", () => {
+    expect(splitPin("owner/repo")).toEqual({ target: "owner/repo", pin: null });
+    expect(splitPin("owner/repo@")).toEqual({ target: "owner/repo@", pin: null });
+  });
+});